@@ -0,0 +1,253 @@
+// AI provider configuration
+// Every value can be overridden through environment variables.
+
+const parseList = (value, fallback) => {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid JSON in AI configuration:', error.message);
+    return fallback;
+  }
+};
+
+// A number where zero is a valid setting; unset or invalid values fall
+// back to the default
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Unset, zero or invalid limits mean unlimited
+const parseLimit = (value) => {
+  const limit = parseFloat(value);
+  return limit > 0 ? limit : null;
+};
+
+module.exports = {
+  // Providers are tried in this order; unavailable ones are skipped
+  providerOrder: parseList(process.env.AI_PROVIDER_ORDER, ['deepseek', 'openai', 'local']),
+
+  // Default generation parameters shared by all providers
+  temperature: parseNumber(process.env.AI_TEMPERATURE, 0.7),
+  maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 2000,
+
+  // Prompt tokens available for system prompt, summary and recent turns
+  contextTokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET) || 3000,
+  // Older turns are folded into the conversation summary once a
+  // conversation has more unsummarized messages than this
+  summarizeAfterMessages: parseInt(process.env.AI_SUMMARIZE_AFTER_MESSAGES) || 20,
+
+  // Context window sizes in tokens; unknown models use the default
+  defaultContextWindow: 8192,
+  modelContextWindows: {
+    'deepseek-chat': 65536,
+    'deepseek-reasoner': 65536,
+    'gpt-3.5-turbo': 16385,
+    'gpt-4o-mini': 128000,
+    'gpt-4o': 128000
+  },
+
+  // Intent classification for model routing and voice commands:
+  // rules, hybrid (LLM below llmThreshold rule confidence) or llm
+  intentClassifier: {
+    backend: process.env.INTENT_CLASSIFIER || 'rules',
+    llmThreshold: parseFloat(process.env.INTENT_LLM_THRESHOLD) || 0.6
+  },
+
+  // Timeouts, retries (429/5xx/network errors) and circuit breaking
+  // for every provider call
+  resilience: {
+    timeoutMs: parseNumber(process.env.AI_TIMEOUT_MS, 30000),
+    maxRetries: parseNumber(process.env.AI_MAX_RETRIES, 2),
+    retryBaseDelayMs: parseNumber(process.env.AI_RETRY_BASE_DELAY_MS, 500),
+    retryMaxDelayMs: parseNumber(process.env.AI_RETRY_MAX_DELAY_MS, 8000),
+    breakerFailureThreshold: parseNumber(process.env.AI_BREAKER_FAILURE_THRESHOLD, 5),
+    breakerCooldownMs: parseNumber(process.env.AI_BREAKER_COOLDOWN_MS, 30000)
+  },
+
+  // Cache for repeated questions and web-search lookups. TTLs are per
+  // answer source; set RESPONSE_CACHE_FILE to keep entries across restarts
+  responseCache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500,
+    filePath: process.env.RESPONSE_CACHE_FILE,
+    ttlMs: {
+      default: parseInt(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 60 * 1000,
+      web_search: parseInt(process.env.RESPONSE_CACHE_WEB_TTL_MS) || 10 * 60 * 1000
+    }
+  },
+
+  // Web search used when no LLM provider can answer and by the weather
+  // and news voice commands. Providers are tried in order: duckduckgo,
+  // searxng (needs SEARXNG_BASE_URL) and fixture (canned offline results)
+  search: {
+    providerOrder: parseList(process.env.SEARCH_PROVIDER_ORDER, ['duckduckgo']),
+    maxResults: parseInt(process.env.SEARCH_MAX_RESULTS) || 5,
+    timeoutMs: parseInt(process.env.SEARCH_TIMEOUT_MS) || 10000,
+    searxng: {
+      baseURL: process.env.SEARXNG_BASE_URL,
+      categories: process.env.SEARXNG_CATEGORIES,
+      language: process.env.SEARXNG_LANGUAGE
+    },
+    fixture: {
+      fixturesPath: process.env.SEARCH_FIXTURES
+    }
+  },
+
+  // Retrieval-augmented answers: the top pages from web search are
+  // fetched, split into passages and the best passages are given to the
+  // model to cite. Requests opt in with useRag; messages classified as
+  // one of RAG_INTENTS use it by default.
+  rag: {
+    intents: parseList(process.env.RAG_INTENTS, []),
+    maxPages: parseInt(process.env.RAG_MAX_PAGES) || 3,
+    maxPassages: parseInt(process.env.RAG_MAX_PASSAGES) || 5,
+    chunkSize: parseInt(process.env.RAG_CHUNK_SIZE) || 800,
+    fetchTimeoutMs: parseInt(process.env.RAG_FETCH_TIMEOUT_MS) || 8000,
+    maxPageBytes: parseInt(process.env.RAG_MAX_PAGE_BYTES) || 2 * 1024 * 1024
+  },
+
+  // Questions about the user ("when is my Mumbai trip?") are answered
+  // from their bookings, reminders, saved preferences and recent
+  // conversations; the best matching records are added to the prompt
+  knowledgeBase: {
+    enabled: process.env.KNOWLEDGE_BASE_ENABLED !== 'false',
+    maxRecords: parseInt(process.env.KNOWLEDGE_BASE_MAX_RECORDS) || 4,
+    maxConversations: parseInt(process.env.KNOWLEDGE_BASE_MAX_CONVERSATIONS) || 5
+  },
+
+  // System prompt defaults; users pick their own persona, mood and
+  // language in their preferences
+  prompt: {
+    defaultPersona: process.env.AI_PERSONA || 'guardian',
+    defaultMood: process.env.AI_MOOD || 'friendly',
+    defaultLanguage: process.env.AI_LANGUAGE || 'en',
+    assistantName: process.env.AI_ASSISTANT_NAME || 'Neura-X Guardian Angel'
+  },
+
+  // Moderation of messages and answers. The classifier is picked by name
+  // (rules by default); MODERATION_ACTIONS takes a JSON object mapping a
+  // category to crisis, block or allow. Verdicts whose action is listed in
+  // logActions are written to the review log.
+  moderation: {
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    classifier: process.env.MODERATION_CLASSIFIER || 'rules',
+    actions: parseJSON(process.env.MODERATION_ACTIONS, {}),
+    logActions: parseList(process.env.MODERATION_LOG_ACTIONS, ['block'])
+  },
+
+  // PII in prompts is swapped for placeholders such as [PHONE_1] before
+  // they go to a provider, and put back in the answer.
+  // PII_REDACTION_RULES picks the built-in rules (email, aadhaar, pan,
+  // phone, name); PII_REDACTION_CUSTOM_RULES adds a JSON list of
+  // { name, pattern, flags } rules.
+  redaction: {
+    enabled: process.env.PII_REDACTION_ENABLED !== 'false',
+    rules: parseList(process.env.PII_REDACTION_RULES, ['email', 'aadhaar', 'pan', 'phone', 'name']),
+    customRules: parseJSON(process.env.PII_REDACTION_CUSTOM_RULES, []),
+    // Providers that get the original text, e.g. a local model
+    skipProviders: parseList(process.env.PII_REDACTION_SKIP_PROVIDERS, [])
+  },
+
+  // Per-user usage accounting. Prices are per million tokens; models
+  // without a price (local, mock) are recorded as free. USAGE_PRICES takes
+  // a JSON object to change or add prices.
+  usage: {
+    currency: process.env.USAGE_CURRENCY || 'USD',
+    prices: {
+      'deepseek-chat': { input: 0.27, output: 1.10 },
+      'deepseek-reasoner': { input: 0.55, output: 2.19 },
+      'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+      'gpt-4o-mini': { input: 0.15, output: 0.60 },
+      'gpt-4o': { input: 2.50, output: 10.00 },
+      ...parseJSON(process.env.USAGE_PRICES, {})
+    },
+    // Past a soft limit requests use the cheapest model without the
+    // reasoner; past a hard limit they are answered by web search
+    quotas: {
+      dailyTokens: {
+        soft: parseLimit(process.env.USAGE_DAILY_TOKENS_SOFT),
+        hard: parseLimit(process.env.USAGE_DAILY_TOKENS_HARD)
+      },
+      monthlyCost: {
+        soft: parseLimit(process.env.USAGE_MONTHLY_COST_SOFT),
+        hard: parseLimit(process.env.USAGE_MONTHLY_COST_HARD)
+      }
+    }
+  },
+
+  // Simulated payment gateway. Bookings stay pending until their payment
+  // succeeds. Asynchronous outcomes arrive as signed webhook events,
+  // delivered in-process unless PAYMENT_WEBHOOK_URL is set. Without
+  // PAYMENT_WEBHOOK_SECRET the HTTP webhook endpoint is turned off, so
+  // nobody can post a forged event. Cancelling a paid booking refunds the
+  // percent of the first PAYMENT_REFUND_POLICY rule whose
+  // hoursBeforeDeparture is met.
+  payments: {
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || null,
+    webhookURL: process.env.PAYMENT_WEBHOOK_URL,
+    webhookDelayMs: process.env.PAYMENT_WEBHOOK_DELAY_MS ? parseInt(process.env.PAYMENT_WEBHOOK_DELAY_MS) : 2000,
+    refundPolicy: parseJSON(process.env.PAYMENT_REFUND_POLICY, [
+      { hoursBeforeDeparture: 48, percent: 100 },
+      { hoursBeforeDeparture: 4, percent: 50 }
+    ])
+  },
+
+  // Seats picked from the booking options are held for the user this long
+  // before they go back on sale; hold-expiring is sent warningMs before
+  seatHolds: {
+    ttlMs: process.env.SEAT_HOLD_TTL_MS ? parseInt(process.env.SEAT_HOLD_TTL_MS) : 10 * 60 * 1000,
+    warningMs: process.env.SEAT_HOLD_WARNING_MS ? parseInt(process.env.SEAT_HOLD_WARNING_MS) : 60 * 1000,
+    sweepIntervalMs: process.env.SEAT_HOLD_SWEEP_MS ? parseInt(process.env.SEAT_HOLD_SWEEP_MS) : 5000
+  },
+
+  // Upper bound on tool-call round trips for a single chat message
+  maxToolRounds: parseInt(process.env.AI_MAX_TOOL_ROUNDS) || 4,
+
+  providers: {
+    deepseek: {
+      baseURL: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+      apiKey: process.env.DEEPSEEK_API_KEY,
+      models: {
+        chat: 'deepseek-chat',
+        reasoner: 'deepseek-reasoner'
+      },
+      supportsStreaming: true,
+      supportsTools: true
+    },
+    openai: {
+      baseURL: process.env.OPENAI_BASE_URL,
+      apiKey: process.env.OPENAI_API_KEY,
+      models: {
+        chat: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+      },
+      supportsStreaming: true,
+      supportsTools: true
+    },
+    // Local OpenAI-compatible server (llama.cpp, Ollama, vLLM, ...)
+    local: {
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      models: {
+        chat: process.env.LOCAL_LLM_MODEL || 'llama3'
+      },
+      supportsStreaming: process.env.LOCAL_LLM_STREAMING !== 'false',
+      supportsTools: process.env.LOCAL_LLM_TOOLS === 'true',
+      // A local server needs no key, only an address
+      requiresApiKey: false
+    }
+  },
+
+  // Scripted offline provider used for tests and demos
+  mock: {
+    fixturesPath: process.env.MOCK_LLM_FIXTURES,
+    chunkDelayMs: process.env.MOCK_LLM_CHUNK_DELAY_MS ? parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS) : undefined
+  }
+};
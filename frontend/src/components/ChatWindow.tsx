@@ -5,6 +5,7 @@ import { Send, Mic, Smile } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import VoiceWave from './VoiceWave';
+import type { Citation } from '@/services/api';
 
 interface Message {
   id: string;
@@ -12,6 +13,7 @@ interface Message {
   sender: 'user' | 'neurax';
   timestamp: Date;
   isTyping?: boolean;
+  citations?: Citation[];
 }
 
 interface ChatWindowProps {
@@ -119,6 +121,18 @@ const ChatWindow = ({ language }: ChatWindowProps) => {
                     </div>
                   )}
                   <p className="text-sm leading-relaxed">{message.text}</p>
+                  {message.citations && message.citations.length > 0 && (
+                    <ol className="mt-2 space-y-1 border-t border-white/20 pt-2 text-xs opacity-80">
+                      {message.citations.map((citation) => (
+                        <li key={citation.id}>
+                          [{citation.id}]{' '}
+                          <a href={citation.url} target="_blank" rel="noopener noreferrer" className="underline">
+                            {citation.title}
+                          </a>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
                   <p className="text-xs opacity-70 mt-2">
                     {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                   </p>
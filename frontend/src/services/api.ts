@@ -11,6 +11,20 @@ export interface ChatMessage {
   userId: string;
   conversationId?: string;
   useReasoner?: boolean;
+  useCache?: boolean;
+  useRag?: boolean;
+}
+
+export interface RoutingDecision {
+  useReasoner: boolean;
+  decidedBy: string;
+  rule: string | null;
+  classifier?: string;
+  intent?: string;
+  confidence?: number;
+  matchedKeywords?: string[];
+  provider: string | null;
+  model: string | null;
 }
 
 export interface ChatResponse {
@@ -20,9 +34,114 @@ export interface ChatResponse {
   model?: string;
   timestamp: string;
   usage?: any;
+  actions?: any[];
+  reasoning?: string | null;
+  routing?: RoutingDecision;
+  cache?: CacheInfo | null;
+  moderation?: ModerationInfo | null;
+  redaction?: RedactionAudit | null;
+  citations?: Citation[];
+  records?: KnowledgeRecord[];
   conversationId: string;
 }
 
+export interface RedactionAudit {
+  total: number;
+  counts: Record<string, number>;
+}
+
+export interface SearchResult {
+  title: string;
+  url: string;
+  snippet: string;
+}
+
+// A booking, reminder, preference or past conversation a personal answer
+// drew on; ref is how the answer names it, e.g. "booking NX123456ABCD"
+export interface KnowledgeRecord {
+  id: string;
+  type: 'booking' | 'reminder' | 'preferences' | 'conversation';
+  ref: string;
+  title: string;
+}
+
+// A source cited in an answer; id is the number of its [n] markers
+export interface Citation extends SearchResult {
+  id: number;
+}
+
+export interface WebSearchResponse {
+  success: boolean;
+  response: string;
+  results: SearchResult[];
+  citations: Citation[];
+  source: string;
+  searchProvider: string | null;
+  cache: CacheInfo | null;
+  timestamp: string;
+  query: string;
+}
+
+export interface ModerationInfo {
+  action: 'crisis' | 'block';
+  stage: 'input' | 'output';
+  category: string;
+  categories: string[];
+  classifier: string;
+  emergency?: {
+    type: string;
+    helplines: Array<{ name: string; number: string }>;
+  };
+}
+
+export interface ModerationEvent {
+  id: string;
+  userId: string | null;
+  conversationId: string | null;
+  stage: 'input' | 'output';
+  action: string;
+  category: string;
+  categories: string[];
+  matched: string[];
+  classifier: string;
+  language: string | null;
+  excerpt: string;
+  createdAt: string;
+}
+
+export interface CacheInfo {
+  hit: boolean;
+  originalSource: string;
+  model: string;
+  cachedAt: string;
+  expiresAt: string;
+}
+
+export interface ConversationSummary {
+  conversationId: string;
+  title: string | null;
+  archived: boolean;
+  messageCount: number;
+  lastMessage: {
+    role: 'user' | 'assistant';
+    preview: string;
+    timestamp: string;
+  } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ConversationListResponse {
+  success: boolean;
+  conversations: ConversationSummary[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+  };
+}
+
 export interface BookingData {
   type: 'bus' | 'train' | 'flight';
   from: string;
@@ -36,9 +155,65 @@ export interface BookingData {
     age: number;
     type?: string;
     id?: string;
+    berthPreference?: BerthType | 'any';
   }>;
   class?: string;
   seatType?: string;
+  // Service of a simulated option, and the seats picked from its seat map
+  // (one per passenger, in passenger order)
+  serviceId?: string;
+  seatIds?: string[];
+  berthPreference?: BerthType | 'any';
+}
+
+export type BerthType = 'lower' | 'middle' | 'upper' | 'side-lower' | 'side-upper';
+
+export type SeatStatus = 'available' | 'held' | 'booked';
+
+export interface Seat {
+  seatId: string;
+  coachId: string | null;
+  number: string;
+  position?: 'window' | 'middle' | 'aisle';
+  berth?: BerthType;
+  status: SeatStatus;
+  passenger?: string;
+}
+
+// Seats of one service drawn row by row; null marks the aisle
+export interface SeatMap {
+  serviceId: string;
+  type: 'bus' | 'train' | 'flight';
+  operator: string;
+  from: string;
+  to: string;
+  date: string;
+  time: string | null;
+  class: string;
+  layout: string;
+  coaches: Array<{
+    coachId: string | null;
+    label: string;
+    rows: Array<Array<Seat | null>>;
+  }>;
+  summary: { total: number; available: number; held: number; booked: number };
+}
+
+// Seats held on a booking option until it is confirmed or expiresAt
+export interface SeatHold {
+  holdId: string;
+  userId: string;
+  optionId: string | null;
+  serviceId: string;
+  operator: string;
+  seats: Seat[];
+  option: BookingData & { optionId?: string; estimatedPrice: number };
+  status: 'active' | 'booked' | 'expired' | 'released';
+  expiresAt: string;
+  warnedAt: string | null;
+  bookingId: string | null;
+  createdAt: string;
+  updatedAt: string;
 }
 
 export interface BookingRequest {
@@ -46,12 +221,107 @@ export interface BookingRequest {
   bookingData: BookingData;
 }
 
+export type BookingStatus = 'pending' | 'confirmed' | 'cancelled' | 'completed';
+
+export interface BookingStatusChange {
+  from: BookingStatus | null;
+  to: BookingStatus;
+  at: string;
+  reason?: string;
+}
+
+export type PaymentStatus = 'requires_payment_method' | 'processing' | 'succeeded' | 'cancelled';
+
+export interface Refund {
+  id: string;
+  amount: number;
+  reason: string | null;
+  // pending while the gateway is still being asked for it
+  status: 'pending' | 'succeeded';
+  metadata?: { reservationId: string };
+  createdAt: string;
+}
+
+// Payment intent for a booking; the booking is confirmed once it succeeds
+export interface Payment {
+  intentId: string;
+  bookingId: string;
+  userId: string;
+  amount: number;
+  currency: string;
+  status: PaymentStatus;
+  clientSecret: string;
+  card?: { brand: string; last4: string };
+  lastError?: { code: string; message: string } | null;
+  paidAt?: string;
+  amountRefunded: number;
+  refunds: Refund[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TestCard {
+  number: string;
+  outcome: 'succeeded' | 'failed' | 'processing';
+  description: string;
+}
+
+export interface PaymentResult {
+  success: boolean;
+  status: 'succeeded' | 'failed' | 'processing';
+  payment: Payment;
+  booking: any;
+  // Decline reason when status is failed, e.g. card_declined
+  error?: string;
+  code?: string;
+}
+
 export interface BookingResponse {
   success: boolean;
   booking?: any;
+  payment?: Payment;
   message: string;
 }
 
+// Body of a 409 from the booking routes (and booking-error socket events
+// with status 409): the booking's lifecycle doesn't allow the change
+export interface BookingConflict {
+  success: false;
+  error: string;
+  code: 'INVALID_TRANSITION' | 'BOOKING_CLOSED';
+  currentStatus: BookingStatus;
+  allowedStatuses: BookingStatus[];
+}
+
+export interface UsageTotals {
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  cost: number;
+}
+
+export interface UsageSummary {
+  success: boolean;
+  userId: string;
+  currency: string;
+  daily: UsageTotals & { period: string; byModel: Array<UsageTotals & { provider: string; model: string }> };
+  monthly: UsageTotals & { period: string; byModel: Array<UsageTotals & { provider: string; model: string }> };
+  history: Array<UsageTotals & { date: string }>;
+  quota: {
+    status: 'ok' | 'soft' | 'hard';
+    limits: Array<{
+      name: string;
+      period: 'daily' | 'monthly';
+      metric: string;
+      used: number;
+      soft: number | null;
+      hard: number | null;
+      exceeded: 'soft' | 'hard' | null;
+    }>;
+  };
+}
+
 export interface VoiceRequest {
   transcript: string;
   userId: string;
@@ -191,7 +461,61 @@ class ApiService {
     }
   }
 
-  async webSearch(query: string, userId: string): Promise<any> {
+  async getConversations(userId: string, options: { page?: number; limit?: number; includeArchived?: boolean } = {}): Promise<ConversationListResponse> {
+    try {
+      const response = await this.api.get(`/chat/conversations/${userId}`, { params: options });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get conversations');
+    }
+  }
+
+  async createConversation(userId: string, title?: string): Promise<any> {
+    try {
+      const response = await this.api.post(`/chat/conversations/${userId}`, { title });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to create conversation');
+    }
+  }
+
+  async updateConversation(userId: string, conversationId: string, updates: { title?: string; archived?: boolean }): Promise<any> {
+    try {
+      const response = await this.api.put(`/chat/conversations/${userId}/${conversationId}`, updates);
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to update conversation');
+    }
+  }
+
+  async deleteConversation(userId: string, conversationId: string): Promise<any> {
+    try {
+      const response = await this.api.delete(`/chat/conversations/${userId}/${conversationId}`);
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to delete conversation');
+    }
+  }
+
+  async cancelChatStream(requestId: string, userId?: string): Promise<any> {
+    try {
+      const response = await this.api.delete(`/chat/stream/${requestId}`, { params: { userId } });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to cancel chat stream');
+    }
+  }
+
+  async previewSystemPrompt(userId: string, overrides: { persona?: string; mood?: string; language?: string } = {}): Promise<any> {
+    try {
+      const response = await this.api.get(`/chat/prompt/${userId}`, { params: overrides });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to preview system prompt');
+    }
+  }
+
+  async webSearch(query: string, userId: string): Promise<WebSearchResponse> {
     try {
       const response = await this.api.post('/chat/web-search', { query, userId });
       return response.data;
@@ -248,6 +572,56 @@ class ApiService {
     }
   }
 
+  // Payment API Methods
+  async createPaymentIntent(bookingId: string, userId: string): Promise<{ success: boolean; payment: Payment; booking: any }> {
+    try {
+      const response = await this.api.post('/payments/intents', { bookingId, userId });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to create payment intent');
+    }
+  }
+
+  // Resolves with status failed for a declined card (402)
+  async confirmPayment(intentId: string, userId: string, cardNumber: string): Promise<PaymentResult> {
+    try {
+      const response = await this.api.post(`/payments/${intentId}/confirm`, { userId, card: { number: cardNumber } });
+      return response.data;
+    } catch (error: any) {
+      if (error.response?.status === 402) {
+        return error.response.data;
+      }
+      throw new Error(error.response?.data?.error || 'Failed to confirm payment');
+    }
+  }
+
+  async getPayment(intentId: string, userId: string): Promise<{ success: boolean; payment: Payment }> {
+    try {
+      const response = await this.api.get(`/payments/${intentId}`, { params: { userId } });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get payment');
+    }
+  }
+
+  async refundPayment(intentId: string, userId: string, amount?: number, reason?: string): Promise<any> {
+    try {
+      const response = await this.api.post(`/payments/${intentId}/refund`, { userId, amount, reason });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to refund payment');
+    }
+  }
+
+  async getTestCards(): Promise<TestCard[]> {
+    try {
+      const response = await this.api.get('/payments/test-cards');
+      return response.data.cards;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get test cards');
+    }
+  }
+
   async searchBookings(criteria: any, userId?: string): Promise<any> {
     try {
       const response = await this.api.post('/book/search', { criteria, userId });
@@ -275,6 +649,15 @@ class ApiService {
     }
   }
 
+  async getSeatMap(serviceId: string): Promise<{ success: boolean; seatMap: SeatMap }> {
+    try {
+      const response = await this.api.get(`/book/services/${encodeURIComponent(serviceId)}/seats`);
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get seat map');
+    }
+  }
+
   async saveUserPreferences(userId: string, preferences: any): Promise<any> {
     try {
       const response = await this.api.post(`/book/preferences/${userId}`, { preferences });
@@ -362,6 +745,26 @@ class ApiService {
     }
   }
 
+  // Usage API Methods
+  async getUsage(userId: string, date?: string): Promise<UsageSummary> {
+    try {
+      const response = await this.api.get(`/usage/${userId}`, { params: { date } });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get usage');
+    }
+  }
+
+  // Moderation API Methods
+  async getModerationEvents(filters: { userId?: string; action?: string; category?: string; stage?: string; limit?: number } = {}): Promise<ModerationEvent[]> {
+    try {
+      const response = await this.api.get('/moderation/events', { params: filters });
+      return response.data.events;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get moderation events');
+    }
+  }
+
   // Health Check
   async healthCheck(): Promise<any> {
     try {
@@ -401,6 +804,40 @@ class ApiService {
     this.socket?.on('booking-error', callback);
   }
 
+  onBookingStatusChanged(callback: (data: any) => void): void {
+    this.socket?.on('booking-status-changed', callback);
+  }
+
+  // A new booking waiting for payment: { booking, payment, message }
+  onBookingPaymentRequired(callback: (data: { booking: any; payment: Payment; message: string }) => void): void {
+    this.socket?.on('booking-payment-required', callback);
+  }
+
+  onBookingPaymentProcessing(callback: (data: { booking: any; payment: Payment; message: string }) => void): void {
+    this.socket?.on('booking-payment-processing', callback);
+  }
+
+  onBookingPaymentFailed(callback: (data: { booking: any; payment: Payment; code: string; error: string; message: string }) => void): void {
+    this.socket?.on('booking-payment-failed', callback);
+  }
+
+  onBookingOptions(callback: (data: { options: any[]; seed: number; searchCriteria: BookingData }) => void): void {
+    this.socket?.on('booking-options', callback);
+  }
+
+  onBookingHeld(callback: (data: { hold: SeatHold; message: string }) => void): void {
+    this.socket?.on('booking-held', callback);
+  }
+
+  // The hold is about to lapse; confirm the booking to keep the seats
+  onHoldExpiring(callback: (data: { holdId: string; optionId: string | null; expiresAt: string; secondsLeft: number; message: string }) => void): void {
+    this.socket?.on('hold-expiring', callback);
+  }
+
+  onHoldExpired(callback: (data: { holdId: string; optionId: string | null; seats: string[]; message: string }) => void): void {
+    this.socket?.on('hold-expired', callback);
+  }
+
   onEmergencyResponse(callback: (data: any) => void): void {
     this.socket?.on('emergency-response', callback);
   }
@@ -418,6 +855,10 @@ class ApiService {
     });
   }
 
+  cancelChatStreamRealtime(requestId: string): void {
+    this.socket?.emit('chat-stream-cancel', { requestId });
+  }
+
   sendVoiceCommandRealtime(transcript: string, userId: string, confidence: number, sessionId: string = 'default'): void {
     this.socket?.emit('voice-command', {
       transcript,
@@ -434,6 +875,47 @@ class ApiService {
     });
   }
 
+  simulateBookingRealtime(userId: string, bookingData: BookingData): void {
+    this.socket?.emit('booking-simulation', {
+      userId,
+      bookingData
+    });
+  }
+
+  // Holds seats on one of the booking-options, optionally the seats picked
+  // from its seat map
+  holdBookingOptionRealtime(userId: string, optionId: string, seatIds?: string[]): void {
+    this.socket?.emit('booking-hold', {
+      userId,
+      optionId,
+      seatIds
+    });
+  }
+
+  confirmBookingRealtime(userId: string, holdId: string): void {
+    this.socket?.emit('booking-confirmation', {
+      userId,
+      holdId
+    });
+  }
+
+  payBookingRealtime(userId: string, intentId: string, cardNumber: string): void {
+    this.socket?.emit('booking-payment', {
+      userId,
+      intentId,
+      card: { number: cardNumber }
+    });
+  }
+
+  changeBookingStatusRealtime(userId: string, bookingId: string, status: BookingStatus, reason?: string): void {
+    this.socket?.emit('booking-status-change', {
+      userId,
+      bookingId,
+      status,
+      reason
+    });
+  }
+
   sendEmergencyAlertRealtime(userId: string, emergencyType: string, location?: string, additionalInfo?: string): void {
     this.socket?.emit('emergency-alert', {
       userId,
@@ -14,6 +14,31 @@ class BookingModel {
       CANCELLED: 'cancelled',
       COMPLETED: 'completed'
     };
+
+    // Booking lifecycle: the statuses each status may move to. Cancelled
+    // and completed bookings are final.
+    this.transitions = {
+      pending: ['confirmed', 'cancelled'],
+      confirmed: ['cancelled', 'completed'],
+      cancelled: [],
+      completed: []
+    };
+
+    // Field stamped with the time a booking entered each status
+    this.transitionTimestamps = {
+      confirmed: 'confirmedAt',
+      cancelled: 'cancelledAt',
+      completed: 'completedAt'
+    };
+
+    // Fields only the lifecycle methods and payments may write
+    this.protectedFields = [
+      'bookingId', 'userId', 'status', 'statusHistory', 'createdAt', 'confirmedAt', 'cancelledAt', 'completedAt',
+      'paymentStatus', 'paymentIntentId', 'refundedAmount', 'serviceId', 'seatIds', 'seats', 'holdId'
+    ];
+
+    // Train berths a passenger or booking can ask for
+    this.berthPreferences = ['lower', 'middle', 'upper', 'side-lower', 'side-upper', 'any'];
   }
 
   // Validate booking data based on type
@@ -26,16 +51,49 @@ class BookingModel {
 
     switch (type) {
       case this.bookingTypes.BUS:
-        return this.validateBusBooking(data);
+        return { ...this.validateBusBooking(data), ...this.validateSeatSelection(type, data) };
       case this.bookingTypes.TRAIN:
-        return this.validateTrainBooking(data);
+        return { ...this.validateTrainBooking(data), ...this.validateSeatSelection(type, data) };
       case this.bookingTypes.FLIGHT:
-        return this.validateFlightBooking(data);
+        return { ...this.validateFlightBooking(data), ...this.validateSeatSelection(type, data) };
       default:
         throw new Error(`Unsupported booking type: ${type}`);
     }
   }
 
+  // Optional seat selection: serviceId books one of the simulated options,
+  // seatIds picks one seat per passenger from its seat map and trains take
+  // a berthPreference. Seats are assigned automatically otherwise.
+  validateSeatSelection(type, data) {
+    const selection = {};
+
+    if (data.serviceId) {
+      selection.serviceId = String(data.serviceId);
+    }
+
+    if (data.seatIds) {
+      if (!Array.isArray(data.seatIds) || data.seatIds.length !== data.passengers.length ||
+          new Set(data.seatIds).size !== data.seatIds.length) {
+        throw new Error('seatIds must list a different seat for each passenger');
+      }
+      selection.seatIds = data.seatIds.map(String);
+    }
+
+    if (type === this.bookingTypes.TRAIN && data.berthPreference) {
+      selection.berthPreference = this.validateBerthPreference(data.berthPreference);
+    }
+
+    return selection;
+  }
+
+  validateBerthPreference(preference) {
+    const berth = String(preference).toLowerCase();
+    if (!this.berthPreferences.includes(berth)) {
+      throw new Error(`Invalid berth preference: ${preference}`);
+    }
+    return berth;
+  }
+
   validateBusBooking(data) {
     const required = ['from', 'to', 'date', 'time', 'passengers'];
     const optional = ['seatType', 'operatorPreference'];
@@ -137,7 +195,8 @@ class BookingModel {
         name: passenger.name.trim(),
         age: parseInt(passenger.age),
         type: this.getPassengerType(passenger.age),
-        id: passenger.id || null
+        id: passenger.id || null,
+        ...(passenger.berthPreference && { berthPreference: this.validateBerthPreference(passenger.berthPreference) })
       };
     });
   }
@@ -246,16 +305,16 @@ class BookingModel {
     return `${Math.round(baseDuration * 60)} minutes`;
   }
 
-  // Generate booking confirmation
-  generateBookingConfirmation(validatedBooking, userId) {
-    const bookingId = this.generateBookingId();
+  // New booking in the pending state; it is confirmed once paid
+  createPendingBooking(validatedBooking, userId) {
     const timestamp = new Date().toISOString();
-    
+
     return {
-      bookingId,
+      bookingId: this.generateBookingId(),
       userId,
       ...validatedBooking,
-      status: this.bookingStatus.CONFIRMED,
+      status: this.bookingStatus.PENDING,
+      statusHistory: [{ from: null, to: this.bookingStatus.PENDING, at: timestamp }],
       createdAt: timestamp,
       updatedAt: timestamp,
       confirmationCode: this.generateConfirmationCode(),
@@ -263,6 +322,105 @@ class BookingModel {
     };
   }
 
+  // Start of the trip, in server time; the end of the travel day when
+  // the booking has no departure time (flights)
+  getDepartureTime(booking) {
+    const day = booking.date || booking.departureDate;
+    if (!day) return null;
+
+    const departure = new Date(`${day}T${booking.time || '23:59'}:00`);
+    return isNaN(departure.getTime()) ? null : departure;
+  }
+
+  // Why a booking can't move to a status yet, or null when it can
+  checkTransitionGuard(booking, to, now) {
+    const departure = this.getDepartureTime(booking);
+    const departed = departure && departure <= now;
+
+    switch (to) {
+      case this.bookingStatus.CONFIRMED:
+        if (departed) return 'the trip has already departed';
+        return booking.paymentStatus === 'completed' ? null : 'payment has not been completed';
+      case this.bookingStatus.CANCELLED:
+        return departed ? 'the trip has already departed' : null;
+      case this.bookingStatus.COMPLETED:
+        return departed ? null : 'the trip has not departed yet';
+      default:
+        return null;
+    }
+  }
+
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  // Error for a status change the lifecycle doesn't allow; status 409
+  // tells routes to answer with a conflict
+  transitionError(booking, to, reason) {
+    const error = new Error(`Booking ${booking.bookingId} can't go from ${booking.status} to ${to}: ${reason}`);
+    error.status = 409;
+    error.code = 'INVALID_TRANSITION';
+    error.from = booking.status;
+    error.to = to;
+    error.allowed = this.transitions[booking.status] || [];
+    return error;
+  }
+
+  // Updates that move a booking to status `to`: the status, its timestamp
+  // and a statusHistory entry. Throws a 409 error for transitions the
+  // lifecycle doesn't allow or whose guard fails.
+  transition(booking, to, options = {}) {
+    const now = options.now || new Date();
+
+    if (!this.transitions[to]) {
+      throw this.transitionError(booking, to, 'unknown status');
+    }
+    if (!this.canTransition(booking.status, to)) {
+      const reason = (this.transitions[booking.status] || []).length === 0
+        ? `${booking.status} bookings can't change status`
+        : `allowed next statuses are ${this.transitions[booking.status].join(', ')}`;
+      throw this.transitionError(booking, to, reason);
+    }
+
+    const guard = this.checkTransitionGuard(booking, to, now);
+    if (guard) {
+      throw this.transitionError(booking, to, guard);
+    }
+
+    const at = now.toISOString();
+    return {
+      status: to,
+      [this.transitionTimestamps[to]]: at,
+      statusHistory: [
+        ...(booking.statusHistory || []),
+        { from: booking.status, to, at, ...(options.reason && { reason: options.reason }) }
+      ],
+      ...(to === this.bookingStatus.CANCELLED && { cancellationReason: options.reason || null })
+    };
+  }
+
+  isFinal(booking) {
+    return (this.transitions[booking.status] || []).length === 0;
+  }
+
+  // Cancelled and completed bookings can't be edited
+  assertEditable(booking) {
+    if (this.isFinal(booking)) {
+      const error = new Error(`Booking ${booking.bookingId} is ${booking.status} and can no longer be changed`);
+      error.status = 409;
+      error.code = 'BOOKING_CLOSED';
+      error.from = booking.status;
+      error.allowed = [];
+      throw error;
+    }
+  }
+
+  // Client updates with the lifecycle fields removed; status changes go
+  // through transition()
+  stripProtectedFields(updates = {}) {
+    return Object.fromEntries(Object.entries(updates).filter(([field]) => !this.protectedFields.includes(field)));
+  }
+
   generateBookingId() {
     const prefix = 'NX';
     const timestamp = Date.now().toString().slice(-6);
@@ -64,6 +64,10 @@ const bookingSchema = new mongoose.Schema({
     id: {
       type: String,
       required: false
+    },
+    berthPreference: {
+      type: String,
+      required: false
     }
   }],
   class: {
@@ -89,7 +93,23 @@ const bookingSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'cancelled', 'completed'],
-    default: 'confirmed'
+    default: 'pending'
+  },
+  // Every status change, oldest first: { from, to, at, reason }
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    at: Date,
+    reason: String
+  }],
+  confirmedAt: {
+    type: Date,
+    required: false
+  },
+  completedAt: {
+    type: Date,
+    required: false
   },
   confirmationCode: {
     type: String,
@@ -97,13 +117,40 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded', 'cancelled'],
     default: 'pending'
   },
+  paymentIntentId: {
+    type: String,
+    required: false
+  },
+  refundedAmount: {
+    type: Number,
+    required: false
+  },
+  // Service the seats are on and the seat of each passenger
+  serviceId: {
+    type: String,
+    required: false
+  },
+  seats: [{
+    _id: false,
+    seatId: String,
+    coachId: String,
+    number: String,
+    berth: String,
+    position: String,
+    passenger: String
+  }],
   operator: {
     type: String,
     required: false
   },
+  // Seat hold the booking was made from
+  holdId: {
+    type: String,
+    required: false
+  },
   features: [{
     type: String
   }],
@@ -186,6 +233,20 @@ const chatHistorySchema = new mongoose.Schema({
     required: true,
     default: 'default'
   },
+  title: {
+    type: String,
+    required: false
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  summary: {
+    text: String,
+    coveredUntil: Date,
+    messageCount: Number,
+    updatedAt: Date
+  },
   messages: [{
     role: {
       type: String,
@@ -208,6 +269,12 @@ const chatHistorySchema = new mongoose.Schema({
     metadata: {
       source: String,
       model: String,
+      usage: mongoose.Schema.Types.Mixed,
+      truncated: Boolean,
+      reasoning: String,
+      routing: mongoose.Schema.Types.Mixed,
+      citations: mongoose.Schema.Types.Mixed,
+      records: mongoose.Schema.Types.Mixed,
       confidence: Number,
       commandType: String
     }
@@ -312,6 +379,239 @@ const emergencyAlertSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Reminder Schema
+const reminderSchema = new mongoose.Schema({
+  reminderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  datetime: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: 'general'
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  source: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Usage Ledger Schema: one bucket per user, day, provider and model
+const usageLedgerSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Moderation Event Schema: flagged messages and answers kept for review
+const moderationEventSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: String,
+  conversationId: String,
+  stage: {
+    type: String,
+    enum: ['input', 'output'],
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  category: String,
+  categories: [String],
+  matched: [String],
+  classifier: String,
+  language: String,
+  excerpt: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Payment Schema: a booking's payment intent, its refunds and the ids
+// of the gateway events already applied to it
+const paymentSchema = new mongoose.Schema({
+  intentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bookingId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: String,
+  status: {
+    type: String,
+    enum: ['requires_payment_method', 'processing', 'succeeded', 'cancelled'],
+    default: 'requires_payment_method'
+  },
+  clientSecret: String,
+  gateway: String,
+  card: {
+    brand: String,
+    last4: String
+  },
+  lastError: mongoose.Schema.Types.Mixed,
+  paidAt: Date,
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    _id: false,
+    id: String,
+    amount: Number,
+    reason: String,
+    status: String,
+    metadata: mongoose.Schema.Types.Mixed,
+    createdAt: Date
+  }],
+  events: [String]
+}, {
+  timestamps: true
+});
+
+// Service Inventory Schema: one operator's run on a date in one class.
+// seats maps each taken seat id to its claim { status, bookingId, ... }
+const serviceInventorySchema = new mongoose.Schema({
+  serviceId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['bus', 'train', 'flight'],
+    required: true
+  },
+  operator: String,
+  from: String,
+  to: String,
+  date: String,
+  time: String,
+  class: String,
+  seats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Seat Hold Schema: seats held for a user between picking a booking
+// option and confirming it. option is the picked option, booked as is.
+const seatHoldSchema = new mongoose.Schema({
+  holdId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  optionId: String,
+  serviceId: {
+    type: String,
+    required: true
+  },
+  operator: String,
+  seats: [{
+    _id: false,
+    seatId: String,
+    coachId: String,
+    number: String,
+    berth: String,
+    position: String,
+    passenger: String
+  }],
+  option: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['active', 'booked', 'expired', 'released'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  warnedAt: Date,
+  bookingId: String
+}, {
+  timestamps: true
+});
+
 // Create indexes for better performance
 bookingSchema.index({ userId: 1, createdAt: -1 });
 bookingSchema.index({ status: 1 });
@@ -321,6 +621,7 @@ bookingSchema.index({ 'from': 'text', 'to': 'text' });
 userSchema.index({ userId: 1 });
 
 chatHistorySchema.index({ userId: 1, conversationId: 1 });
+chatHistorySchema.index({ userId: 1, updatedAt: -1 });
 chatHistorySchema.index({ 'messages.timestamp': -1 });
 
 voiceSessionSchema.index({ userId: 1, sessionId: 1 });
@@ -330,18 +631,44 @@ emergencyAlertSchema.index({ userId: 1, createdAt: -1 });
 emergencyAlertSchema.index({ status: 1 });
 emergencyAlertSchema.index({ priority: 1 });
 
+reminderSchema.index({ userId: 1, datetime: 1 });
+
+usageLedgerSchema.index({ userId: 1, date: 1, provider: 1, model: 1 }, { unique: true });
+
+moderationEventSchema.index({ createdAt: -1 });
+moderationEventSchema.index({ action: 1, categories: 1 });
+
+paymentSchema.index({ userId: 1, createdAt: -1 });
+
+serviceInventorySchema.index({ type: 1, from: 1, to: 1, date: 1 });
+
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+seatHoldSchema.index({ userId: 1, status: 1 });
+
 // Create models
 const Booking = mongoose.model('Booking', bookingSchema);
 const User = mongoose.model('User', userSchema);
 const ChatHistory = mongoose.model('ChatHistory', chatHistorySchema);
 const VoiceSession = mongoose.model('VoiceSession', voiceSessionSchema);
 const EmergencyAlert = mongoose.model('EmergencyAlert', emergencyAlertSchema);
+const Reminder = mongoose.model('Reminder', reminderSchema);
+const UsageLedger = mongoose.model('UsageLedger', usageLedgerSchema);
+const ModerationEvent = mongoose.model('ModerationEvent', moderationEventSchema);
+const Payment = mongoose.model('Payment', paymentSchema);
+const ServiceInventory = mongoose.model('ServiceInventory', serviceInventorySchema);
+const SeatHold = mongoose.model('SeatHold', seatHoldSchema);
 
 module.exports = {
   Booking,
   User,
   ChatHistory,
   VoiceSession,
-  EmergencyAlert
+  EmergencyAlert,
+  Reminder,
+  UsageLedger,
+  ModerationEvent,
+  Payment,
+  ServiceInventory,
+  SeatHold
 };
 
@@ -2,10 +2,15 @@ const express = require('express');
 const router = express.Router();
 const BookingModel = require('../models/BookingModel');
 const JSONStorage = require('../utils/jsonStorage');
+const BookingService = require('../utils/bookingService');
+const { OptionsEngine } = require('../utils/inventory');
 
 // Initialize booking model and storage
 const bookingModel = new BookingModel();
 const storage = new JSONStorage();
+const bookings = new BookingService({ bookingModel, storage });
+const { inventory, payments } = bookings;
+const optionsEngine = new OptionsEngine({ inventory });
 
 // POST /api/book - Create a new booking
 router.post('/', async (req, res) => {
@@ -22,32 +27,42 @@ router.post('/', async (req, res) => {
     // Validate booking data
     const validatedBooking = bookingModel.validateBooking(bookingData);
     
-    // Generate booking confirmation
-    const booking = bookingModel.generateBookingConfirmation(validatedBooking, userId);
-    
-    // Save to storage
-    const savedBooking = await storage.saveBooking(booking);
-    
-    if (!savedBooking) {
-      throw new Error('Failed to save booking');
-    }
+    // Seats are reserved now; the booking is pending until it is paid
+    const { booking, payment } = await bookings.create(validatedBooking, userId);
 
     res.status(201).json({
       success: true,
-      booking: savedBooking,
-      message: `${bookingData.type} booking created successfully`
+      booking,
+      payment: payments.describe(payment),
+      message: `${bookingData.type} booking created; complete the payment to confirm it`
     });
 
   } catch (error) {
     console.error('Booking creation error:', error);
-    res.status(400).json({
-      error: error.message || 'Failed to create booking',
-      success: false,
+    res.status(error.status || 400).json({
+      ...bookingError(error, 'Failed to create booking'),
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
+// GET /api/book/services/:serviceId/seats - Seat map of a service, with
+// each seat available, held or booked
+router.get('/services/:serviceId/seats', async (req, res) => {
+  try {
+    const seatMap = await inventory.getSeatMap(req.params.serviceId);
+
+    res.json({
+      success: true,
+      seatMap
+    });
+
+  } catch (error) {
+    console.error('Get seat map error:', error);
+    res.status(error.status || 500).json(bookingError(error, 'Failed to retrieve seat map'));
+  }
+});
+
 // GET /api/book/:bookingId - Get specific booking
 router.get('/:bookingId', async (req, res) => {
   try {
@@ -137,38 +152,46 @@ router.put('/:bookingId', async (req, res) => {
       });
     }
 
+    // Status changes go through the booking lifecycle; other fields can
+    // only be edited while the booking is open
+    const { status, reason, bookingData, ...fields } = updates || {};
+    let validatedUpdates = bookingModel.stripProtectedFields(fields);
+
     // Validate updates if they contain booking data changes
-    let validatedUpdates = updates;
-    if (updates.bookingData) {
+    if (bookingData) {
       validatedUpdates = {
-        ...updates,
+        ...validatedUpdates,
         ...bookingModel.validateBooking({
           type: existingBooking.type,
-          ...updates.bookingData
+          ...bookingData
         })
       };
-      delete validatedUpdates.bookingData;
     }
 
-    // Update booking
-    const updatedBooking = await storage.updateBooking(bookingId, validatedUpdates);
+    if (Object.keys(validatedUpdates).length > 0) {
+      bookingModel.assertEditable(existingBooking);
+    }
+
+    // A status change goes through the booking service, which settles a
+    // cancellation as DELETE does
+    const { booking, payment, refund } = status && status !== existingBooking.status
+      ? await bookings.changeStatus(existingBooking, status, { reason, updates: validatedUpdates })
+      : { booking: await storage.updateBooking(bookingId, validatedUpdates) };
 
-    if (!updatedBooking) {
+    if (!booking) {
       throw new Error('Failed to update booking');
     }
 
     res.json({
       success: true,
-      booking: updatedBooking,
+      booking,
+      ...(payment && { payment: payments.describe(payment), refund }),
       message: 'Booking updated successfully'
     });
 
   } catch (error) {
     console.error('Update booking error:', error);
-    res.status(400).json({
-      error: error.message || 'Failed to update booking',
-      success: false
-    });
+    res.status(error.status || 400).json(bookingError(error, 'Failed to update booking'));
   }
 });
 
@@ -196,29 +219,21 @@ router.delete('/:bookingId', async (req, res) => {
       });
     }
 
-    // Update status to cancelled instead of deleting
-    const cancelledBooking = await storage.updateBooking(bookingId, {
-      status: bookingModel.bookingStatus.CANCELLED,
-      cancellationReason: reason,
-      cancelledAt: new Date().toISOString()
-    });
-
-    if (!cancelledBooking) {
-      throw new Error('Failed to cancel booking');
-    }
+    // Update status to cancelled instead of deleting; the seats are
+    // released and a paid booking is refunded by the refund policy
+    const { booking, payment, refund } = await bookings.changeStatus(existingBooking,
+      bookingModel.bookingStatus.CANCELLED, { reason });
 
     res.json({
       success: true,
-      booking: cancelledBooking,
+      booking,
+      ...(payment && { payment: payments.describe(payment), refund }),
       message: 'Booking cancelled successfully'
     });
 
   } catch (error) {
     console.error('Cancel booking error:', error);
-    res.status(400).json({
-      error: error.message || 'Failed to cancel booking',
-      success: false
-    });
+    res.status(error.status || 400).json(bookingError(error, 'Failed to cancel booking'));
   }
 });
 
@@ -294,32 +309,15 @@ router.post('/simulate', async (req, res) => {
     // Validate the booking data
     const validatedBooking = bookingModel.validateBooking(bookingData);
 
-    // Generate multiple options with different prices and times
-    const options = [];
-    const basePrice = validatedBooking.estimatedPrice;
-
-    // Generate 3-5 different options
-    for (let i = 0; i < Math.min(5, Math.max(3, Math.floor(Math.random() * 3) + 3)); i++) {
-      const priceVariation = 0.8 + (Math.random() * 0.4); // ±20% price variation
-      const timeVariation = Math.floor(Math.random() * 4) - 2; // ±2 hours
-
-      options.push({
-        optionId: `OPT${i + 1}`,
-        ...validatedBooking,
-        estimatedPrice: Math.round(basePrice * priceVariation),
-        timeVariation: timeVariation,
-        availability: Math.random() > 0.1 ? 'available' : 'limited', // 90% available
-        operator: generateRandomOperator(validatedBooking.type),
-        features: generateRandomFeatures(validatedBooking.type)
-      });
-    }
-
-    // Sort by price
-    options.sort((a, b) => a.estimatedPrice - b.estimatedPrice);
+    // The route's departures for the date and class, cheapest first; the
+    // same search always finds the same options
+    const seed = optionsEngine.seedFor(validatedBooking);
+    const options = await optionsEngine.generate(validatedBooking, { seed });
 
     res.json({
       success: true,
       options,
+      seed,
       searchCriteria: bookingData,
       timestamp: new Date().toISOString()
     });
@@ -379,37 +377,24 @@ router.get('/preferences/:userId', async (req, res) => {
 });
 
 // Helper functions
-function generateRandomOperator(type) {
-  const operators = {
-    bus: ['RedBus Express', 'VRL Travels', 'SRS Travels', 'Orange Travels', 'Neeta Travels'],
-    train: ['Indian Railways', 'Rajdhani Express', 'Shatabdi Express', 'Duronto Express'],
-    flight: ['Air India', 'IndiGo', 'SpiceJet', 'Vistara', 'GoAir']
-  };
-  
-  const typeOperators = operators[type] || ['Generic Operator'];
-  return typeOperators[Math.floor(Math.random() * typeOperators.length)];
-}
 
-function generateRandomFeatures(type) {
-  const features = {
-    bus: ['AC', 'WiFi', 'Charging Points', 'Entertainment', 'Blanket'],
-    train: ['AC', 'Meals Included', 'Bedding', 'WiFi', 'Pantry Car'],
-    flight: ['In-flight Meals', 'Entertainment', 'WiFi', 'Extra Legroom', 'Priority Boarding']
+// Error body for booking routes; lifecycle conflicts (409) say which
+// status the booking is in and where it could go instead, seat conflicts
+// which seats were taken
+function bookingError(error, fallback) {
+  return {
+    error: error.message || fallback,
+    success: false,
+    ...(error.code && { code: error.code }),
+    ...(error.from && {
+      currentStatus: error.from,
+      allowedStatuses: error.allowed
+    }),
+    ...(error.seats && {
+      serviceId: error.serviceId,
+      seats: error.seats
+    })
   };
-  
-  const typeFeatures = features[type] || [];
-  const selectedFeatures = [];
-  
-  // Randomly select 2-4 features
-  const featureCount = Math.floor(Math.random() * 3) + 2;
-  for (let i = 0; i < featureCount && i < typeFeatures.length; i++) {
-    const randomFeature = typeFeatures[Math.floor(Math.random() * typeFeatures.length)];
-    if (!selectedFeatures.includes(randomFeature)) {
-      selectedFeatures.push(randomFeature);
-    }
-  }
-  
-  return selectedFeatures;
 }
 
 module.exports = router;
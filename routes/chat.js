@@ -1,17 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const AIService = require('../utils/aiService');
+const ConversationStore = require('../utils/conversationStore');
+const StreamRegistry = require('../utils/streamRegistry');
 
-// Initialize AI service
+// Initialize AI service and the conversation store shared with Socket.IO
 const aiService = new AIService();
+const conversationStore = new ConversationStore({ aiService });
 
-// Store conversation contexts (in production, use Redis or database)
-const conversations = new Map();
+// In-flight SSE streams, cancellable by request ID
+const activeStreams = new StreamRegistry();
 
 // POST /api/chat - Handle chat messages
 router.post('/', async (req, res) => {
   try {
-    const { message, userId, conversationId, useReasoner = false } = req.body;
+    const { message, userId, conversationId, useReasoner = false, useTools = true, useCache = true, useRag, language } = req.body;
 
     if (!message || !userId) {
       return res.status(400).json({
@@ -20,27 +23,17 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Get or create conversation context
-    const contextKey = `${userId}_${conversationId || 'default'}`;
-    let context = conversations.get(contextKey) || [];
+    // Get conversation context
+    const context = await conversationStore.getContext(userId, conversationId);
 
     // Determine if we should use reasoner model
-    const shouldUseReasoner = useReasoner || aiService.shouldUseReasoner(message);
-
-    // Process the message
-    const result = await aiService.processMessage(message, context, shouldUseReasoner);
+    const routing = await aiService.routeMessage(message, { useReasoner, userId });
 
-    // Update conversation context
-    context.push(
-      { role: 'user', content: message },
-      { role: 'assistant', content: result.response }
-    );
+    // Process the message, letting the assistant run booking/reminder tools
+    const result = await aiService.processMessage(message, context, routing.useReasoner, { userId, conversationId, useTools, useCache, useRag, language, routing });
 
-    // Keep only last 20 messages to prevent memory issues
-    if (context.length > 20) {
-      context = context.slice(-20);
-    }
-    conversations.set(contextKey, context);
+    // Persist the exchange
+    await conversationStore.saveExchange(userId, conversationId, message, result);
 
     res.json({
       success: true,
@@ -49,6 +42,14 @@ router.post('/', async (req, res) => {
       model: result.model,
       timestamp: result.timestamp,
       usage: result.usage,
+      actions: result.actions || [],
+      reasoning: result.reasoning || null,
+      routing: result.routing,
+      cache: result.cache || null,
+      moderation: result.moderation || null,
+      redaction: result.redaction || null,
+      citations: result.citations || [],
+      records: result.records || [],
       conversationId: conversationId || 'default'
     });
 
@@ -64,8 +65,10 @@ router.post('/', async (req, res) => {
 
 // POST /api/chat/stream - Handle streaming chat messages
 router.post('/stream', async (req, res) => {
+  let requestId;
+
   try {
-    const { message, userId, conversationId } = req.body;
+    const { message, userId, conversationId, useReasoner = false, useCache = true, useRag, language } = req.body;
 
     if (!message || !userId) {
       return res.status(400).json({
@@ -74,50 +77,86 @@ router.post('/stream', async (req, res) => {
       });
     }
 
+    // Register the stream so it can be cancelled by request ID
+    const stream = activeStreams.start(req.body.requestId, { userId, transport: 'sse' });
+    requestId = stream.requestId;
+
     // Set up Server-Sent Events
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
+      'Access-Control-Allow-Headers': 'Cache-Control',
+      'X-Request-Id': requestId
     });
 
+    // Stop generating once the client goes away
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        activeStreams.cancel(requestId, 'client_disconnected');
+      }
+    });
+
+    const send = (event) => {
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(`data: ${JSON.stringify({ ...event, requestId, timestamp: new Date().toISOString() })}\n\n`);
+        // Push the event past the compression middleware's buffer
+        if (res.flush) res.flush();
+      }
+    };
+
+    // Determine if we should use reasoner model
+    const routing = await aiService.routeMessage(message, { useReasoner, userId });
+
+    send({ type: 'start', routing });
+
     // Get conversation context
-    const contextKey = `${userId}_${conversationId || 'default'}`;
-    let context = conversations.get(contextKey) || [];
+    const context = await conversationStore.getContext(userId, conversationId);
 
     let fullResponse = '';
 
-    // Stream the response
-    await aiService.streamResponse(message, context, (chunk, isComplete) => {
-      if (!isComplete) {
+    // Stream the response; reasoner thinking goes out as its own event type
+    await aiService.streamResponse(message, context, async (chunk, isComplete, meta = {}) => {
+      if (!isComplete && meta.channel === 'reasoning') {
+        send({ type: 'reasoning_chunk', content: chunk });
+      } else if (!isComplete) {
         fullResponse += chunk;
-        res.write(`data: ${JSON.stringify({ 
-          type: 'chunk', 
-          content: chunk,
-          timestamp: new Date().toISOString()
-        })}\n\n`);
+        send({ type: 'chunk', content: chunk });
       } else {
-        // Update conversation context
-        context.push(
-          { role: 'user', content: message },
-          { role: 'assistant', content: fullResponse }
-        );
-
-        if (context.length > 20) {
-          context = context.slice(-20);
+        // A flagged answer is replaced by the moderation response
+        if (meta.response !== undefined) {
+          fullResponse = meta.response;
+        }
+
+        // Persist the exchange, including a partial answer from a cancelled
+        // stream; the answer was streamed already, so it completes either way
+        try {
+          await conversationStore.saveExchange(userId, conversationId, message, {
+            ...meta,
+            response: fullResponse
+          });
+        } catch (error) {
+          console.error('Failed to save streamed exchange:', error);
         }
-        conversations.set(contextKey, context);
 
-        res.write(`data: ${JSON.stringify({ 
-          type: 'complete', 
+        send({
+          type: 'complete',
           fullResponse: fullResponse,
-          timestamp: new Date().toISOString()
-        })}\n\n`);
+          reasoning: meta.reasoning || null,
+          routing: meta.routing,
+          source: meta.source,
+          cache: meta.cache || null,
+          moderation: meta.moderation || null,
+          redaction: meta.redaction || null,
+          citations: meta.citations || [],
+          records: meta.records || [],
+          truncated: !!meta.truncated,
+          cancelReason: meta.truncated ? activeStreams.getCancelReason(requestId) : undefined
+        });
         res.end();
       }
-    });
+    }, { signal: stream.signal, routing, useCache, useRag, userId, conversationId, language });
 
   } catch (error) {
     console.error('Streaming chat error:', error);
@@ -127,21 +166,65 @@ router.post('/stream', async (req, res) => {
       timestamp: new Date().toISOString()
     })}\n\n`);
     res.end();
+  } finally {
+    if (requestId) {
+      activeStreams.finish(requestId);
+    }
+  }
+});
+
+// DELETE /api/chat/stream/:requestId - Stop an in-progress streaming answer
+router.delete('/stream/:requestId', async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const stream = activeStreams.get(requestId);
+
+    if (!stream) {
+      return res.status(404).json({
+        error: 'Stream not found or already finished',
+        success: false
+      });
+    }
+
+    const userId = req.query.userId || (req.body && req.body.userId);
+    if (userId && stream.owner.userId !== userId) {
+      return res.status(403).json({
+        error: 'Stream belongs to another user',
+        success: false
+      });
+    }
+
+    activeStreams.cancel(requestId, 'cancelled_by_user');
+
+    res.json({
+      success: true,
+      requestId,
+      message: 'Stream cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel stream error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel stream',
+      success: false
+    });
   }
 });
 
 // GET /api/chat/history/:userId - Get conversation history
-router.get('/history/:userId', (req, res) => {
+router.get('/history/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     const { conversationId = 'default' } = req.query;
 
-    const contextKey = `${userId}_${conversationId}`;
-    const context = conversations.get(contextKey) || [];
+    const [history, conversation] = await Promise.all([
+      conversationStore.getHistory(userId, conversationId),
+      conversationStore.get(userId, conversationId)
+    ]);
 
     res.json({
       success: true,
-      history: context,
+      history,
+      summary: (conversation && conversation.summary) || null,
       conversationId: conversationId
     });
 
@@ -155,13 +238,12 @@ router.get('/history/:userId', (req, res) => {
 });
 
 // DELETE /api/chat/history/:userId - Clear conversation history
-router.delete('/history/:userId', (req, res) => {
+router.delete('/history/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     const { conversationId = 'default' } = req.query;
 
-    const contextKey = `${userId}_${conversationId}`;
-    conversations.delete(contextKey);
+    await conversationStore.clear(userId, conversationId);
 
     res.json({
       success: true,
@@ -177,10 +259,143 @@ router.delete('/history/:userId', (req, res) => {
   }
 });
 
+// GET /api/chat/conversations/:userId - List a user's conversations
+router.get('/conversations/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page, limit, includeArchived } = req.query;
+
+    const result = await conversationStore.list(userId, {
+      page,
+      limit,
+      includeArchived: includeArchived === 'true'
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      error: 'Failed to list conversations',
+      success: false
+    });
+  }
+});
+
+// POST /api/chat/conversations/:userId - Start a new conversation
+router.post('/conversations/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { title } = req.body;
+
+    const conversation = await conversationStore.create(userId, { title });
+
+    if (!conversation) {
+      throw new Error('Failed to create conversation');
+    }
+
+    res.status(201).json({
+      success: true,
+      conversation
+    });
+
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to create conversation',
+      success: false
+    });
+  }
+});
+
+// PUT /api/chat/conversations/:userId/:conversationId - Rename or archive a conversation
+router.put('/conversations/:userId/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    const { title, archived } = req.body;
+
+    if (title === undefined && archived === undefined) {
+      return res.status(400).json({
+        error: 'title or archived is required',
+        success: false
+      });
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({
+        error: 'title must be a non-empty string',
+        success: false
+      });
+    }
+
+    let conversation = await conversationStore.get(userId, conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        success: false
+      });
+    }
+
+    if (title !== undefined) {
+      conversation = await conversationStore.rename(userId, conversationId, title.trim());
+    }
+
+    if (archived !== undefined) {
+      conversation = await conversationStore.setArchived(userId, conversationId, archived);
+    }
+
+    res.json({
+      success: true,
+      conversation
+    });
+
+  } catch (error) {
+    console.error('Update conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to update conversation',
+      success: false
+    });
+  }
+});
+
+// DELETE /api/chat/conversations/:userId/:conversationId - Delete a conversation
+router.delete('/conversations/:userId/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+
+    const conversation = await conversationStore.get(userId, conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        success: false
+      });
+    }
+
+    await conversationStore.delete(userId, conversationId);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      success: false
+    });
+  }
+});
+
 // POST /api/chat/web-search - Direct web search endpoint
 router.post('/web-search', async (req, res) => {
   try {
-    const { query, userId } = req.body;
+    const { query, userId, useCache = true } = req.body;
 
     if (!query || !userId) {
       return res.status(400).json({
@@ -189,12 +404,16 @@ router.post('/web-search', async (req, res) => {
       });
     }
 
-    const result = await aiService.webSearch(query);
+    const result = await aiService.webSearch(query, { useCache });
 
     res.json({
       success: true,
       response: result.response,
+      results: result.results || [],
+      citations: result.citations || [],
       source: result.source,
+      searchProvider: result.searchProvider || null,
+      cache: result.cache || null,
       timestamp: result.timestamp,
       query: query
     });
@@ -209,5 +428,68 @@ router.post('/web-search', async (req, res) => {
   }
 });
 
+// GET /api/chat/prompt/:userId - Preview the system prompt rendered from the
+// user's stored preferences; ?persona=, ?mood= and ?language= try other settings
+router.get('/prompt/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { persona, mood, language } = req.query;
+    const options = aiService.prompts.getOptions();
+
+    const invalid = [
+      ['persona', persona, options.personas],
+      ['mood', mood, options.moods],
+      ['language', language, options.languages]
+    ].find(([, value, allowed]) => value && !allowed.some(option => option.id === value));
+
+    if (invalid) {
+      return res.status(400).json({
+        error: `Unknown ${invalid[0]} "${invalid[1]}". Use one of: ${invalid[2].map(option => option.id).join(', ')}`,
+        success: false
+      });
+    }
+
+    const prompt = await aiService.prompts.build(userId, { persona, mood, language });
+
+    res.json({
+      success: true,
+      userId,
+      settings: prompt.settings,
+      systemPrompt: prompt.text,
+      options
+    });
+
+  } catch (error) {
+    console.error('Prompt preview error:', error);
+    res.status(500).json({
+      error: 'Failed to render system prompt',
+      success: false
+    });
+  }
+});
+
+// GET /api/chat/health - LLM provider configuration and circuit breaker state
+router.get('/health', (req, res) => {
+  try {
+    const providers = aiService.getProviderHealth();
+    const usable = providers.filter(p => p.configured && p.breaker.state !== 'open');
+
+    res.json({
+      success: true,
+      status: usable.length > 0 ? 'OK' : 'degraded',
+      providers,
+      cache: aiService.cache.getStats(),
+      searchProviders: aiService.search.getAvailable().map(provider => provider.name),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Chat health error:', error);
+    res.status(500).json({
+      error: 'Failed to get provider health',
+      success: false
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { ModerationPipeline } = require('../utils/moderation');
+
+const moderation = new ModerationPipeline();
+
+// GET /api/moderation/events - Flagged messages and answers for review,
+// newest first (?userId, ?action, ?category, ?stage, ?limit)
+router.get('/events', async (req, res) => {
+  try {
+    const { userId, action, category, stage } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+    if (!(limit > 0)) {
+      return res.status(400).json({
+        error: 'limit must be a positive number',
+        success: false
+      });
+    }
+
+    const events = await moderation.getEvents({ userId, action, category, stage, limit: Math.min(limit, 500) });
+
+    res.json({
+      success: true,
+      events,
+      count: events.length
+    });
+
+  } catch (error) {
+    console.error('Get moderation events error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve moderation events',
+      success: false
+    });
+  }
+});
+
+module.exports = router;
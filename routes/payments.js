@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { PaymentService } = require('../utils/payments');
+const JSONStorage = require('../utils/jsonStorage');
+
+const storage = new JSONStorage();
+const payments = new PaymentService({ storage });
+
+// HTTP status for each confirmation outcome; a declined card is 402
+const CONFIRM_STATUS = {
+  succeeded: 200,
+  processing: 202,
+  failed: 402
+};
+
+// Error body for payment routes, with the error code when there is one
+function paymentError(error, fallback) {
+  return {
+    error: error.status ? error.message : fallback,
+    success: false,
+    ...(error.code && { code: error.code })
+  };
+}
+
+// GET /api/payments/test-cards - Card numbers that force an outcome
+router.get('/test-cards', (req, res) => {
+  res.json({
+    success: true,
+    cards: payments.testCards()
+  });
+});
+
+// POST /api/payments/webhook - Signed events from the payment gateway.
+// The signature is an HMAC-SHA256 of the raw body in X-Payment-Signature.
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!payments.webhookEndpointEnabled) {
+      return res.status(503).json({
+        error: 'Payment webhooks are disabled; set PAYMENT_WEBHOOK_SECRET to enable them',
+        success: false,
+        code: 'WEBHOOKS_DISABLED'
+      });
+    }
+
+    const payload = req.rawBody || JSON.stringify(req.body);
+    const result = await payments.handleWebhook(payload, req.get('X-Payment-Signature'));
+
+    res.json({
+      success: true,
+      received: true,
+      duplicate: Boolean(result.duplicate)
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(error.status || 500).json(paymentError(error, 'Failed to process webhook'));
+  }
+});
+
+// POST /api/payments/intents - Payment intent for a pending booking
+router.post('/intents', async (req, res) => {
+  try {
+    const { userId, bookingId } = req.body;
+
+    if (!userId || !bookingId) {
+      return res.status(400).json({
+        error: 'userId and bookingId are required',
+        success: false
+      });
+    }
+
+    const booking = await storage.getBooking(bookingId);
+    if (!booking || booking.userId !== userId) {
+      return res.status(404).json({
+        error: 'Booking not found',
+        success: false
+      });
+    }
+
+    const { payment, booking: payableBooking } = await payments.createIntent(booking);
+
+    res.status(201).json({
+      success: true,
+      payment: payments.describe(payment),
+      booking: payableBooking
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(error.status || 500).json(paymentError(error, 'Failed to create payment intent'));
+  }
+});
+
+// GET /api/payments/:intentId - Payment status, for clients waiting on a
+// processing payment
+router.get('/:intentId', async (req, res) => {
+  try {
+    const payment = await payments.getUserPayment(req.params.intentId, req.query.userId);
+
+    res.json({
+      success: true,
+      payment: payments.describe(payment)
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(error.status || 500).json(paymentError(error, 'Failed to retrieve payment'));
+  }
+});
+
+// POST /api/payments/:intentId/confirm - Pay with card { number }
+router.post('/:intentId/confirm', async (req, res) => {
+  try {
+    const { userId, card } = req.body;
+
+    if (!userId || !card || !card.number) {
+      return res.status(400).json({
+        error: 'userId and card.number are required',
+        success: false
+      });
+    }
+
+    const result = await payments.confirmPayment(req.params.intentId, userId, card);
+
+    res.status(CONFIRM_STATUS[result.status] || 200).json({
+      success: result.status !== 'failed',
+      status: result.status,
+      payment: payments.describe(result.payment),
+      booking: result.booking,
+      ...(result.failure && { error: result.failure.message, code: result.failure.code })
+    });
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(error.status || 500).json(paymentError(error, 'Failed to confirm payment'));
+  }
+});
+
+// POST /api/payments/:intentId/refund - Refund amount (default: the rest)
+router.post('/:intentId/refund', async (req, res) => {
+  try {
+    const { userId, amount, reason } = req.body;
+    const payment = await payments.getUserPayment(req.params.intentId, userId);
+    const result = await payments.refund(payment, { amount, reason });
+
+    res.json({
+      success: true,
+      refund: result.refund,
+      payment: payments.describe(result.payment),
+      booking: result.booking
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(error.status || 500).json(paymentError(error, 'Failed to refund payment'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const UsageTracker = require('../utils/usageTracker');
+
+const usageTracker = new UsageTracker();
+
+// GET /api/usage/:userId - Token usage, estimated cost and quota status
+// for the day (?date=YYYY-MM-DD, default today) and its month
+router.get('/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { date } = req.query;
+    let day = new Date();
+
+    if (date) {
+      day = new Date(`${date}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(day.getTime())) {
+        return res.status(400).json({
+          error: 'date must be in YYYY-MM-DD format',
+          success: false
+        });
+      }
+    }
+
+    const usage = await usageTracker.getSummary(userId, day);
+
+    res.json({
+      success: true,
+      ...usage
+    });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve usage',
+      success: false
+    });
+  }
+});
+
+module.exports = router;
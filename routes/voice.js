@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const AIService = require('../utils/aiService');
+const { I18n } = require('../utils/i18n');
 
 // Initialize AI service
 const aiService = new AIService();
+const i18n = new I18n();
 
 // Store voice sessions (in production, use Redis or database)
 const voiceSessions = new Map();
@@ -11,7 +13,7 @@ const voiceSessions = new Map();
 // POST /api/voice/process - Process voice input
 router.post('/process', async (req, res) => {
   try {
-    const { transcript, userId, sessionId, language = 'en', confidence } = req.body;
+    const { transcript, userId, sessionId, language, confidence } = req.body;
 
     if (!transcript || !userId) {
       return res.status(400).json({
@@ -20,12 +22,16 @@ router.post('/process', async (req, res) => {
       });
     }
 
+    // Reply in the requested language, or the one the user spoke in
+    const replyLanguage = i18n.resolveLanguage(language, transcript);
+
     // Validate confidence level
     if (confidence && confidence < 0.7) {
       return res.json({
         success: true,
-        response: "I didn't quite catch that. Could you please repeat?",
+        response: i18n.t('voice.didNotCatch', replyLanguage),
         confidence: confidence,
+        language: replyLanguage,
         timestamp: new Date().toISOString(),
         requiresRepeat: true
       });
@@ -36,7 +42,7 @@ router.post('/process', async (req, res) => {
     let context = voiceSessions.get(contextKey) || [];
 
     // Process voice command through AI service
-    const result = await aiService.processMessage(transcript, context);
+    const result = await aiService.processMessage(transcript, context, false, { userId, language: replyLanguage });
 
     // Update voice session context
     context.push(
@@ -51,7 +57,8 @@ router.post('/process', async (req, res) => {
     voiceSessions.set(contextKey, context);
 
     // Check if this is a command that needs special handling
-    const commandType = detectCommandType(transcript);
+    const intent = await aiService.intentClassifier.classify(transcript);
+    const commandType = intent.intent;
 
     res.json({
       success: true,
@@ -59,9 +66,13 @@ router.post('/process', async (req, res) => {
       source: result.source,
       model: result.model,
       timestamp: result.timestamp,
+      moderation: result.moderation || null,
+      redaction: result.redaction || null,
       commandType: commandType,
+      intentConfidence: intent.confidence,
+      slots: intent.slots,
       sessionId: sessionId || 'default',
-      language: language,
+      language: replyLanguage,
       confidence: confidence || 1.0,
       shouldSpeak: true // Indicate that response should be spoken
     });
@@ -79,7 +90,7 @@ router.post('/process', async (req, res) => {
 // POST /api/voice/command - Process specific voice commands
 router.post('/command', async (req, res) => {
   try {
-    const { command, userId, parameters = {} } = req.body;
+    const { command, userId, parameters = {}, language } = req.body;
 
     if (!command || !userId) {
       return res.status(400).json({
@@ -88,11 +99,13 @@ router.post('/command', async (req, res) => {
       });
     }
 
-    const result = await processVoiceCommand(command, userId, parameters);
+    const replyLanguage = i18n.resolveLanguage(language);
+    const result = await processVoiceCommand(command, userId, parameters, replyLanguage);
 
     res.json({
       success: true,
       ...result,
+      language: replyLanguage,
       timestamp: new Date().toISOString()
     });
 
@@ -156,7 +169,7 @@ router.delete('/session/:userId', (req, res) => {
 // POST /api/voice/wake-word - Handle wake word detection
 router.post('/wake-word', async (req, res) => {
   try {
-    const { userId, wakeWord, confidence, timestamp } = req.body;
+    const { userId, wakeWord, confidence, timestamp, language } = req.body;
 
     if (!userId || !wakeWord) {
       return res.status(400).json({
@@ -169,7 +182,7 @@ router.post('/wake-word', async (req, res) => {
     console.log(`Wake word "${wakeWord}" detected for user ${userId} with confidence ${confidence}`);
 
     // You can add specific wake word handling logic here
-    const response = await handleWakeWord(wakeWord, userId);
+    const response = await handleWakeWord(wakeWord, userId, i18n.resolveLanguage(language));
 
     res.json({
       success: true,
@@ -189,7 +202,7 @@ router.post('/wake-word', async (req, res) => {
 // POST /api/voice/emergency - Handle emergency voice commands
 router.post('/emergency', async (req, res) => {
   try {
-    const { userId, emergencyType, location, additionalInfo } = req.body;
+    const { userId, emergencyType, location, additionalInfo, language } = req.body;
 
     if (!userId || !emergencyType) {
       return res.status(400).json({
@@ -199,11 +212,13 @@ router.post('/emergency', async (req, res) => {
     }
 
     // Handle emergency command
-    const result = await handleEmergencyCommand(userId, emergencyType, location, additionalInfo);
+    const replyLanguage = i18n.resolveLanguage(language, additionalInfo);
+    const result = await handleEmergencyCommand(userId, emergencyType, location, additionalInfo, replyLanguage);
 
     res.json({
       success: true,
       ...result,
+      language: replyLanguage,
       timestamp: new Date().toISOString(),
       priority: 'high'
     });
@@ -219,58 +234,36 @@ router.post('/emergency', async (req, res) => {
 
 // Helper functions
 
-function detectCommandType(transcript) {
-  const lowerTranscript = transcript.toLowerCase();
-  
-  if (lowerTranscript.includes('book') && (lowerTranscript.includes('ticket') || lowerTranscript.includes('flight') || lowerTranscript.includes('train') || lowerTranscript.includes('bus'))) {
-    return 'booking';
-  }
-  
-  if (lowerTranscript.includes('emergency') || lowerTranscript.includes('help') || lowerTranscript.includes('urgent')) {
-    return 'emergency';
-  }
-  
-  if (lowerTranscript.includes('weather') || lowerTranscript.includes('news') || lowerTranscript.includes('search')) {
-    return 'information';
-  }
-  
-  if (lowerTranscript.includes('remind') || lowerTranscript.includes('schedule') || lowerTranscript.includes('calendar')) {
-    return 'reminder';
-  }
-  
-  if (lowerTranscript.includes('call') || lowerTranscript.includes('message') || lowerTranscript.includes('contact')) {
-    return 'communication';
-  }
-  
-  return 'general';
-}
-
-async function processVoiceCommand(command, userId, parameters) {
+// language is the reply language for every canned response below
+async function processVoiceCommand(command, userId, parameters, language) {
   switch (command) {
     case 'book_ticket':
-      return await handleBookingCommand(userId, parameters);
+      return await handleBookingCommand(userId, parameters, language);
     
     case 'get_weather':
-      return await handleWeatherCommand(parameters.location);
+      return await handleWeatherCommand(parameters.location, language);
     
     case 'set_reminder':
-      return await handleReminderCommand(userId, parameters);
+      return await handleReminderCommand(userId, parameters, language);
     
     case 'emergency_alert':
-      return await handleEmergencyCommand(userId, parameters.type, parameters.location, parameters.info);
+      return await handleEmergencyCommand(userId, parameters.type, parameters.location, parameters.info, language);
     
     case 'get_news':
-      return await handleNewsCommand(parameters.category);
+      return await handleNewsCommand(parameters.category, language);
     
     default:
       return {
-        response: `Command "${command}" is not recognized. Available commands: book_ticket, get_weather, set_reminder, emergency_alert, get_news`,
+        response: i18n.t('voice.unknownCommand', language, {
+          command,
+          commands: 'book_ticket, get_weather, set_reminder, emergency_alert, get_news'
+        }),
         commandType: 'unknown'
       };
   }
 }
 
-async function handleBookingCommand(userId, parameters) {
+async function handleBookingCommand(userId, parameters, language) {
   try {
     // Extract booking parameters from voice command
     const bookingData = {
@@ -293,7 +286,11 @@ async function handleBookingCommand(userId, parameters) {
     }
 
     return {
-      response: `I'll help you book a ${bookingData.type} ticket from ${bookingData.from} to ${bookingData.to}. Let me check available options.`,
+      response: i18n.t('booking.start', language, {
+        type: i18n.label('transport', bookingData.type, language),
+        from: bookingData.from,
+        to: bookingData.to
+      }),
       commandType: 'booking',
       bookingData: bookingData,
       nextAction: 'simulate_booking'
@@ -301,14 +298,14 @@ async function handleBookingCommand(userId, parameters) {
 
   } catch (error) {
     return {
-      response: "I couldn't process your booking request. Please provide more details like departure city, destination, and travel date.",
+      response: i18n.t('booking.needDetails', language),
       commandType: 'booking',
       error: error.message
     };
   }
 }
 
-async function handleWeatherCommand(location) {
+async function handleWeatherCommand(location, language) {
   try {
     // Use AI service to get weather information
     const weatherQuery = `What's the current weather in ${location}?`;
@@ -317,19 +314,21 @@ async function handleWeatherCommand(location) {
     return {
       response: result.response,
       commandType: 'weather',
+      source: result.source,
+      results: result.results || [],
       location: location
     };
 
   } catch (error) {
     return {
-      response: `I couldn't get the weather information for ${location}. Please try again later.`,
+      response: i18n.t('weather.failed', language, { location }),
       commandType: 'weather',
       error: error.message
     };
   }
 }
 
-async function handleReminderCommand(userId, parameters) {
+async function handleReminderCommand(userId, parameters, language) {
   try {
     const reminder = {
       userId: userId,
@@ -339,7 +338,7 @@ async function handleReminderCommand(userId, parameters) {
     };
 
     return {
-      response: `I've set a reminder for "${reminder.title}" at ${reminder.datetime}.`,
+      response: i18n.t('reminder.set', language, { title: reminder.title, datetime: reminder.datetime }),
       commandType: 'reminder',
       reminder: reminder,
       nextAction: 'save_reminder'
@@ -347,14 +346,14 @@ async function handleReminderCommand(userId, parameters) {
 
   } catch (error) {
     return {
-      response: "I couldn't set the reminder. Please specify what you want to be reminded about and when.",
+      response: i18n.t('reminder.failed', language),
       commandType: 'reminder',
       error: error.message
     };
   }
 }
 
-async function handleEmergencyCommand(userId, emergencyType, location, additionalInfo) {
+async function handleEmergencyCommand(userId, emergencyType, location, additionalInfo, language) {
   try {
     const emergency = {
       userId: userId,
@@ -367,7 +366,9 @@ async function handleEmergencyCommand(userId, emergencyType, location, additiona
 
     // In a real application, this would trigger actual emergency services
     return {
-      response: `Emergency alert activated for ${emergencyType}. Help is on the way. Stay calm and safe.`,
+      response: i18n.t('emergency.activated', language, {
+        type: i18n.label('emergencyTypes', emergencyType, language)
+      }),
       commandType: 'emergency',
       emergency: emergency,
       nextAction: 'notify_emergency_contacts'
@@ -375,14 +376,14 @@ async function handleEmergencyCommand(userId, emergencyType, location, additiona
 
   } catch (error) {
     return {
-      response: "Emergency alert could not be processed. Please call emergency services directly.",
+      response: i18n.t('emergency.failed', language),
       commandType: 'emergency',
       error: error.message
     };
   }
 }
 
-async function handleNewsCommand(category) {
+async function handleNewsCommand(category, language) {
   try {
     const newsQuery = category ? `Latest ${category} news` : 'Latest news headlines';
     const result = await aiService.webSearch(newsQuery);
@@ -390,33 +391,29 @@ async function handleNewsCommand(category) {
     return {
       response: result.response,
       commandType: 'news',
+      source: result.source,
+      results: result.results || [],
       category: category
     };
 
   } catch (error) {
     return {
-      response: "I couldn't fetch the latest news right now. Please try again later.",
+      response: i18n.t('news.failed', language),
       commandType: 'news',
       error: error.message
     };
   }
 }
 
-async function handleWakeWord(wakeWord, userId) {
-  const responses = {
-    'neura': "Yes, I'm here. How can I help you?",
-    'guardian': "Guardian Angel at your service. What do you need?",
-    'angel': "I'm listening. What can I do for you?",
-    'hey neura': "Hello! I'm ready to assist you.",
-    'ok guardian': "Yes, I'm here. How may I help?"
-  };
-
-  const response = responses[wakeWord.toLowerCase()] || "I'm here. How can I assist you?";
+async function handleWakeWord(wakeWord, userId, language) {
+  const key = `wakeWord.${wakeWord.toLowerCase()}`;
+  const response = i18n.t(i18n.has(key) ? key : 'wakeWord.default', language);
 
   return {
     response: response,
     commandType: 'wake_word',
     wakeWord: wakeWord,
+    language: language,
     isListening: true
   };
 }
@@ -12,6 +12,9 @@ require('dotenv').config();
 const chatRoutes = require('./routes/chat');
 const bookingRoutes = require('./routes/booking');
 const voiceRoutes = require('./routes/voice');
+const usageRoutes = require('./routes/usage');
+const moderationRoutes = require('./routes/moderation');
+const paymentRoutes = require('./routes/payments');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -60,7 +63,15 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buffer.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Custom middleware
@@ -83,6 +94,9 @@ app.get('/health', (req, res) => {
 app.use('/api/chat', chatRoutes);
 app.use('/api/book', bookingRoutes);
 app.use('/api/voice', voiceRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Initialize Socket.IO handler
 const SocketHandler = require('./utils/socketHandler');
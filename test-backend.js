@@ -1,7 +1,23 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const { io } = require('socket.io-client');
+const { IntentClassifier } = require('./utils/intent');
+const AIService = require('./utils/aiService');
+const ConversationStore = require('./utils/conversationStore');
+const UsageTracker = require('./utils/usageTracker');
+const { ModerationPipeline, RuleBasedModerator } = require('./utils/moderation');
+const { SearchService } = require('./utils/search');
+const { SeatHolds } = require('./utils/inventory');
+const intentCorpus = require('./data/fixtures/intentCorpus.json');
 
 const BASE_URL = 'http://localhost:3001';
 
+// Webhook secret of the server started with npm run start:mock
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_neurax_mock';
+
+// YYYY-MM-DD a number of days from today, so booking dates stay in the future
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
 class BackendTester {
   constructor() {
     this.testResults = [];
@@ -12,8 +28,34 @@ class BackendTester {
 
     await this.testHealthEndpoint();
     await this.testChatEndpoint();
+    await this.testChatStreamEndpoint();
+    await this.testChatStreamCancel();
+    await this.testChatReasoning();
+    await this.testProviderRetries();
+    await this.testResponseCache();
+    await this.testUsageLedger();
+    await this.testPromptPreview();
+    await this.testModeration();
+    await this.testPIIRedaction();
+    await this.testWebSearch();
+    await this.testRagCitations();
+    await this.testChatToolCalling();
+    await this.testPersonalKnowledge();
+    await this.testChatHistory();
+    await this.testConversationManagement();
+    await this.testConversationSummary();
+    await this.testSocketChat();
+    await this.testSocketEmptyPayloads();
     await this.testBookingEndpoints();
+    await this.testBookingOptions();
+    await this.testBookingLifecycle();
+    await this.testPayments();
+    await this.testSeatInventory();
+    await this.testSeatHolds();
+    await this.testSeatHoldExpiry();
     await this.testVoiceEndpoints();
+    await this.testIntentCorpus();
+    await this.testUsageQuotas();
     
     this.printResults();
   }
@@ -54,6 +96,675 @@ class BackendTester {
     }
   }
 
+  async testChatStreamEndpoint() {
+    try {
+      console.log('Testing chat stream endpoint...');
+
+      const response = await axios.post(`${BASE_URL}/api/chat/stream`, {
+        message: 'Hello there',
+        userId: 'test-user-123'
+      }, { responseType: 'text' });
+
+      const events = response.data
+        .split('\n\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice(6)));
+
+      const chunks = events.filter(event => event.type === 'chunk');
+      const complete = events.find(event => event.type === 'complete');
+
+      if (chunks.length > 0 && complete && complete.fullResponse === chunks.map(c => c.content).join('')) {
+        this.addResult('Chat Stream', 'PASS', `Received ${chunks.length} chunks`);
+      } else {
+        this.addResult('Chat Stream', 'FAIL', 'Stream did not complete with matching content');
+      }
+    } catch (error) {
+      this.addResult('Chat Stream', 'FAIL', error.message);
+    }
+  }
+
+  async testChatStreamCancel() {
+    try {
+      console.log('Testing chat stream cancellation...');
+      const userId = 'test-user-123';
+      const conversationId = 'stream-cancel-test';
+      const requestId = `REQTEST${Date.now()}`;
+
+      const response = await axios.post(`${BASE_URL}/api/chat/stream`, {
+        message: 'Tell me a long story',
+        userId,
+        conversationId,
+        requestId
+      }, { responseType: 'stream' });
+
+      // Cancel after the first chunk, then read the stream to its end
+      const events = await new Promise((resolve, reject) => {
+        const received = [];
+        let buffer = '';
+        let cancelled = false;
+
+        response.data.on('data', data => {
+          buffer += data.toString();
+          const parts = buffer.split('\n\n');
+          buffer = parts.pop();
+
+          parts.filter(part => part.startsWith('data: ')).forEach(part => {
+            const event = JSON.parse(part.slice(6));
+            received.push(event);
+
+            if (event.type === 'chunk' && !cancelled) {
+              cancelled = true;
+              axios.delete(`${BASE_URL}/api/chat/stream/${requestId}`, { params: { userId } }).catch(reject);
+            }
+          });
+        });
+        response.data.on('end', () => resolve(received));
+        response.data.on('error', reject);
+      });
+
+      const complete = events.find(event => event.type === 'complete');
+      const history = await axios.get(`${BASE_URL}/api/chat/history/${userId}`, { params: { conversationId } });
+      const saved = history.data.history.filter(m => m.role === 'assistant').pop();
+
+      if (complete && complete.truncated && complete.cancelReason === 'cancelled_by_user' &&
+          saved && saved.metadata.truncated && saved.content === complete.fullResponse) {
+        this.addResult('Chat Stream Cancel', 'PASS', `Stopped after ${complete.fullResponse.length} characters`);
+      } else {
+        this.addResult('Chat Stream Cancel', 'FAIL', `Stream was not cancelled or partial answer not saved (reason: ${complete && complete.cancelReason})`);
+      }
+
+      // Cancelled before its first chunk, there is no reply to store, and
+      // an empty assistant message would fail the Mongo schema
+      const batches = [];
+      const store = new ConversationStore({
+        storage: { saveChatMessage: async (user, conversation, messages) => batches.push(messages) }
+      });
+      await store.saveExchange(userId, conversationId, 'Never mind', { response: '', truncated: true });
+      const roles = batches.flat().map(m => m.role).join(', ');
+
+      if (roles === 'user') {
+        this.addResult('Chat Stream Cancel Before Reply', 'PASS', 'Stored the message without an empty reply');
+      } else {
+        this.addResult('Chat Stream Cancel Before Reply', 'FAIL', `Stored roles: ${roles}`);
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/${userId}/${conversationId}`);
+    } catch (error) {
+      this.addResult('Chat Stream Cancel', 'FAIL', error.message);
+    }
+  }
+
+  async testChatReasoning() {
+    try {
+      console.log('Testing reasoning stream and routing...');
+
+      const response = await axios.post(`${BASE_URL}/api/chat/stream`, {
+        message: 'Calculate the fare for 3 tickets at 450 rupees each',
+        userId: 'test-user-123',
+        conversationId: 'reasoning-test'
+      }, { responseType: 'text' });
+
+      const events = response.data
+        .split('\n\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice(6)));
+
+      const reasoningChunks = events.filter(event => event.type === 'reasoning_chunk');
+      const complete = events.find(event => event.type === 'complete');
+      const routing = complete && complete.routing;
+
+      if (reasoningChunks.length > 0 && complete.reasoning === reasoningChunks.map(c => c.content).join('') &&
+          routing && routing.decidedBy === 'intent-classifier' && routing.matchedKeywords.includes('calculate')) {
+        this.addResult('Chat Reasoning', 'PASS', `${reasoningChunks.length} reasoning chunks from ${routing.model}`);
+      } else {
+        this.addResult('Chat Reasoning', 'FAIL', 'Missing reasoning events or routing decision');
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/test-user-123/reasoning-test`);
+    } catch (error) {
+      this.addResult('Chat Reasoning', 'FAIL', error.message);
+    }
+  }
+
+  async testProviderRetries() {
+    try {
+      console.log('Testing provider retries and breaker health...');
+
+      // The mock fails this prompt twice with a 503 before answering
+      const response = await axios.post(`${BASE_URL}/api/chat`, {
+        message: 'Is the flaky service back?',
+        userId: 'test-user-123',
+        conversationId: 'retry-test'
+      });
+
+      const health = await axios.get(`${BASE_URL}/api/chat/health`);
+      const provider = health.data.providers.find(p => p.name === response.data.source);
+
+      if (response.data.source === 'mock' && provider && provider.breaker.state === 'closed' &&
+          provider.breaker.stats.retries >= 2) {
+        this.addResult('Provider Retries', 'PASS', `${provider.breaker.stats.retries} retries, breaker ${provider.breaker.state}`);
+      } else {
+        this.addResult('Provider Retries', 'FAIL', `Answered by ${response.data.source} without expected retries`);
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/test-user-123/retry-test`);
+    } catch (error) {
+      this.addResult('Provider Retries', 'FAIL', error.message);
+    }
+  }
+
+  async testResponseCache() {
+    try {
+      console.log('Testing response cache...');
+
+      const ask = (message) => axios.post(`${BASE_URL}/api/chat`, {
+        message,
+        userId: 'test-user-123',
+        conversationId: 'cache-test'
+      });
+
+      const first = await ask('What is the speed of light?');
+      const second = await ask('what is the speed of light');
+
+      // Personalized prompts are always answered fresh
+      await ask('What is my name?');
+      const personal = await ask('What is my name?');
+
+      if (first.data.source !== 'cache' && second.data.source === 'cache' &&
+          second.data.response === first.data.response && personal.data.source !== 'cache') {
+        this.addResult('Response Cache', 'PASS', `Hit served from ${second.data.cache.originalSource}`);
+      } else {
+        this.addResult('Response Cache', 'FAIL', `Sources: ${first.data.source}, ${second.data.source}, personal ${personal.data.source}`);
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/test-user-123/cache-test`);
+    } catch (error) {
+      this.addResult('Response Cache', 'FAIL', error.message);
+    }
+  }
+
+  async testUsageLedger() {
+    try {
+      console.log('Testing usage ledger...');
+
+      const response = await axios.get(`${BASE_URL}/api/usage/test-user-123`);
+      const { daily, monthly } = response.data;
+      const mock = daily.byModel.find(entry => entry.provider === 'mock');
+
+      if (response.data.success && mock && mock.totalTokens > 0 && monthly.totalTokens >= daily.totalTokens) {
+        this.addResult('Usage Ledger', 'PASS', `${daily.totalTokens} tokens in ${daily.requests} requests today`);
+      } else {
+        this.addResult('Usage Ledger', 'FAIL', 'No usage recorded for the mock provider');
+      }
+    } catch (error) {
+      this.addResult('Usage Ledger', 'FAIL', error.message);
+    }
+  }
+
+  async testPromptPreview() {
+    try {
+      console.log('Testing persona prompt preview...');
+
+      await axios.post(`${BASE_URL}/api/book/preferences/test-user-prompt`, {
+        preferences: {
+          persona: 'travel-agent',
+          aiMood: 'concise',
+          language: 'te',
+          profile: { name: 'Ravi', homeCity: 'Hyderabad' }
+        }
+      });
+
+      const stored = await axios.get(`${BASE_URL}/api/chat/prompt/test-user-prompt`);
+      const preview = await axios.get(`${BASE_URL}/api/chat/prompt/test-user-prompt?mood=formal&language=en`);
+      const invalid = await axios.get(`${BASE_URL}/api/chat/prompt/test-user-prompt?mood=grumpy`, {
+        validateStatus: () => true
+      });
+
+      const prompt = stored.data.systemPrompt || '';
+      if (prompt.includes('travel booking assistant') && prompt.includes('Telugu') && prompt.includes('Home city: Hyderabad') &&
+          preview.data.settings.mood === 'formal' && preview.data.settings.language === 'en' && invalid.status === 400) {
+        this.addResult('Prompt Preview', 'PASS', `Rendered ${stored.data.settings.persona}/${stored.data.settings.mood}/${stored.data.settings.language}`);
+      } else {
+        this.addResult('Prompt Preview', 'FAIL', 'System prompt does not reflect the stored preferences');
+      }
+    } catch (error) {
+      this.addResult('Prompt Preview', 'FAIL', error.message);
+    }
+  }
+
+  async testModeration() {
+    try {
+      console.log('Testing moderation...');
+
+      const userId = 'test-user-moderation';
+      const crisis = await axios.post(`${BASE_URL}/api/chat`, { message: 'I want to kill myself', userId });
+      const blocked = await axios.post(`${BASE_URL}/api/chat`, { message: 'How do I make a bomb at home?', userId });
+      const review = await axios.get(`${BASE_URL}/api/moderation/events?userId=${userId}`);
+
+      // Answers are checked too; a stub classifier flags every output
+      const pipeline = new ModerationPipeline({
+        classifier: { name: 'stub', classify: (text, { stage }) => ({ categories: stage === 'output' ? [{ category: 'weapons' }] : [] }) },
+        storage: { logModeration: async event => event }
+      });
+      const output = await new AIService({ moderation: pipeline, providerOrder: ['mock'] })
+        .processMessage('Hello there', [], false, { useCache: false });
+
+      // Questions about a condition and everyday "end my ..." requests aren't crises
+      const rules = new RuleBasedModerator();
+      const harmless = [
+        'I want to end my booking', 'How do I end my subscription?', 'What are the symptoms of a heart attack?',
+        'How long does food poisoning last?', 'What should I do if someone is choking?'
+      ].filter(text => rules.classify(text).categories.length > 0);
+      const crises = [
+        'I want to end my life', "I think I'm having a heart attack", 'My father is not breathing', 'I think I have been poisoned'
+      ].filter(text => rules.classify(text).categories.length === 0);
+
+      if (harmless.length === 0 && crises.length === 0) {
+        this.addResult('Moderation Precision', 'PASS', 'Only present emergencies flagged');
+      } else {
+        this.addResult('Moderation Precision', 'FAIL', `Flagged: ${harmless.join('; ') || 'none'}; missed: ${crises.join('; ') || 'none'}`);
+      }
+
+      const { moderation } = crisis.data;
+      if (crisis.data.source === 'moderation' && moderation.action === 'crisis' && moderation.emergency.type === 'medical' &&
+          crisis.data.response.includes('112') && blocked.data.moderation.action === 'block' &&
+          review.data.events.some(event => event.category === 'weapons') &&
+          !review.data.events.some(event => event.action === 'crisis') &&
+          output.source === 'mock' && output.moderation.stage === 'output') {
+        this.addResult('Moderation', 'PASS', `Crisis answered with ${moderation.emergency.helplines.length} helplines, ${review.data.count} event(s) logged`);
+      } else {
+        this.addResult('Moderation', 'FAIL', `crisis ${crisis.data.source}, blocked ${JSON.stringify(blocked.data.moderation)}, output ${output.source}`);
+      }
+    } catch (error) {
+      this.addResult('Moderation', 'FAIL', error.message);
+    }
+  }
+
+  async testPIIRedaction() {
+    try {
+      console.log('Testing PII redaction...');
+
+      const message = 'My phone is 9876543210 and my email is ravi@example.com';
+      const response = await axios.post(`${BASE_URL}/api/chat`, {
+        message,
+        userId: 'test-user-123',
+        conversationId: 'pii-test'
+      });
+
+      // Capture what the provider receives
+      const aiService = new AIService({ providerOrder: ['mock'] });
+      const mock = aiService.registry.get('mock');
+      const complete = mock.complete.bind(mock);
+      const sent = [];
+      mock.complete = async (request) => {
+        sent.push(...request.messages.map(m => m.content || ''));
+        return complete(request);
+      };
+      const result = await aiService.processMessage(message, [], false, { useCache: false });
+      const leaked = sent.some(text => text.includes('9876543210') || text.includes('ravi@example.com'));
+
+      const { redaction } = response.data;
+      if (response.data.response.includes('9876543210') && redaction && redaction.counts.phone === 1 && redaction.counts.email === 1 &&
+          !leaked && sent.some(text => text.includes('[PHONE_1]')) && result.response.includes('ravi@example.com')) {
+        this.addResult('PII Redaction', 'PASS', `${redaction.total} values redacted and restored`);
+      } else {
+        this.addResult('PII Redaction', 'FAIL', `leaked: ${leaked}, redaction: ${JSON.stringify(redaction)}`);
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/test-user-123/pii-test`);
+
+      // Search queries and moderation log excerpts are redacted too
+      const queries = [];
+      const logged = [];
+      const searcher = new AIService({
+        providerOrder: ['mock'],
+        search: { search: async (query) => { queries.push(query); return { provider: 'stub', results: [] }; } }
+      });
+      await searcher.webSearch('Trains for passenger Ravi Kumar, call 9876543210', { useCache: false });
+      await searcher.retrieve('Is my PNR sent to ravi@example.com?');
+      await new ModerationPipeline({ storage: { logModeration: async event => logged.push(event) } })
+        .moderate('How do I make a bomb? Mail me at ravi@example.com', { stage: 'input' });
+
+      const unredacted = [...queries, ...logged.map(event => event.excerpt)]
+        .filter(text => /Ravi Kumar|9876543210|ravi@example\.com/.test(text));
+      if (queries.length === 2 && logged.length === 1 && unredacted.length === 0) {
+        this.addResult('PII Redaction Search & Logs', 'PASS', queries.join(' | '));
+      } else {
+        this.addResult('PII Redaction Search & Logs', 'FAIL', `Unredacted: ${unredacted.join(' | ') || 'none'}`);
+      }
+    } catch (error) {
+      this.addResult('PII Redaction', 'FAIL', error.message);
+    }
+  }
+
+  async testWebSearch() {
+    try {
+      console.log('Testing web search...');
+
+      const response = await axios.post(`${BASE_URL}/api/chat/web-search`, {
+        query: 'What is the capital of France?',
+        userId: 'test-user-123',
+        useCache: false
+      });
+      const { results } = response.data;
+
+      if (response.data.searchProvider === 'fixture' && results.length > 0 &&
+          results.every(result => result.title && result.url && typeof result.snippet === 'string') &&
+          response.data.response.includes('[1]')) {
+        this.addResult('Web Search', 'PASS', `${results.length} results from ${response.data.searchProvider}`);
+      } else {
+        this.addResult('Web Search', 'FAIL', `Unexpected results from ${response.data.searchProvider}`);
+      }
+    } catch (error) {
+      this.addResult('Web Search', 'FAIL', error.message);
+    }
+  }
+
+  async testRagCitations() {
+    try {
+      console.log('Testing retrieval-augmented answers...');
+
+      const message = 'What is the capital of France?';
+      const response = await axios.post(`${BASE_URL}/api/chat`, {
+        message,
+        userId: 'test-user-123',
+        conversationId: 'rag-test',
+        useRag: true,
+        useCache: false
+      });
+
+      // Capture the passages the provider is given
+      const aiService = new AIService({ providerOrder: ['mock'], search: new SearchService({ providerOrder: ['fixture'] }) });
+      const mock = aiService.registry.get('mock');
+      const complete = mock.complete.bind(mock);
+      let systemPrompt = '';
+      mock.complete = async (request) => {
+        systemPrompt = request.messages[0].content;
+        return complete(request);
+      };
+      await aiService.processMessage(message, [], false, { useRag: true, useCache: false });
+
+      const { citations } = response.data;
+      if (response.data.response.includes('[1]') && citations.length > 0 && citations[0].id === 1 &&
+          citations.every(citation => citation.url && citation.title) &&
+          systemPrompt.includes(`[1] ${citations[0].title} (${citations[0].url})`) &&
+          systemPrompt.includes('seat of the French government')) {
+        this.addResult('RAG Citations', 'PASS', `${citations.length} source(s) cited`);
+      } else {
+        this.addResult('RAG Citations', 'FAIL', `citations: ${JSON.stringify(citations)}`);
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/test-user-123/rag-test`);
+    } catch (error) {
+      this.addResult('RAG Citations', 'FAIL', error.message);
+    }
+  }
+
+  async testChatToolCalling() {
+    try {
+      console.log('Testing chat tool calling...');
+
+      const response = await axios.post(`${BASE_URL}/api/chat`, {
+        message: 'Book me a 3AC train from Delhi to Mumbai on Friday',
+        userId: 'test-user-123'
+      });
+
+      const booking = (response.data.actions || []).find(action => action.tool === 'create_booking');
+
+      if (booking && booking.success && booking.result.booking.bookingId) {
+        this.addResult('Chat Tool Calling', 'PASS', `Booked ${booking.result.booking.bookingId}`);
+      } else {
+        this.addResult('Chat Tool Calling', 'FAIL', 'No booking action returned (run the server with AI_PROVIDER_ORDER=mock)');
+      }
+
+      // A provider that fails after its tools acted isn't replaced by the
+      // next one, which would run them again
+      const executed = [];
+      const provider = (name, finish) => ({
+        name,
+        resolveModel: () => `${name}-model`,
+        supportsToolsFor: () => true,
+        buildRequest: request => request,
+        complete: async (request) => request.messages.some(m => m.role === 'tool')
+          ? finish()
+          : { content: null, toolCalls: [{ id: 'call_1', type: 'function', function: { name: 'set_reminder', arguments: '{"title":"Pack bags"}' } }] }
+      });
+      const providers = [
+        provider('flaky', () => { throw new Error('Connection reset'); }),
+        provider('backup', () => ({ content: 'Reminder set.' }))
+      ];
+      const fallback = await new AIService({
+        registry: { getAvailable: () => providers, get: name => providers.find(p => p.name === name) },
+        resilience: { canRequest: () => true, call: (name, fn) => fn({}) },
+        tools: {
+          getDefinitions: () => [],
+          execute: async (tool, args) => {
+            executed.push(tool);
+            return { tool, arguments: args, success: true, result: { reminderId: 'RMD-test' } };
+          }
+        }
+      }).processMessage('Remind me to pack my bags', [], false, { useTools: true, userId: 'test-user-tools', useCache: false });
+
+      if (executed.length === 1 && fallback.source === 'flaky' && fallback.actions.length === 1) {
+        this.addResult('Tool Call Fallback', 'PASS', `Ran ${executed[0]} once: "${fallback.response}"`);
+      } else {
+        this.addResult('Tool Call Fallback', 'FAIL', `${executed.length} tool runs, answered by ${fallback.source}`);
+      }
+    } catch (error) {
+      this.addResult('Chat Tool Calling', 'FAIL', error.message);
+    }
+  }
+
+  async testPersonalKnowledge() {
+    try {
+      console.log('Testing personal knowledge base...');
+
+      // Answered from the booking made by the tool-calling test
+      const response = await axios.post(`${BASE_URL}/api/chat`, {
+        message: 'When is my Mumbai trip?',
+        userId: 'test-user-123',
+        conversationId: 'knowledge-test'
+      });
+      const records = response.data.records || [];
+      const trip = records.find(record => record.type === 'booking' && record.title.includes('Mumbai'));
+
+      if (trip && trip.ref.startsWith('booking NX') && records.every(record => record.type !== 'reminder')) {
+        this.addResult('Personal Knowledge', 'PASS', `Answered from ${trip.ref}`);
+      } else {
+        this.addResult('Personal Knowledge', 'FAIL', `records: ${JSON.stringify(records)}`);
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/test-user-123/knowledge-test`);
+    } catch (error) {
+      this.addResult('Personal Knowledge', 'FAIL', error.message);
+    }
+  }
+
+  async testChatHistory() {
+    try {
+      console.log('Testing chat history...');
+
+      const response = await axios.get(`${BASE_URL}/api/chat/history/test-user-123`);
+      const history = response.data.history || [];
+      const lastReply = history.filter(m => m.role === 'assistant').pop();
+
+      if (response.data.success && lastReply && lastReply.metadata && lastReply.metadata.source) {
+        this.addResult('Chat History', 'PASS', `${history.length} stored messages`);
+      } else {
+        this.addResult('Chat History', 'FAIL', 'History missing stored messages or metadata');
+      }
+    } catch (error) {
+      this.addResult('Chat History', 'FAIL', error.message);
+    }
+  }
+
+  async testConversationManagement() {
+    try {
+      console.log('Testing conversation management...');
+      const userId = 'test-user-123';
+
+      const createResponse = await axios.post(`${BASE_URL}/api/chat/conversations/${userId}`, {});
+      const { conversationId } = createResponse.data.conversation;
+
+      await axios.post(`${BASE_URL}/api/chat`, { message: 'Hello', userId, conversationId });
+
+      const listResponse = await axios.get(`${BASE_URL}/api/chat/conversations/${userId}`);
+      const listed = listResponse.data.conversations.find(c => c.conversationId === conversationId);
+
+      if (listed && listed.messageCount === 2 && listed.lastMessage) {
+        this.addResult('List Conversations', 'PASS', `${listResponse.data.pagination.total} conversations`);
+      } else {
+        this.addResult('List Conversations', 'FAIL', 'New conversation missing from list');
+      }
+
+      const renameResponse = await axios.put(`${BASE_URL}/api/chat/conversations/${userId}/${conversationId}`, {
+        title: 'Renamed conversation'
+      });
+      await axios.put(`${BASE_URL}/api/chat/conversations/${userId}/${conversationId}`, { archived: true });
+
+      const activeResponse = await axios.get(`${BASE_URL}/api/chat/conversations/${userId}`);
+      const stillListed = activeResponse.data.conversations.some(c => c.conversationId === conversationId);
+
+      if (renameResponse.data.conversation.title === 'Renamed conversation' && !stillListed) {
+        this.addResult('Rename/Archive Conversation', 'PASS', 'Conversation renamed and archived');
+      } else {
+        this.addResult('Rename/Archive Conversation', 'FAIL', 'Rename or archive did not apply');
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/${userId}/${conversationId}`);
+      const deletedResponse = await axios.get(`${BASE_URL}/api/chat/conversations/${userId}`, {
+        params: { includeArchived: true }
+      });
+
+      if (!deletedResponse.data.conversations.some(c => c.conversationId === conversationId)) {
+        this.addResult('Delete Conversation', 'PASS', 'Conversation deleted');
+      } else {
+        this.addResult('Delete Conversation', 'FAIL', 'Conversation still listed');
+      }
+    } catch (error) {
+      this.addResult('Conversation Management', 'FAIL', error.message);
+    }
+  }
+
+  async testConversationSummary() {
+    try {
+      console.log('Testing conversation summary...');
+      const userId = 'test-user-123';
+
+      const createResponse = await axios.post(`${BASE_URL}/api/chat/conversations/${userId}`, {});
+      const { conversationId } = createResponse.data.conversation;
+
+      // Enough turns to pass the default summarize threshold
+      for (let i = 1; i <= 12; i++) {
+        await axios.post(`${BASE_URL}/api/chat`, { message: `Message number ${i}`, userId, conversationId });
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const response = await axios.get(`${BASE_URL}/api/chat/history/${userId}`, { params: { conversationId } });
+      const { summary } = response.data;
+
+      if (summary && summary.text && summary.messageCount > 0) {
+        this.addResult('Conversation Summary', 'PASS', `${summary.messageCount} messages summarized`);
+      } else {
+        this.addResult('Conversation Summary', 'FAIL', 'Older turns were not summarized');
+      }
+
+      await axios.delete(`${BASE_URL}/api/chat/conversations/${userId}/${conversationId}`);
+    } catch (error) {
+      this.addResult('Conversation Summary', 'FAIL', error.message);
+    }
+  }
+
+  async testSocketChat() {
+    console.log('Testing Socket.IO chat...');
+    const socket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+
+    try {
+      const response = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for chat-response')), 15000);
+
+        socket.on('connect_error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        socket.on('chat-error', (data) => {
+          clearTimeout(timer);
+          reject(new Error(data.error));
+        });
+        socket.on('connection-confirmed', () => {
+          socket.emit('chat-message', {
+            message: 'Hello, can you help me?',
+            userId: 'test-user-123',
+            conversationId: 'socket-test'
+          });
+        });
+        socket.on('chat-response', (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        });
+
+        socket.emit('user-connect', { userId: 'test-user-123' });
+      });
+
+      if (response.message) {
+        this.addResult('Socket Chat', 'PASS', `Response from ${response.source}`);
+      } else {
+        this.addResult('Socket Chat', 'FAIL', 'Empty chat response');
+      }
+
+      // Socket messages share the conversation store with the REST API
+      const historyResponse = await axios.get(`${BASE_URL}/api/chat/history/test-user-123`, {
+        params: { conversationId: 'socket-test' }
+      });
+      const stored = historyResponse.data.history.some(m => m.role === 'assistant' && m.content === response.message);
+
+      if (stored) {
+        this.addResult('Socket Chat History', 'PASS', 'Socket exchange visible over REST');
+      } else {
+        this.addResult('Socket Chat History', 'FAIL', 'Socket exchange missing from REST history');
+      }
+    } catch (error) {
+      this.addResult('Socket Chat', 'FAIL', error.message);
+    } finally {
+      socket.close();
+    }
+  }
+
+  async testSocketEmptyPayloads() {
+    console.log('Testing Socket.IO events without payloads...');
+    const socket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+    const events = [
+      'chat-message', 'chat-stream-request', 'chat-stream-cancel', 'voice-command', 'voice-stream',
+      'wake-word-detected', 'booking-request', 'booking-simulation', 'booking-hold', 'booking-confirmation',
+      'booking-status-change', 'booking-payment', 'emergency-alert', 'request-status-update', 'typing-start', 'typing-stop'
+    ];
+
+    try {
+      await new Promise((resolve, reject) => {
+        socket.on('connect', resolve);
+        socket.on('connect_error', reject);
+      });
+
+      // A client may send null or nothing at all; neither may take the server down
+      events.forEach(event => {
+        socket.emit(event, null);
+        socket.emit(event);
+      });
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const health = await axios.get(`${BASE_URL}/health`);
+      if (health.data.status === 'OK') {
+        this.addResult('Socket Empty Payloads', 'PASS', `${events.length} events sent with null and no payload`);
+      } else {
+        this.addResult('Socket Empty Payloads', 'FAIL', `Health: ${health.data.status}`);
+      }
+    } catch (error) {
+      this.addResult('Socket Empty Payloads', 'FAIL', error.message);
+    } finally {
+      socket.close();
+    }
+  }
+
   async testBookingEndpoints() {
     try {
       console.log('Testing booking endpoints...');
@@ -64,7 +775,7 @@ class BackendTester {
           type: 'bus',
           from: 'Delhi',
           to: 'Mumbai',
-          date: '2025-07-01',
+          date: daysFromNow(7),
           time: '10:00',
           passengers: [{ name: 'Test User', age: 30 }]
         }
@@ -85,7 +796,7 @@ class BackendTester {
           type: 'bus',
           from: 'Delhi',
           to: 'Mumbai',
-          date: '2025-07-01',
+          date: daysFromNow(7),
           time: '10:00',
           passengers: [{ name: 'Test User', age: 30 }]
         }
@@ -113,6 +824,512 @@ class BackendTester {
     }
   }
 
+  async testBookingOptions() {
+    console.log('Testing booking options...');
+    const socket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+    const bookingData = {
+      type: 'flight',
+      from: 'Delhi',
+      to: 'Bangalore',
+      departureDate: daysFromNow(20),
+      class: 'economy',
+      passengers: [{ name: 'Test User', age: 30 }]
+    };
+    const timetable = (options) => options.map(option => `${option.optionId} ${option.operator} ${option.time} ${option.estimatedPrice}`).join(', ');
+
+    try {
+      // The same search gives the same options over REST and Socket.IO
+      const first = await axios.post(`${BASE_URL}/api/book/simulate`, { bookingData });
+      const second = await axios.post(`${BASE_URL}/api/book/simulate`, { bookingData });
+      const business = await axios.post(`${BASE_URL}/api/book/simulate`, { bookingData: { ...bookingData, class: 'business' } });
+
+      const socketOptions = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for booking-options')), 15000);
+
+        socket.on('connect_error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        socket.on('booking-error', (data) => {
+          clearTimeout(timer);
+          reject(new Error(data.error));
+        });
+        socket.on('connection-confirmed', () => {
+          socket.emit('booking-simulation', { bookingData, userId: 'test-user-123' });
+        });
+        socket.on('booking-options', (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        });
+
+        socket.emit('user-connect', { userId: 'test-user-123' });
+      });
+
+      const expected = timetable(first.data.options);
+      const count = first.data.options.length;
+
+      if (count >= 3 && count <= 5 && timetable(second.data.options) === expected &&
+          timetable(socketOptions.options) === expected && socketOptions.seed === first.data.seed &&
+          business.data.seed !== first.data.seed) {
+        this.addResult('Booking Options', 'PASS', `Seed ${first.data.seed}: ${expected}`);
+      } else {
+        this.addResult('Booking Options', 'FAIL', `REST: ${expected} | ${timetable(second.data.options)}, socket: ${timetable(socketOptions.options)}`);
+      }
+    } catch (error) {
+      this.addResult('Booking Options', 'FAIL', error.message);
+    } finally {
+      socket.close();
+    }
+  }
+
+  async testBookingLifecycle() {
+    console.log('Testing booking lifecycle...');
+    const socket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+    const conflict = (request) => request.then(
+      () => null,
+      (error) => (error.response && error.response.status === 409 ? error.response.data : Promise.reject(error))
+    );
+
+    try {
+      const created = await axios.post(`${BASE_URL}/api/book`, {
+        userId: 'test-user-123',
+        bookingData: {
+          type: 'train',
+          from: 'Hyderabad',
+          to: 'Chennai',
+          date: daysFromNow(10),
+          time: '18:00',
+          class: 'sleeper',
+          passengers: [{ name: 'Test User', age: 30 }]
+        }
+      });
+      const { bookingId } = created.data.booking;
+      const paid = await axios.post(`${BASE_URL}/api/payments/${created.data.payment.intentId}/confirm`, {
+        userId: 'test-user-123',
+        card: { number: '4242424242424242' }
+      });
+
+      const backToPending = await conflict(axios.put(`${BASE_URL}/api/book/${bookingId}`, {
+        userId: 'test-user-123',
+        updates: { status: 'pending' }
+      }));
+      const cancelled = await axios.delete(`${BASE_URL}/api/book/${bookingId}`, {
+        data: { userId: 'test-user-123', reason: 'Plans changed' }
+      });
+      const uncancel = await conflict(axios.put(`${BASE_URL}/api/book/${bookingId}`, {
+        userId: 'test-user-123',
+        updates: { status: 'confirmed' }
+      }));
+      const edit = await conflict(axios.put(`${BASE_URL}/api/book/${bookingId}`, {
+        userId: 'test-user-123',
+        updates: { seatPreference: 'window' }
+      }));
+
+      // The socket path enforces the same lifecycle
+      const socketError = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for booking-error')), 15000);
+
+        socket.on('connect_error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        socket.on('connection-confirmed', () => {
+          socket.emit('booking-status-change', { bookingId, status: 'confirmed', userId: 'test-user-123' });
+        });
+        socket.on('booking-status-changed', () => {
+          clearTimeout(timer);
+          reject(new Error('Cancelled booking was confirmed over Socket.IO'));
+        });
+        socket.on('booking-error', (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        });
+
+        socket.emit('user-connect', { userId: 'test-user-123' });
+      });
+
+      const booking = cancelled.data.booking;
+      const history = (booking.statusHistory || []).map(entry => entry.to).join(' -> ');
+
+      if (created.data.booking.status === 'pending' && paid.data.booking.status === 'confirmed' && paid.data.booking.confirmedAt &&
+          backToPending && backToPending.code === 'INVALID_TRANSITION' &&
+          booking.status === 'cancelled' && booking.cancelledAt && booking.cancellationReason === 'Plans changed' &&
+          history === 'pending -> confirmed -> cancelled' &&
+          uncancel && uncancel.currentStatus === 'cancelled' && uncancel.allowedStatuses.length === 0 &&
+          edit && edit.code === 'BOOKING_CLOSED' && socketError.status === 409) {
+        this.addResult('Booking Lifecycle', 'PASS', `${history}; illegal transitions rejected with 409`);
+      } else {
+        this.addResult('Booking Lifecycle', 'FAIL', `history: ${history}, uncancel: ${JSON.stringify(uncancel)}, socket: ${JSON.stringify(socketError)}`);
+      }
+    } catch (error) {
+      this.addResult('Booking Lifecycle', 'FAIL', error.message);
+    } finally {
+      socket.close();
+    }
+  }
+
+  async testPayments() {
+    console.log('Testing payments...');
+    const userId = 'test-user-123';
+    // Webhook events applied through the REST routes reach the user's sockets
+    const socket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+    const notifications = [];
+    const confirm = (intentId, number) => axios.post(`${BASE_URL}/api/payments/${intentId}/confirm`, {
+      userId,
+      card: { number }
+    }, { validateStatus: () => true });
+    const createBooking = () => axios.post(`${BASE_URL}/api/book`, {
+      userId,
+      bookingData: {
+        type: 'bus',
+        from: 'Hyderabad',
+        to: 'Bangalore',
+        date: daysFromNow(10),
+        time: '21:00',
+        passengers: [{ name: 'Test User', age: 30 }]
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for connection-confirmed')), 15000);
+        socket.on('connection-confirmed', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+        socket.emit('user-connect', { userId });
+      });
+      ['booking-confirmed', 'booking-notification'].forEach(name =>
+        socket.on(name, data => notifications.push({ event: name, ...data })));
+
+      // A declined card leaves the booking pending; a good card confirms it
+      const created = await createBooking();
+      const { intentId, amount } = created.data.payment;
+      const declined = await confirm(intentId, '4000000000000002');
+      const succeeded = await confirm(intentId, '4242424242424242');
+
+      if (created.data.booking.status === 'pending' &&
+          declined.status === 402 && declined.data.code === 'card_declined' &&
+          declined.data.booking.status === 'pending' && declined.data.booking.paymentStatus === 'failed' &&
+          succeeded.status === 200 && succeeded.data.booking.status === 'confirmed' &&
+          succeeded.data.booking.paymentStatus === 'completed') {
+        this.addResult('Payment Confirmation', 'PASS', `Declined, then paid ${amount} ${created.data.payment.currency}`);
+      } else {
+        this.addResult('Payment Confirmation', 'FAIL', `declined: ${declined.status}, succeeded: ${JSON.stringify(succeeded.data)}`);
+      }
+
+      // Webhooks must be signed and are applied once per event id
+      const event = {
+        id: `evt_test_${Date.now()}`,
+        type: 'charge.refunded',
+        createdAt: new Date().toISOString(),
+        data: { intentId, currency: 'INR', refund: { id: `re_test_${Date.now()}`, amount: 100, status: 'succeeded' } }
+      };
+      const payload = JSON.stringify(event);
+      const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+      const post = (headers) => axios.post(`${BASE_URL}/api/payments/webhook`, payload, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        validateStatus: () => true
+      });
+
+      const unsigned = await post({ 'X-Payment-Signature': 'forged' });
+      const first = await post({ 'X-Payment-Signature': signature });
+      const replay = await post({ 'X-Payment-Signature': signature });
+      const afterWebhook = await axios.get(`${BASE_URL}/api/payments/${intentId}`, { params: { userId } });
+
+      // Cancelling ten days out refunds the rest of the price
+      const cancelled = await axios.delete(`${BASE_URL}/api/book/${created.data.booking.bookingId}`, {
+        data: { userId, reason: 'Plans changed' }
+      });
+
+      if (unsigned.status === 400 && first.data.duplicate === false && replay.data.duplicate === true &&
+          afterWebhook.data.payment.amountRefunded === 100 &&
+          cancelled.data.refund && cancelled.data.refund.amount === amount - 100 &&
+          cancelled.data.booking.paymentStatus === 'refunded' && cancelled.data.payment.amountRefunded === amount) {
+        this.addResult('Payment Webhooks & Refunds', 'PASS', `Refunded 100 by webhook and ${cancelled.data.refund.amount} on cancellation`);
+      } else {
+        this.addResult('Payment Webhooks & Refunds', 'FAIL', `webhook: ${unsigned.status}/${JSON.stringify(replay.data)}, cancel: ${JSON.stringify(cancelled.data.refund)}`);
+      }
+
+      // A processing payment settles by webhook a moment later
+      const later = await createBooking();
+      const processing = await confirm(later.data.payment.intentId, '4000000000000077');
+      let settled = null;
+      for (let attempt = 0; attempt < 20 && !settled; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const booking = await axios.get(`${BASE_URL}/api/book/${later.data.booking.bookingId}`);
+        settled = booking.data.booking.status === 'confirmed' ? booking.data.booking : null;
+      }
+
+      const refundNotice = notifications.find(n => n.event === 'booking-notification' && n.refund && n.refund.id === event.data.refund.id);
+      const confirmedNotice = notifications.find(n => n.event === 'booking-confirmed' && settled && n.booking.bookingId === settled.bookingId);
+
+      if (processing.status === 202 && processing.data.payment.status === 'processing' && settled &&
+          refundNotice && confirmedNotice) {
+        this.addResult('Payment Webhook Settlement', 'PASS', `Booking ${settled.bookingId} confirmed by webhook, sockets told`);
+      } else {
+        this.addResult('Payment Webhook Settlement', 'FAIL', `confirm: ${processing.status}, settled: ${Boolean(settled)}, socket events: ${notifications.map(n => n.event).join(', ')}`);
+      }
+
+      // Refunding a confirmed booking in full cancels it
+      const refunded = await axios.post(`${BASE_URL}/api/payments/${later.data.payment.intentId}/refund`, {
+        userId,
+        reason: 'Goodwill'
+      });
+
+      if (refunded.data.booking.status === 'cancelled' && refunded.data.booking.paymentStatus === 'refunded' &&
+          refunded.data.booking.cancellationReason === 'Goodwill') {
+        this.addResult('Full Refund Cancels Booking', 'PASS', `Booking ${refunded.data.booking.bookingId} cancelled by its refund`);
+      } else {
+        this.addResult('Full Refund Cancels Booking', 'FAIL', `booking: ${refunded.data.booking.status}/${refunded.data.booking.paymentStatus}`);
+      }
+
+      // Of two cancellations racing for a paid booking, only one refunds it,
+      // whether it came through DELETE or a status update
+      const raced = await createBooking();
+      const racedUrl = `${BASE_URL}/api/book/${raced.data.booking.bookingId}`;
+      await confirm(raced.data.payment.intentId, '4242424242424242');
+      const cancels = await Promise.all([
+        axios.delete(racedUrl, { data: { userId, reason: 'Double click' }, validateStatus: () => true }),
+        axios.put(racedUrl, { userId, updates: { status: 'cancelled', reason: 'Double click' } }, { validateStatus: () => true })
+      ]);
+      const [won, lost] = [...cancels].sort((a, b) => a.status - b.status);
+
+      if (won.status === 200 && lost.status === 409 && lost.data.code === 'INVALID_TRANSITION' &&
+          won.data.payment.refunds.length === 1 && won.data.payment.amountRefunded === raced.data.payment.amount) {
+        this.addResult('Concurrent Cancellation', 'PASS', `Refunded once, second cancel answered ${lost.status}`);
+      } else {
+        this.addResult('Concurrent Cancellation', 'FAIL', `statuses ${won.status}, ${lost.status}: ${lost.data.error || lost.data.message}`);
+      }
+
+      // Of two confirms racing for one intent, only one charges the card
+      const doubled = await createBooking();
+      const confirms = await Promise.all([
+        confirm(doubled.data.payment.intentId, '4242424242424242'),
+        confirm(doubled.data.payment.intentId, '4242424242424242')
+      ]);
+      const [charged, turnedAway] = [...confirms].sort((a, b) => a.status - b.status);
+      const doubledPayment = (await axios.get(`${BASE_URL}/api/payments/${doubled.data.payment.intentId}`, { params: { userId } })).data.payment;
+      const doubledBooking = (await axios.get(`${BASE_URL}/api/book/${doubled.data.booking.bookingId}`)).data.booking;
+
+      if (charged.status === 200 && turnedAway.status === 409 && turnedAway.data.code === 'PAYMENT_NOT_CONFIRMABLE' &&
+          doubledPayment.status === 'succeeded' && (doubledPayment.amountRefunded || 0) === 0 &&
+          doubledBooking.status === 'confirmed') {
+        this.addResult('Concurrent Confirmation', 'PASS', `Charged once, second confirm answered ${turnedAway.status}`);
+      } else {
+        this.addResult('Concurrent Confirmation', 'FAIL', `statuses ${charged.status}, ${turnedAway.status}; payment ${doubledPayment.status}, refunded ${doubledPayment.amountRefunded}; booking ${doubledBooking.status}`);
+      }
+
+      // Two refunds racing past the amount paid: the second is turned away
+      const refundUrl = `${BASE_URL}/api/payments/${doubled.data.payment.intentId}/refund`;
+      const partial = Math.round(doubledPayment.amount * 60) / 100;
+      const refunds = await Promise.all([1, 2].map(() =>
+        axios.post(refundUrl, { userId, amount: partial, reason: 'Split refund' }, { validateStatus: () => true })));
+      const [granted, refused] = [...refunds].sort((a, b) => a.status - b.status);
+      const splitPayment = (await axios.get(`${BASE_URL}/api/payments/${doubled.data.payment.intentId}`, { params: { userId } })).data.payment;
+
+      if (granted.status === 200 && refused.status === 400 && refused.data.code === 'INVALID_REFUND_AMOUNT' &&
+          splitPayment.amountRefunded === partial && splitPayment.refunds.length === 1 &&
+          splitPayment.refunds[0].status === 'succeeded') {
+        this.addResult('Concurrent Refunds', 'PASS', `Refunded ${partial} once, second refund answered ${refused.status}`);
+      } else {
+        this.addResult('Concurrent Refunds', 'FAIL', `statuses ${granted.status}, ${refused.status}; refunded ${splitPayment.amountRefunded} in ${splitPayment.refunds.length} refunds`);
+      }
+    } catch (error) {
+      this.addResult('Payments', 'FAIL', error.message);
+    } finally {
+      socket.close();
+    }
+  }
+
+  async testSeatInventory() {
+    console.log('Testing seat inventory...');
+    const userId = 'test-user-123';
+    const bookingData = {
+      type: 'train',
+      from: 'Chennai',
+      to: 'Kolkata',
+      date: daysFromNow(12),
+      time: '06:30',
+      class: 'sleeper',
+      passengers: [{ name: 'Test User', age: 30 }]
+    };
+    const book = (extra) => axios.post(`${BASE_URL}/api/book`, {
+      userId,
+      bookingData: { ...bookingData, ...extra }
+    }, { validateStatus: () => true });
+    const seatMap = async (serviceId) => (await axios.get(`${BASE_URL}/api/book/services/${serviceId}/seats`)).data.seatMap;
+    const seatStatus = (map, seatId) => map.coaches.flatMap(coach => coach.rows.flat()).find(seat => seat && seat.seatId === seatId).status;
+
+    try {
+      // Every option carries its service's availability and seat map
+      const simulated = await axios.post(`${BASE_URL}/api/book/simulate`, { bookingData });
+      const option = simulated.data.options[0];
+      const before = await seatMap(option.serviceId);
+      const seatId = before.coaches[0].rows.flat().find(seat => seat && seat.status === 'available').seatId;
+
+      if (option.serviceId && option.seatsAvailable === before.summary.available && before.summary.total > 0) {
+        this.addResult('Seat Map', 'PASS', `${option.serviceId}: ${before.summary.available}/${before.summary.total} seats available`);
+      } else {
+        this.addResult('Seat Map', 'FAIL', `option: ${JSON.stringify(option)}, summary: ${JSON.stringify(before.summary)}`);
+      }
+
+      // A picked seat can only be booked once, and comes back on cancellation
+      const first = await book({ serviceId: option.serviceId, seatIds: [seatId] });
+      const second = await book({ serviceId: option.serviceId, seatIds: [seatId] });
+      const booked = seatStatus(await seatMap(option.serviceId), seatId);
+      await axios.delete(`${BASE_URL}/api/book/${first.data.booking.bookingId}`, { data: { userId, reason: 'Seat test' } });
+      const released = seatStatus(await seatMap(option.serviceId), seatId);
+
+      if (first.status === 201 && first.data.booking.seats[0].seatId === seatId && booked === 'booked' &&
+          second.status === 409 && second.data.code === 'SEATS_UNAVAILABLE' && second.data.seats[0] === seatId &&
+          released === 'available') {
+        this.addResult('Seat Reservation', 'PASS', `${seatId} booked once, 409 on the second try, freed on cancellation`);
+      } else {
+        this.addResult('Seat Reservation', 'FAIL', `first: ${first.status}, second: ${JSON.stringify(second.data)}, booked: ${booked}, released: ${released}`);
+      }
+
+      // Assigned berths follow the berth preference
+      const upper = await book({ serviceId: option.serviceId, berthPreference: 'upper' });
+      const senior = await book({ serviceId: option.serviceId, passengers: [{ name: 'Senior User', age: 70 }] });
+
+      if (upper.status === 201 && upper.data.booking.seats[0].berth === 'upper' &&
+          senior.status === 201 && senior.data.booking.seats[0].berth === 'lower') {
+        this.addResult('Berth Preference', 'PASS', `Upper berth ${upper.data.booking.seats[0].seatId}, senior on ${senior.data.booking.seats[0].seatId}`);
+      } else {
+        this.addResult('Berth Preference', 'FAIL', `upper: ${JSON.stringify(upper.data.booking || upper.data)}, senior: ${JSON.stringify(senior.data.booking || senior.data)}`);
+      }
+    } catch (error) {
+      this.addResult('Seat Inventory', 'FAIL', error.message);
+    }
+  }
+
+  async testSeatHolds() {
+    console.log('Testing seat holds...');
+    const userId = 'test-user-holds';
+    const socket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+    // Resolves with the first of events to arrive, as { event, data }
+    const next = (events, timeout = 15000) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${events.join(' or ')}`)), timeout);
+      events.forEach(event => socket.once(event, (data) => {
+        clearTimeout(timer);
+        events.forEach(other => socket.off(other));
+        resolve({ event, data });
+      }));
+    });
+    const emit = (event, data, events) => {
+      const reply = next(events);
+      socket.emit(event, { ...data, userId });
+      return reply;
+    };
+    const seatStatus = async (serviceId, seatId) => {
+      const { seatMap } = (await axios.get(`${BASE_URL}/api/book/services/${serviceId}/seats`)).data;
+      return seatMap.coaches.flatMap(coach => coach.rows.flat()).find(seat => seat && seat.seatId === seatId).status;
+    };
+
+    try {
+      const connected = next(['connection-confirmed']);
+      socket.emit('user-connect', { userId });
+      await connected;
+
+      const { data: { options } } = await emit('booking-simulation', {
+        bookingData: {
+          type: 'bus',
+          from: 'Pune',
+          to: 'Goa',
+          date: daysFromNow(14),
+          time: '22:00',
+          passengers: [{ name: 'Hold User', age: 35 }]
+        }
+      }, ['booking-options', 'booking-error']);
+
+      // Confirming needs a hold; a held seat shows as held until booked
+      const unheld = await emit('booking-confirmation', { optionId: options[0].optionId }, ['booking-payment-required', 'booking-error']);
+      const { data: { hold } } = await emit('booking-hold', { optionId: options[0].optionId }, ['booking-held', 'booking-error']);
+      const seatId = hold.seats[0].seatId;
+      const held = await seatStatus(hold.serviceId, seatId);
+      const confirmed = await emit('booking-confirmation', { holdId: hold.holdId }, ['booking-payment-required', 'booking-error']);
+      const booked = await seatStatus(hold.serviceId, seatId);
+      const again = await emit('booking-confirmation', { holdId: hold.holdId }, ['booking-payment-required', 'booking-error']);
+
+      if (unheld.data.code === 'HOLD_NOT_FOUND' && held === 'held' &&
+          confirmed.event === 'booking-payment-required' && confirmed.data.booking.seats[0].seatId === seatId &&
+          confirmed.data.booking.holdId === hold.holdId && confirmed.data.booking.estimatedPrice === options[0].estimatedPrice &&
+          booked === 'booked' && again.data.code === 'HOLD_ALREADY_BOOKED') {
+        this.addResult('Seat Hold Booking', 'PASS', `${seatId} held, then booked as ${confirmed.data.booking.bookingId}`);
+      } else {
+        this.addResult('Seat Hold Booking', 'FAIL', `unheld: ${unheld.data.code}, held: ${held}, confirmed: ${JSON.stringify(confirmed.data)}, again: ${again.data.code}`);
+      }
+    } catch (error) {
+      this.addResult('Seat Holds', 'FAIL', error.message);
+    } finally {
+      socket.close();
+    }
+  }
+
+  async testSeatHoldExpiry() {
+    try {
+      console.log('Testing seat hold expiry...');
+
+      // Holds a seat on a fake clock and sweeps every interval until the
+      // hold lapses, noting how long it had left when it was warned
+      const lapse = async (config) => {
+        let clock = new Date('2030-01-01T10:00:00.000Z');
+        const stored = new Map();
+        const released = [];
+        let warnedLeft = null;
+        let expired = null;
+
+        const holds = new SeatHolds({
+          config,
+          now: () => clock,
+          storage: {
+            getHold: async (holdId) => stored.get(holdId) || null,
+            getHolds: async ({ userId, status }) => [...stored.values()]
+              .filter(hold => (!userId || hold.userId === userId) && hold.status === status),
+            saveHold: async (hold) => stored.set(hold.holdId, hold).get(hold.holdId),
+            transitionHold: async (holdId, from, updates) => {
+              const hold = stored.get(holdId);
+              return hold && hold.status === from ? stored.set(holdId, { ...hold, ...updates }).get(holdId) : null;
+            }
+          },
+          inventory: {
+            reserve: async () => ({ serviceId: 'BUS-TEST', operator: 'Test Travels', seats: [{ seatId: '1A' }] }),
+            releaseHold: async (hold) => released.push(hold.holdId)
+          },
+          onExpiring: (hold) => { warnedLeft = new Date(hold.expiresAt) - clock; },
+          onExpired: (hold) => { expired = hold; }
+        });
+
+        const hold = await holds.create('test-user-holds', { optionId: 'OPT1', type: 'bus', estimatedPrice: 900 });
+        for (let sweeps = 0; !expired && sweeps < 100; sweeps++) {
+          clock = new Date(clock.getTime() + holds.sweepIntervalMs);
+          await holds.sweep();
+        }
+        const late = await holds.getLiveHold('test-user-holds', { holdId: hold.holdId }).catch(error => error);
+
+        return { hold, warnedLeft, expired, released, late };
+      };
+
+      // Sweeps 20s apart would miss a 10s warning window; a 3s hold ends
+      // before the first 5s sweep
+      const runs = [
+        await lapse({ ttlMs: 60000, warningMs: 10000, sweepIntervalMs: 20000 }),
+        await lapse({ ttlMs: 3000, warningMs: 60000, sweepIntervalMs: 5000 })
+      ];
+
+      if (runs.every(run => run.warnedLeft > 0 && run.expired && run.expired.holdId === run.hold.holdId &&
+          run.expired.status === 'expired' && run.released[0] === run.hold.holdId &&
+          run.late.status === 410 && run.late.code === 'HOLD_EXPIRED')) {
+        this.addResult('Seat Hold Expiry', 'PASS', `Warned ${runs.map(run => `${run.warnedLeft / 1000}s`).join(' and ')} ahead`);
+      } else {
+        this.addResult('Seat Hold Expiry', 'FAIL', runs.map(run => `warned ${run.warnedLeft}ms ahead, late: ${run.late.code}`).join('; '));
+      }
+    } catch (error) {
+      this.addResult('Seat Hold Expiry', 'FAIL', error.message);
+    }
+  }
+
   async testVoiceEndpoints() {
     try {
       console.log('Testing voice endpoints...');
@@ -131,6 +1348,12 @@ class BackendTester {
         this.addResult('Voice Processing', 'FAIL', 'Voice processing failed');
       }
 
+      if (response.data.commandType === 'booking' && response.data.slots && response.data.slots.to === 'Mumbai') {
+        this.addResult('Voice Intent', 'PASS', `booking (${response.data.intentConfidence})`);
+      } else {
+        this.addResult('Voice Intent', 'FAIL', `Unexpected command type ${response.data.commandType}`);
+      }
+
       // Test wake word endpoint
       const wakeWordData = {
         userId: 'test-user-123',
@@ -146,11 +1369,87 @@ class BackendTester {
         this.addResult('Wake Word', 'FAIL', 'Wake word processing failed');
       }
 
+      // No language given: the Telugu transcript picks Telugu replies
+      const teluguRepeat = await axios.post(`${BASE_URL}/api/voice/process`, {
+        transcript: 'హైదరాబాద్ వాతావరణం ఎలా ఉంది',
+        userId: 'test-user-123',
+        confidence: 0.4
+      });
+      const teluguWake = await axios.post(`${BASE_URL}/api/voice/wake-word`, { ...wakeWordData, language: 'te' });
+      const prompt = await new AIService().buildPrompt('రేపు విజయవాడకు రైలు ఉందా?');
+
+      if (teluguRepeat.data.language === 'te' && /[ఀ-౿]/.test(teluguRepeat.data.response) &&
+          /[ఀ-౿]/.test(teluguWake.data.response) && prompt.settings.language === 'te') {
+        this.addResult('Telugu Replies', 'PASS', teluguWake.data.response);
+      } else {
+        this.addResult('Telugu Replies', 'FAIL', `Got "${teluguRepeat.data.response}" in ${teluguRepeat.data.language}`);
+      }
+
     } catch (error) {
       this.addResult('Voice Tests', 'FAIL', error.message);
     }
   }
 
+  // Runs the labelled English/Telugu corpus through the rule-based
+  // classifier in-process; no server needed
+  async testIntentCorpus() {
+    try {
+      console.log('Testing intent classifier corpus...');
+
+      const classifier = new IntentClassifier({ backend: 'rules' });
+      const failures = [];
+
+      for (const utterance of intentCorpus.utterances) {
+        const result = await classifier.classify(utterance.text);
+        const slotsMatch = Object.entries(utterance.slots || {}).every(([slot, value]) => result.slots[slot] === value);
+        const reasoningMatches = utterance.needsReasoning === undefined || utterance.needsReasoning === result.needsReasoning;
+
+        if (result.intent !== utterance.intent || !slotsMatch || !reasoningMatches) {
+          failures.push(`${utterance.text} -> ${result.intent}`);
+        }
+      }
+
+      if (failures.length === 0) {
+        this.addResult('Intent Corpus', 'PASS', `${intentCorpus.utterances.length} utterances classified`);
+      } else {
+        this.addResult('Intent Corpus', 'FAIL', failures.join('; '));
+      }
+    } catch (error) {
+      this.addResult('Intent Corpus', 'FAIL', error.message);
+    }
+  }
+
+  async testUsageQuotas() {
+    try {
+      console.log('Testing usage quotas...');
+
+      const today = new Date().toISOString().slice(0, 10);
+      const buckets = [{ userId: 'quota-user', date: today, provider: 'deepseek', model: 'deepseek-chat', totalTokens: 1500, cost: 0.5 }];
+      const tracker = new UsageTracker({
+        config: {
+          prices: { 'deepseek-chat': { input: 0.27, output: 1.10 } },
+          quotas: { dailyTokens: { soft: 1000, hard: 2000 }, monthlyCost: { soft: null, hard: 1 } }
+        },
+        storage: { getUsage: async () => buckets }
+      });
+      const aiService = new AIService({ usage: tracker });
+
+      const cost = tracker.estimateCost('deepseek-chat', { prompt_tokens: 1000000, completion_tokens: 1000000 });
+      const soft = await aiService.routeMessage('Explain step by step how compound interest works', { userId: 'quota-user' });
+
+      buckets[0].cost = 1.2;
+      const hard = await tracker.checkQuota('quota-user');
+
+      if (Math.abs(cost - 1.37) < 1e-9 && soft.useReasoner === false && soft.rule === 'soft-limit' && hard.status === 'hard') {
+        this.addResult('Usage Quotas', 'PASS', 'Soft limit drops the reasoner, hard limit reached on cost');
+      } else {
+        this.addResult('Usage Quotas', 'FAIL', `cost ${cost}, soft rule ${soft.rule}, hard status ${hard.status}`);
+      }
+    } catch (error) {
+      this.addResult('Usage Quotas', 'FAIL', error.message);
+    }
+  }
+
   addResult(test, status, message) {
     this.testResults.push({ test, status, message });
     const emoji = status === 'PASS' ? '✅' : '❌';
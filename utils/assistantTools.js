@@ -0,0 +1,268 @@
+const BookingModel = require('../models/BookingModel');
+const JSONStorage = require('./jsonStorage');
+const BookingService = require('./bookingService');
+
+// Booking fields shared by simulate_booking and create_booking
+const bookingParameters = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['bus', 'train', 'flight'], description: 'Mode of travel' },
+    from: { type: 'string', description: 'Departure city' },
+    to: { type: 'string', description: 'Destination city' },
+    date: { type: 'string', description: 'Travel date in YYYY-MM-DD format' },
+    time: { type: 'string', description: 'Preferred departure time in HH:MM (bus and train)' },
+    returnDate: { type: 'string', description: 'Return date in YYYY-MM-DD format (flights only)' },
+    class: {
+      type: 'string',
+      description: 'Travel class. Train: sleeper, 3ac, 2ac, 1ac, cc, ec. Flight: economy, premium-economy, business, first'
+    },
+    seatType: { type: 'string', description: 'Bus seat type, e.g. standard or premium' },
+    berthPreference: {
+      type: 'string',
+      enum: ['lower', 'middle', 'upper', 'side-lower', 'side-upper', 'any'],
+      description: 'Preferred berth on a train; senior citizens get a lower berth unless they ask otherwise'
+    },
+    passengers: {
+      type: 'array',
+      description: 'Travelling passengers',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          age: { type: 'number' }
+        },
+        required: ['name', 'age']
+      }
+    }
+  },
+  required: ['type', 'from', 'to', 'date', 'passengers']
+};
+
+const toolDefinitions = [
+  {
+    name: 'simulate_booking',
+    description: 'Check price and duration for a bus, train or flight trip without booking it.',
+    parameters: bookingParameters
+  },
+  {
+    name: 'create_booking',
+    description: 'Book a bus, train or flight ticket for the user. Only call this once the user has confirmed the trip details. ' +
+      'The booking stays pending until the user pays for it.',
+    parameters: bookingParameters
+  },
+  {
+    name: 'cancel_booking',
+    description: 'Cancel one of the user\'s bookings. Paid bookings are refunded by the refund policy.',
+    parameters: {
+      type: 'object',
+      properties: {
+        bookingId: { type: 'string', description: 'ID of the booking to cancel' },
+        reason: { type: 'string', description: 'Why the booking is being cancelled' }
+      },
+      required: ['bookingId']
+    }
+  },
+  {
+    name: 'list_my_bookings',
+    description: 'List the user\'s bookings, newest first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending', 'confirmed', 'cancelled', 'completed'] },
+        type: { type: 'string', enum: ['bus', 'train', 'flight'] },
+        limit: { type: 'number', description: 'Maximum number of bookings to return' }
+      }
+    }
+  },
+  {
+    name: 'set_reminder',
+    description: 'Set a reminder for the user.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'What to remind the user about' },
+        datetime: { type: 'string', description: 'When to remind, as an ISO 8601 date-time' },
+        type: { type: 'string', description: 'Reminder category, e.g. general, travel, medicine' }
+      },
+      required: ['title', 'datetime']
+    }
+  }
+];
+
+// Tools the assistant can call during a chat. Each call is executed on
+// behalf of the user in the chat context and returns a JSON-serialisable
+// result; failures are reported back to the model instead of thrown.
+class AssistantTools {
+  constructor(options = {}) {
+    this.bookingModel = options.bookingModel || new BookingModel();
+    this.storage = options.storage || new JSONStorage();
+    this.bookings = options.bookings || new BookingService({ bookingModel: this.bookingModel, storage: this.storage });
+
+    this.handlers = {
+      simulate_booking: this.simulateBooking.bind(this),
+      create_booking: this.createBooking.bind(this),
+      cancel_booking: this.cancelBooking.bind(this),
+      list_my_bookings: this.listMyBookings.bind(this),
+      set_reminder: this.setReminder.bind(this)
+    };
+  }
+
+  // Tool schema in OpenAI function calling format
+  getDefinitions() {
+    return toolDefinitions.map(definition => ({
+      type: 'function',
+      function: definition
+    }));
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.handlers, name);
+  }
+
+  async execute(name, args, context = {}) {
+    const action = {
+      tool: name,
+      arguments: args,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (!this.has(name)) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+
+      if (!context.userId) {
+        throw new Error('userId is required to run tools');
+      }
+
+      const parsedArgs = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+      action.arguments = parsedArgs;
+
+      const result = await this.handlers[name](parsedArgs, context);
+      return { ...action, success: true, result };
+
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error.message);
+      return { ...action, success: false, result: { error: error.message } };
+    }
+  }
+
+  // Map the flat tool arguments onto what BookingModel.validateBooking expects
+  toBookingData(args) {
+    const bookingData = { ...args };
+
+    if (bookingData.type === 'flight') {
+      bookingData.departureDate = bookingData.departureDate || bookingData.date;
+      bookingData.class = bookingData.class || 'economy';
+      delete bookingData.date;
+      delete bookingData.time;
+    } else {
+      bookingData.time = bookingData.time || '10:00';
+      if (bookingData.type === 'train') {
+        bookingData.class = bookingData.class || 'sleeper';
+      }
+    }
+
+    return bookingData;
+  }
+
+  async simulateBooking(args) {
+    const quote = this.bookingModel.validateBooking(this.toBookingData(args));
+    return { quote };
+  }
+
+  async createBooking(args, { userId }) {
+    const validatedBooking = this.bookingModel.validateBooking(this.toBookingData(args));
+    const { booking, payment } = await this.bookings.create(validatedBooking, userId);
+
+    return {
+      booking,
+      payment: {
+        intentId: payment.intentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status
+      },
+      nextStep: 'The booking is confirmed once the user completes the payment.'
+    };
+  }
+
+  async cancelBooking(args, { userId }) {
+    const { bookingId, reason = 'Cancelled via assistant' } = args;
+    const existingBooking = await this.storage.getBooking(bookingId);
+
+    if (!existingBooking || existingBooking.userId !== userId) {
+      throw new Error(`Booking ${bookingId} not found`);
+    }
+
+    const settlement = await this.bookings.changeStatus(existingBooking,
+      this.bookingModel.bookingStatus.CANCELLED, { reason });
+    if (!settlement.payment) {
+      return { booking: settlement.booking };
+    }
+
+    return {
+      booking: settlement.booking,
+      refund: settlement.refund
+        ? { amount: settlement.refund.amount, currency: settlement.payment.currency, percent: settlement.refundPercent }
+        : null
+    };
+  }
+
+  async listMyBookings(args, { userId }) {
+    const { status, type, limit = 10 } = args;
+    const bookings = await this.storage.getUserBookings(userId, { status, type, limit }) || [];
+
+    return {
+      count: bookings.length,
+      bookings: bookings.map(booking => ({
+        bookingId: booking.bookingId,
+        type: booking.type,
+        from: booking.from,
+        to: booking.to,
+        date: booking.date || booking.departureDate,
+        time: booking.time,
+        class: booking.class,
+        seats: (booking.seats || []).map(seat => seat.seatId),
+        status: booking.status,
+        paymentStatus: booking.paymentStatus,
+        estimatedPrice: booking.estimatedPrice,
+        confirmationCode: booking.confirmationCode
+      }))
+    };
+  }
+
+  async setReminder(args, { userId }) {
+    const { title, datetime, type = 'general' } = args;
+
+    if (!title || !datetime) {
+      throw new Error('title and datetime are required');
+    }
+
+    if (isNaN(new Date(datetime).getTime())) {
+      throw new Error(`Invalid reminder datetime: ${datetime}`);
+    }
+
+    const reminder = {
+      // The random suffix keeps reminders set in the same millisecond apart
+      reminderId: `RMD${Date.now()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`,
+      userId,
+      title,
+      datetime,
+      type,
+      status: 'scheduled',
+      source: 'assistant',
+      createdAt: new Date().toISOString()
+    };
+
+    const savedReminder = await this.storage.saveReminder(reminder);
+
+    if (!savedReminder) {
+      throw new Error('Failed to save reminder');
+    }
+
+    return { reminder: savedReminder };
+  }
+}
+
+module.exports = AssistantTools;
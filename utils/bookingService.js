@@ -0,0 +1,76 @@
+const BookingModel = require('../models/BookingModel');
+const JSONStorage = require('./jsonStorage');
+const { SeatInventory, SeatHolds } = require('./inventory');
+const { PaymentService } = require('./payments');
+
+// Creating and cancelling bookings, shared by the REST booking routes,
+// the Socket.IO handlers and the assistant's tools. A new booking takes
+// its seats, or the seats of the hold it was made from, and waits for
+// payment; a cancelled one gives its seats back and is refunded.
+class BookingService {
+  constructor(options = {}) {
+    this.bookingModel = options.bookingModel || new BookingModel();
+    this.storage = options.storage || new JSONStorage();
+    this.inventory = options.inventory || new SeatInventory({ storage: this.storage });
+    this.payments = options.payments || new PaymentService({ bookingModel: this.bookingModel, storage: this.storage });
+    this.holds = options.holds || new SeatHolds({ storage: this.storage, inventory: this.inventory });
+  }
+
+  // Saves a validated booking as pending with its seats reserved and a
+  // payment intent for its price: { booking, payment }. Throws 409 when
+  // the seats are taken. With options.hold the booking takes the live
+  // hold's seats instead, or throws 410 when it lapsed.
+  async create(validatedBooking, userId, options = {}) {
+    const { seatIds, berthPreference, ...fields } = validatedBooking;
+    const booking = {
+      ...this.bookingModel.createPendingBooking(fields, userId),
+      ...(options.hold && { holdId: options.hold.holdId })
+    };
+    const reservation = options.hold
+      ? await this.holds.book(options.hold, booking)
+      : await this.inventory.reserve({ ...booking, seatIds, berthPreference });
+
+    const savedBooking = await this.storage.saveBooking({ ...booking, ...reservation });
+    if (!savedBooking) {
+      await this.inventory.release({ ...booking, ...reservation });
+      throw new Error('Failed to save booking');
+    }
+
+    return await this.payments.createIntent(savedBooking);
+  }
+
+  // Moves a booking to status through the lifecycle, along with any
+  // options.updates, and settles a cancellation: { booking, payment,
+  // refund, refundPercent }. The write only applies while the booking is
+  // still in the status it was read in, so of two racing changes the
+  // second fails with a 409 instead of settling twice.
+  async changeStatus(booking, status, options = {}) {
+    const updatedBooking = await this.storage.transitionBooking(booking.bookingId, booking.status, {
+      ...options.updates,
+      ...this.bookingModel.transition(booking, status, options)
+    });
+
+    if (!updatedBooking) {
+      const current = await this.storage.getBooking(booking.bookingId);
+      if (current && current.status !== booking.status) {
+        throw this.bookingModel.transitionError(current, status, 'it changed while being updated');
+      }
+      throw new Error('Failed to update booking');
+    }
+
+    return status === this.bookingModel.bookingStatus.CANCELLED
+      ? await this.settleCancellation(updatedBooking, options)
+      : { booking: updatedBooking, payment: null, refund: null, refundPercent: 0 };
+  }
+
+  // Frees a just-cancelled booking's seats and refunds its payment by the
+  // refund policy: { booking, payment, refund, refundPercent }
+  async settleCancellation(booking, options = {}) {
+    await this.inventory.release(booking);
+
+    const settlement = await this.payments.handleCancellation(booking, options);
+    return settlement || { booking, payment: null, refund: null, refundPercent: 0 };
+  }
+}
+
+module.exports = BookingService;
@@ -0,0 +1,59 @@
+// Token accounting for prompts sent to the LLM providers.
+//
+// Token counts are estimates: Latin text averages ~4 characters per token,
+// while Indic scripts such as Telugu tokenize far less efficiently. The
+// estimate errs on the high side so trimmed prompts stay inside the model's
+// context window.
+class ContextManager {
+  constructor(config = {}) {
+    this.contextWindows = config.modelContextWindows || {};
+    this.defaultContextWindow = config.defaultContextWindow || 8192;
+    this.tokenBudget = config.contextTokenBudget || 3000;
+    this.maxTokens = config.maxTokens || 2000;
+
+    // Fixed per-message overhead for role markers and separators
+    this.messageOverhead = 4;
+  }
+
+  countTokens(text) {
+    if (!text) return 0;
+
+    const latinChars = (text.match(/[\u0000-\u024F]/g) || []).length;
+    const otherChars = text.length - latinChars;
+
+    return Math.ceil(latinChars / 4 + otherChars / 1.5);
+  }
+
+  countMessages(messages = []) {
+    return messages.reduce((sum, message) => sum + this.messageOverhead + this.countTokens(message.content), 0);
+  }
+
+  getContextWindow(model) {
+    return this.contextWindows[model] || this.defaultContextWindow;
+  }
+
+  // Tokens available for prompt messages (system prompt, history and the
+  // new user message) once the completion has been reserved
+  getBudget(model) {
+    return Math.min(this.tokenBudget, this.getContextWindow(model) - this.maxTokens);
+  }
+
+  // Keep the newest history messages that fit next to the fixed messages
+  fitHistory(history, model, fixedMessages = []) {
+    let remaining = this.getBudget(model) - this.countMessages(fixedMessages);
+    const kept = [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const cost = this.countMessages([history[i]]);
+      if (cost > remaining) {
+        break;
+      }
+      remaining -= cost;
+      kept.unshift(history[i]);
+    }
+
+    return kept;
+  }
+}
+
+module.exports = ContextManager;
@@ -0,0 +1,250 @@
+const JSONStorage = require('./jsonStorage');
+const ContextManager = require('./contextManager');
+const aiConfig = require('../config/aiConfig');
+
+// Conversation history shared by the REST chat routes and the Socket.IO
+// handlers. Conversations are keyed by userId + conversationId and live in
+// the storage layer, so every transport sees the same messages.
+class ConversationStore {
+  constructor(options = {}) {
+    this.storage = options.storage || new JSONStorage();
+
+    // Used to title new conversations and summarize older turns
+    this.aiService = options.aiService || null;
+    this.contextManager = options.contextManager ||
+      (this.aiService && this.aiService.contextManager) ||
+      new ContextManager(aiConfig);
+
+    // Turns beyond this many messages (or the token budget) are folded
+    // into the conversation summary
+    this.summarizeAfterMessages = options.summarizeAfterMessages || aiConfig.summarizeAfterMessages;
+    this.previewLength = options.previewLength || 100;
+
+    // Background housekeeping per conversation, chained so it never overlaps
+    this.housekeeping = new Map();
+  }
+
+  normalizeId(conversationId) {
+    return conversationId || 'default';
+  }
+
+  generateId() {
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `CONV${Date.now()}${random}`;
+  }
+
+  async getHistory(userId, conversationId) {
+    return await this.storage.getChatHistory(userId, this.normalizeId(conversationId)) || [];
+  }
+
+  // Messages not yet covered by the summary
+  getUnsummarized(history, summary) {
+    if (!summary || !summary.coveredUntil) {
+      return history;
+    }
+
+    const coveredUntil = new Date(summary.coveredUntil).getTime();
+    return history.filter(m => new Date(m.timestamp).getTime() > coveredUntil);
+  }
+
+  // Context for the model: the running summary as a pinned system message
+  // followed by the turns it doesn't cover yet. AIService trims the turns
+  // to the model's token budget.
+  async getContext(userId, conversationId) {
+    const [conversation, history] = await Promise.all([
+      this.get(userId, conversationId),
+      this.getHistory(userId, conversationId)
+    ]);
+
+    const summary = conversation && conversation.summary;
+    const context = this.getUnsummarized(history, summary);
+
+    if (summary && summary.text) {
+      context.unshift({ role: 'system', content: `Summary of the earlier conversation:\n${summary.text}` });
+    }
+
+    return context;
+  }
+
+  // Store a user message and the assistant reply to it. A stream cancelled
+  // before its first chunk has no reply, so only the message is stored.
+  // Untitled conversations get a generated title in the background.
+  async saveExchange(userId, conversationId, message, result, options = {}) {
+    const timestamp = new Date().toISOString();
+    const type = options.type || 'text';
+    const cutOffEmpty = result.truncated && !result.response;
+
+    const saved = await this.storage.saveChatMessage(userId, this.normalizeId(conversationId), [
+      { role: 'user', content: message, type, timestamp },
+      ...(cutOffEmpty ? [] : [{
+        role: 'assistant',
+        content: result.response,
+        type,
+        timestamp: result.timestamp || timestamp,
+        metadata: {
+          source: result.source,
+          model: result.model,
+          usage: result.usage,
+          routing: result.routing,
+          ...(result.reasoning && { reasoning: result.reasoning }),
+          ...(result.citations && result.citations.length > 0 && { citations: result.citations }),
+          ...(result.records && result.records.length > 0 && { records: result.records }),
+          // Set when the stream was cancelled before the answer finished
+          ...(result.truncated && { truncated: true })
+        }
+      }])
+    ]);
+
+    if (saved && this.aiService) {
+      const key = `${userId}:${this.normalizeId(conversationId)}`;
+      const previous = this.housekeeping.get(key) || Promise.resolve();
+      const next = previous
+        .then(() => this.afterExchange(userId, conversationId, message, result.response))
+        .catch(error => {
+          console.error('Conversation housekeeping failed:', error);
+        })
+        .finally(() => {
+          if (this.housekeeping.get(key) === next) this.housekeeping.delete(key);
+        });
+      this.housekeeping.set(key, next);
+    }
+
+    return saved;
+  }
+
+  // Title first, then summary, so the two conversation updates never race
+  async afterExchange(userId, conversationId, message, reply) {
+    await this.ensureTitle(userId, conversationId, message, reply);
+    await this.compact(userId, conversationId);
+  }
+
+  async ensureTitle(userId, conversationId, message, reply) {
+    const id = this.normalizeId(conversationId);
+    const conversation = await this.storage.getConversation(userId, id);
+
+    if (!conversation || conversation.title) {
+      return conversation;
+    }
+
+    const title = await this.aiService.generateTitle(message, reply, { userId });
+    return await this.storage.updateConversation(userId, id, { title });
+  }
+
+  // Fold the oldest unsummarized turns into the running summary once the
+  // conversation outgrows the message limit or token budget. Folding goes
+  // down to half the limits so summaries aren't rebuilt on every turn.
+  async compact(userId, conversationId) {
+    const id = this.normalizeId(conversationId);
+    const [conversation, history] = await Promise.all([
+      this.get(userId, id),
+      this.getHistory(userId, id)
+    ]);
+
+    if (!conversation) {
+      return null;
+    }
+
+    const previous = conversation.summary || null;
+    const pending = this.getUnsummarized(history, previous);
+    const tokenBudget = this.contextManager.tokenBudget;
+
+    const overLimit = (messages, factor) =>
+      messages.length > this.summarizeAfterMessages * factor ||
+      this.contextManager.countMessages(messages) > tokenBudget * factor;
+
+    if (!overLimit(pending, 0.75)) {
+      return previous;
+    }
+
+    // Fold whole exchanges so a question is never separated from its answer
+    let foldCount = 0;
+    while (foldCount < pending.length - 2 && overLimit(pending.slice(foldCount), 0.5)) {
+      foldCount += 2;
+    }
+
+    const folded = pending.slice(0, foldCount);
+    if (folded.length === 0) {
+      return previous;
+    }
+
+    const summary = {
+      text: await this.aiService.summarize(previous && previous.text, folded, { userId }),
+      // Saved user messages can be stamped after the reply they prompted
+      coveredUntil: new Date(Math.max(...folded.map(m => new Date(m.timestamp).getTime()))).toISOString(),
+      messageCount: ((previous && previous.messageCount) || 0) + folded.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.storage.updateConversation(userId, id, { summary });
+    return summary;
+  }
+
+  async clear(userId, conversationId) {
+    return await this.storage.clearChatHistory(userId, this.normalizeId(conversationId));
+  }
+
+  // Conversation management
+
+  async create(userId, fields = {}) {
+    return await this.storage.createConversation(userId, this.generateId(), {
+      title: fields.title || null,
+      archived: false
+    });
+  }
+
+  async get(userId, conversationId) {
+    return await this.storage.getConversation(userId, this.normalizeId(conversationId));
+  }
+
+  async list(userId, options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+    const result = await this.storage.listConversations(userId, {
+      limit,
+      skip: (page - 1) * limit,
+      includeArchived: options.includeArchived
+    }) || { conversations: [], total: 0 };
+
+    return {
+      conversations: result.conversations.map(conversation => this.toSummary(conversation)),
+      pagination: {
+        page,
+        limit,
+        total: result.total,
+        totalPages: Math.ceil(result.total / limit)
+      }
+    };
+  }
+
+  async rename(userId, conversationId, title) {
+    return await this.storage.updateConversation(userId, this.normalizeId(conversationId), { title });
+  }
+
+  async setArchived(userId, conversationId, archived) {
+    return await this.storage.updateConversation(userId, this.normalizeId(conversationId), { archived: !!archived });
+  }
+
+  async delete(userId, conversationId) {
+    return await this.clear(userId, conversationId);
+  }
+
+  toSummary(conversation) {
+    const { lastMessage, ...summary } = conversation;
+
+    return {
+      ...summary,
+      title: summary.title || null,
+      archived: !!summary.archived,
+      lastMessage: lastMessage ? {
+        role: lastMessage.role,
+        preview: lastMessage.content.length > this.previewLength
+          ? `${lastMessage.content.slice(0, this.previewLength)}...`
+          : lastMessage.content,
+        timestamp: lastMessage.timestamp
+      } : null
+    };
+  }
+}
+
+module.exports = ConversationStore;
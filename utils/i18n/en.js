@@ -0,0 +1,80 @@
+// English strings for voice and Socket.IO replies. {{name}} marks a
+// variable filled in by I18n.t().
+module.exports = {
+  voice: {
+    didNotCatch: "I didn't quite catch that. Could you please repeat?",
+    unknownCommand: 'Command "{{command}}" is not recognized. Available commands: {{commands}}',
+    bookingDetected: 'I detected a booking request. Let me help you with that.',
+    emergencyDetected: 'Emergency command detected. Activating emergency protocols.',
+    audioProcessed: 'Audio processing complete'
+  },
+  wakeWord: {
+    neura: "Yes, I'm here. How can I help you?",
+    guardian: 'Guardian Angel at your service. What do you need?',
+    angel: "I'm listening. What can I do for you?",
+    'hey neura': "Hello! I'm ready to assist you.",
+    'ok guardian': "Yes, I'm here. How may I help?",
+    default: "I'm here. How can I assist you?"
+  },
+  chat: {
+    processing: 'Processing your message...'
+  },
+  booking: {
+    start: "I'll help you book a {{type}} ticket from {{from}} to {{to}}. Let me check available options.",
+    needDetails: "I couldn't process your booking request. Please provide more details like departure city, destination, and travel date.",
+    processing: 'Processing your booking request...',
+    typeConfirmed: '{{type}} booking confirmed successfully',
+    confirmed: 'Booking confirmed successfully',
+    statusChanged: 'Booking {{bookingId}} is now {{status}}',
+    paymentRequired: 'Your {{type}} booking is reserved. Pay {{currency}} {{amount}} to confirm it.',
+    paymentProcessing: 'Your payment is being processed. We will let you know once it goes through.',
+    paymentFailed: 'Your payment did not go through. Please try another card.',
+    held: 'Your seats are held for {{minutes}} minutes. Confirm the booking before then to keep them.',
+    holdExpiring: 'Your seat hold ends in {{seconds}} seconds. Confirm the booking to keep your seats.',
+    holdExpired: 'Your seat hold has expired and the seats were released. Please pick an option again.'
+  },
+  weather: {
+    failed: "I couldn't get the weather information for {{location}}. Please try again later."
+  },
+  news: {
+    failed: "I couldn't fetch the latest news right now. Please try again later."
+  },
+  reminder: {
+    set: 'I\'ve set a reminder for "{{title}}" at {{datetime}}.',
+    failed: "I couldn't set the reminder. Please specify what you want to be reminded about and when."
+  },
+  emergency: {
+    activated: 'Emergency alert activated for {{type}}. Help is on the way. Stay calm and safe.',
+    failed: 'Emergency alert could not be processed. Please call emergency services directly.'
+  },
+  // Safe replies used by the moderation pipeline instead of the model
+  moderation: {
+    'self-harm': "I'm really sorry you're feeling this way, and I'm glad you told me. You don't have to go through this alone. If you might act on these thoughts, please call 112 now, or Tele-MANAS on 14416 to talk to someone. I can also alert your emergency contacts right away: just say \"emergency\" or tap SOS.",
+    'medical-emergency': 'This sounds like a medical emergency. Call 108 for an ambulance or 112 right now. I can alert your emergency contacts and share your location: just say "emergency" or tap SOS.',
+    abuse: "I'm sorry this is happening to you. If you are in danger right now, call 112. The women's helpline is 181 and Childline is 1098. I can quietly alert your emergency contacts: just say \"emergency\" or tap SOS.",
+    crisis: 'It sounds like you may need urgent help. Call 112 right now. I can alert your emergency contacts: just say "emergency" or tap SOS.',
+    blocked: "I can't help with that. If someone is in danger, please call 112.",
+    outputBlocked: "I can't share that answer. Please ask me something else."
+  },
+  errors: {
+    userIdRequired: 'userId is required',
+    connection: 'Failed to establish connection',
+    unauthorized: 'Unauthorized or invalid session',
+    chat: 'Failed to process message',
+    stream: 'Failed to stream response',
+    streamNotFound: 'Stream not found or already finished',
+    voiceCommand: 'Failed to process voice command',
+    voiceStream: 'Failed to process voice stream',
+    wakeWord: 'Failed to process wake word',
+    booking: 'Failed to process booking request',
+    bookingOptions: 'Failed to simulate booking options',
+    bookingConfirmation: 'Failed to confirm booking',
+    bookingNotFound: 'Booking not found',
+    bookingUpdate: 'Failed to update booking',
+    hold: 'Failed to hold seats',
+    optionNotFound: 'That option is no longer available. Please search again.',
+    payment: 'Failed to process payment',
+    emergency: 'Failed to process emergency alert',
+    status: 'Failed to get status update'
+  }
+};
@@ -0,0 +1,94 @@
+const en = require('./en');
+const te = require('./te');
+
+const CATALOGS = { en, te };
+const DEFAULT_LANGUAGE = 'en';
+
+// Unicode script of each language the assistant can detect
+const SCRIPTS = {
+  te: /[ఀ-౿]/g,
+  hi: /[ऀ-ॿ]/g
+};
+
+// Share of letters in a script needed to call a text that language, so a
+// Telugu sentence with an English place name is still Telugu
+const SCRIPT_THRESHOLD = 0.3;
+
+// Language of a text from its script: a language code, or null when the
+// text has no letters to go by
+function detectLanguage(text) {
+  const letters = String(text || '').match(/[\p{L}\p{M}]/gu);
+  if (!letters) return null;
+
+  for (const [language, pattern] of Object.entries(SCRIPTS)) {
+    const count = (String(text).match(pattern) || []).length;
+    if (count / letters.length >= SCRIPT_THRESHOLD) {
+      return language;
+    }
+  }
+
+  return /[a-z]/i.test(text) ? 'en' : null;
+}
+
+// Server-side message catalog for voice and Socket.IO replies.
+// Messages missing from a catalog fall back to English.
+class I18n {
+  constructor(options = {}) {
+    this.catalogs = options.catalogs || CATALOGS;
+    this.defaultLanguage = options.defaultLanguage || DEFAULT_LANGUAGE;
+  }
+
+  isSupported(language) {
+    return !!language && Object.prototype.hasOwnProperty.call(this.catalogs, language);
+  }
+
+  // The requested language when we have a catalog for it, otherwise the
+  // language the text is written in, otherwise the default
+  resolveLanguage(requested, text) {
+    if (this.isSupported(requested)) {
+      return requested;
+    }
+
+    const detected = detectLanguage(text);
+    return this.isSupported(detected) ? detected : this.defaultLanguage;
+  }
+
+  // Whether the default catalog has a message for key
+  has(key) {
+    return typeof this.lookup(this.defaultLanguage, key) === 'string';
+  }
+
+  lookup(language, key) {
+    const catalog = this.catalogs[language];
+    if (!catalog) return undefined;
+
+    // Only the group is split off, so message names may contain dots or spaces
+    const [group, ...rest] = key.split('.');
+    const name = rest.join('.');
+    return name ? (catalog[group] || {})[name] : catalog[group];
+  }
+
+  // t('weather.failed', 'te', { location: 'Hyderabad' })
+  t(key, language, variables = {}) {
+    const message = this.lookup(language, key) ?? this.lookup(this.defaultLanguage, key) ?? key;
+
+    return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : ''
+    );
+  }
+
+  // A value shown inside a message (transport type, emergency type) in
+  // the user's language, or unchanged when the catalog has no translation
+  label(group, value, language) {
+    if (value === undefined || value === null) return value;
+
+    const translated = this.lookup(language, `${group}.${String(value).toLowerCase()}`);
+    return typeof translated === 'string' ? translated : value;
+  }
+}
+
+module.exports = {
+  I18n,
+  detectLanguage,
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,97 @@
+// Telugu strings; keys missing here fall back to English
+module.exports = {
+  voice: {
+    didNotCatch: 'క్షమించండి, నాకు సరిగ్గా వినిపించలేదు. దయచేసి మళ్ళీ చెప్పగలరా?',
+    unknownCommand: '"{{command}}" అనే కమాండ్ గుర్తించబడలేదు. అందుబాటులో ఉన్న కమాండ్లు: {{commands}}',
+    bookingDetected: 'మీరు బుకింగ్ అడుగుతున్నారని గుర్తించాను. దానికి సహాయం చేస్తాను.',
+    emergencyDetected: 'అత్యవసర కమాండ్ గుర్తించబడింది. అత్యవసర చర్యలు ప్రారంభిస్తున్నాను.',
+    audioProcessed: 'ఆడియో ప్రాసెసింగ్ పూర్తయింది'
+  },
+  wakeWord: {
+    neura: 'అవును, నేను ఇక్కడే ఉన్నాను. మీకు ఎలా సహాయం చేయగలను?',
+    guardian: 'గార్డియన్ ఏంజెల్ మీ సేవలో ఉంది. మీకు ఏమి కావాలి?',
+    angel: 'నేను వింటున్నాను. మీ కోసం ఏమి చేయగలను?',
+    'hey neura': 'నమస్కారం! మీకు సహాయం చేయడానికి సిద్ధంగా ఉన్నాను.',
+    'ok guardian': 'అవును, నేను ఇక్కడే ఉన్నాను. ఎలా సహాయం చేయగలను?',
+    default: 'నేను ఇక్కడే ఉన్నాను. మీకు ఎలా సహాయం చేయగలను?'
+  },
+  chat: {
+    processing: 'మీ సందేశాన్ని ప్రాసెస్ చేస్తున్నాను...'
+  },
+  booking: {
+    start: '{{from}} నుండి {{to}} కు {{type}} టికెట్ బుక్ చేయడంలో సహాయం చేస్తాను. అందుబాటులో ఉన్న ఆప్షన్లు చూస్తున్నాను.',
+    needDetails: 'మీ బుకింగ్ అభ్యర్థనను ప్రాసెస్ చేయలేకపోయాను. దయచేసి బయలుదేరే నగరం, గమ్యస్థానం, ప్రయాణ తేదీ వంటి వివరాలు ఇవ్వండి.',
+    processing: 'మీ బుకింగ్ అభ్యర్థనను ప్రాసెస్ చేస్తున్నాను...',
+    typeConfirmed: '{{type}} బుకింగ్ విజయవంతంగా నిర్ధారించబడింది',
+    confirmed: 'బుకింగ్ విజయవంతంగా నిర్ధారించబడింది',
+    statusChanged: 'బుకింగ్ {{bookingId}} స్థితి: {{status}}',
+    paymentRequired: 'మీ {{type}} బుకింగ్ రిజర్వ్ అయింది. నిర్ధారించడానికి {{currency}} {{amount}} చెల్లించండి.',
+    paymentProcessing: 'మీ చెల్లింపు ప్రాసెస్ అవుతోంది. పూర్తయిన వెంటనే తెలియజేస్తాం.',
+    paymentFailed: 'మీ చెల్లింపు విఫలమైంది. దయచేసి మరో కార్డుతో ప్రయత్నించండి.',
+    held: 'మీ సీట్లను {{minutes}} నిమిషాల పాటు మీ కోసం ఉంచాం. సీట్లు కోల్పోకుండా అంతలోపు బుకింగ్‌ను నిర్ధారించండి.',
+    holdExpiring: 'మీ సీట్ల హోల్డ్ {{seconds}} సెకన్లలో ముగుస్తుంది. సీట్లు కోల్పోకుండా బుకింగ్‌ను నిర్ధారించండి.',
+    holdExpired: 'మీ సీట్ల హోల్డ్ గడువు ముగిసింది, సీట్లను విడుదల చేశాం. దయచేసి మళ్ళీ ఒక ఆప్షన్ ఎంచుకోండి.'
+  },
+  weather: {
+    failed: '{{location}} వాతావరణ సమాచారం పొందలేకపోయాను. దయచేసి కాసేపటి తర్వాత మళ్ళీ ప్రయత్నించండి.'
+  },
+  news: {
+    failed: 'ప్రస్తుతం తాజా వార్తలు తీసుకురాలేకపోయాను. దయచేసి కాసేపటి తర్వాత మళ్ళీ ప్రయత్నించండి.'
+  },
+  reminder: {
+    set: '"{{title}}" కోసం {{datetime}} కి రిమైండర్ పెట్టాను.',
+    failed: 'రిమైండర్ పెట్టలేకపోయాను. దేని గురించి, ఎప్పుడు గుర్తు చేయాలో దయచేసి చెప్పండి.'
+  },
+  emergency: {
+    activated: '{{type}} కోసం అత్యవసర హెచ్చరిక ప్రారంభించబడింది. సహాయం వస్తోంది. ప్రశాంతంగా, సురక్షితంగా ఉండండి.',
+    failed: 'అత్యవసర హెచ్చరికను ప్రాసెస్ చేయలేకపోయాం. దయచేసి నేరుగా అత్యవసర సేవలకు కాల్ చేయండి.'
+  },
+  moderation: {
+    'self-harm': 'మీరు ఇలా బాధపడుతున్నందుకు నిజంగా చింతిస్తున్నాను, నాతో చెప్పినందుకు సంతోషం. మీరు ఒంటరిగా దీన్ని ఎదుర్కోవాల్సిన అవసరం లేదు. ఈ ఆలోచనలపై చర్య తీసుకుంటారేమో అనిపిస్తే, దయచేసి ఇప్పుడే 112 కి, లేదా ఎవరితోనైనా మాట్లాడటానికి టెలి-మానస్ 14416 కి కాల్ చేయండి. మీ అత్యవసర కాంటాక్ట్‌లకు వెంటనే తెలియజేయగలను: "అత్యవసరం" అని చెప్పండి లేదా SOS నొక్కండి.',
+    'medical-emergency': 'ఇది వైద్య అత్యవసర పరిస్థితిలా ఉంది. అంబులెన్స్ కోసం 108 కి లేదా 112 కి ఇప్పుడే కాల్ చేయండి. మీ అత్యవసర కాంటాక్ట్‌లకు తెలియజేసి మీ లొకేషన్ పంపగలను: "అత్యవసరం" అని చెప్పండి లేదా SOS నొక్కండి.',
+    abuse: 'మీకు ఇలా జరుగుతున్నందుకు చింతిస్తున్నాను. మీరు ఇప్పుడు ప్రమాదంలో ఉంటే 112 కి కాల్ చేయండి. మహిళా హెల్ప్‌లైన్ 181, చైల్డ్‌లైన్ 1098. మీ అత్యవసర కాంటాక్ట్‌లకు నిశ్శబ్దంగా తెలియజేయగలను: "అత్యవసరం" అని చెప్పండి లేదా SOS నొక్కండి.',
+    crisis: 'మీకు అత్యవసర సహాయం అవసరమని అనిపిస్తోంది. ఇప్పుడే 112 కి కాల్ చేయండి. మీ అత్యవసర కాంటాక్ట్‌లకు తెలియజేయగలను: "అత్యవసరం" అని చెప్పండి లేదా SOS నొక్కండి.',
+    blocked: 'దానికి నేను సహాయం చేయలేను. ఎవరైనా ప్రమాదంలో ఉంటే దయచేసి 112 కి కాల్ చేయండి.',
+    outputBlocked: 'ఆ సమాధానాన్ని నేను పంచుకోలేను. దయచేసి వేరే ఏదైనా అడగండి.'
+  },
+  errors: {
+    userIdRequired: 'userId అవసరం',
+    connection: 'కనెక్షన్ ఏర్పాటు చేయలేకపోయాం',
+    unauthorized: 'అనధికార లేదా చెల్లని సెషన్',
+    chat: 'సందేశాన్ని ప్రాసెస్ చేయలేకపోయాం',
+    stream: 'సమాధానాన్ని పంపలేకపోయాం',
+    streamNotFound: 'స్ట్రీమ్ కనబడలేదు లేదా ఇప్పటికే ముగిసింది',
+    voiceCommand: 'వాయిస్ కమాండ్‌ను ప్రాసెస్ చేయలేకపోయాం',
+    voiceStream: 'వాయిస్ స్ట్రీమ్‌ను ప్రాసెస్ చేయలేకపోయాం',
+    wakeWord: 'వేక్ వర్డ్‌ను ప్రాసెస్ చేయలేకపోయాం',
+    booking: 'బుకింగ్ అభ్యర్థనను ప్రాసెస్ చేయలేకపోయాం',
+    bookingOptions: 'బుకింగ్ ఆప్షన్లు చూపలేకపోయాం',
+    bookingConfirmation: 'బుకింగ్‌ను నిర్ధారించలేకపోయాం',
+    bookingNotFound: 'బుకింగ్ కనబడలేదు',
+    bookingUpdate: 'బుకింగ్‌ను మార్చలేకపోయాం',
+    hold: 'సీట్లను హోల్డ్ చేయలేకపోయాం',
+    optionNotFound: 'ఆ ఆప్షన్ ఇప్పుడు అందుబాటులో లేదు. దయచేసి మళ్ళీ వెతకండి.',
+    payment: 'చెల్లింపును ప్రాసెస్ చేయలేకపోయాం',
+    emergency: 'అత్యవసర హెచ్చరికను ప్రాసెస్ చేయలేకపోయాం',
+    status: 'స్థితి సమాచారం పొందలేకపోయాం'
+  },
+  // Values substituted into the messages above
+  transport: {
+    bus: 'బస్సు',
+    train: 'రైలు',
+    flight: 'విమాన'
+  },
+  bookingStatus: {
+    pending: 'పెండింగ్‌లో ఉంది',
+    confirmed: 'నిర్ధారించబడింది',
+    cancelled: 'రద్దు చేయబడింది',
+    completed: 'పూర్తయింది'
+  },
+  emergencyTypes: {
+    medical: 'వైద్య అత్యవసర పరిస్థితి',
+    police: 'పోలీసు సహాయం',
+    fire: 'అగ్ని ప్రమాదం',
+    accident: 'ప్రమాదం',
+    general: 'అత్యవసర పరిస్థితి'
+  }
+};
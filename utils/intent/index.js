@@ -0,0 +1,63 @@
+const RuleBasedIntentClassifier = require('./ruleBasedClassifier');
+const LLMIntentClassifier = require('./llmClassifier');
+const aiConfig = require('../../config/aiConfig');
+
+const INTENTS = RuleBasedIntentClassifier.INTENTS;
+
+// Shared intent classification for chat routing, voice commands and the
+// Socket.IO handlers. Every result has the same shape:
+//   { intent, confidence, slots, needsReasoning, reasoningCues, language, backend }
+//
+// Backends (config.backend / INTENT_CLASSIFIER):
+//   rules   keyword and pattern rules only (default, no network)
+//   hybrid  rules first, the LLM when rule confidence is below llmThreshold
+//   llm     the LLM first, rules when it fails
+class IntentClassifier {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.intentClassifier || {};
+
+    this.backend = options.backend || config.backend || 'rules';
+    this.llmThreshold = options.llmThreshold ?? config.llmThreshold ?? 0.6;
+    this.rules = options.rules || new RuleBasedIntentClassifier();
+    this.llm = options.llm || (options.aiService
+      ? new LLMIntentClassifier({ aiService: options.aiService, intents: INTENTS })
+      : null);
+  }
+
+  shouldAskLLM(ruleResult) {
+    if (!this.llm) return false;
+    if (this.backend === 'llm') return true;
+    return this.backend === 'hybrid' && ruleResult.confidence < this.llmThreshold;
+  }
+
+  async classify(text) {
+    const ruleResult = this.rules.classify(text);
+
+    if (this.shouldAskLLM(ruleResult)) {
+      try {
+        const llmResult = await this.llm.classify(text);
+        if (llmResult) {
+          return {
+            ...ruleResult,
+            ...llmResult,
+            // Rule slots fill in anything the model left out
+            slots: { ...ruleResult.slots, ...llmResult.slots },
+            needsReasoning: llmResult.needsReasoning ?? ruleResult.needsReasoning,
+            matched: []
+          };
+        }
+      } catch (error) {
+        console.error('LLM intent classification failed:', error);
+      }
+    }
+
+    return ruleResult;
+  }
+}
+
+module.exports = {
+  IntentClassifier,
+  RuleBasedIntentClassifier,
+  LLMIntentClassifier,
+  INTENTS
+};
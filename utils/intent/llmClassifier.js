@@ -0,0 +1,65 @@
+// Intent classification by the configured LLM providers. Used for
+// utterances the rules are unsure about; returns null whenever the model
+// is unavailable or its answer can't be parsed, so callers fall back to
+// the rule-based result.
+class LLMIntentClassifier {
+  constructor(options = {}) {
+    this.aiService = options.aiService;
+    this.intents = options.intents || [];
+  }
+
+  buildPrompt(text) {
+    return `Classify the intent of this message from a user of a travel and safety assistant.
+
+Intents: ${this.intents.join(', ')}
+
+Reply with JSON only, in this shape:
+{"intent": "<one of the intents>", "confidence": <0 to 1>, "slots": {<extracted details such as from, to, date, transportType, time, task, contact, emergencyType>}, "needsReasoning": <true if answering needs step-by-step reasoning>}
+
+Message: ${text}`;
+  }
+
+  parse(reply) {
+    const json = reply && reply.match(/\{[\s\S]*\}/);
+    if (!json) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(json[0]);
+    } catch (error) {
+      return null;
+    }
+
+    if (!this.intents.includes(parsed.intent)) {
+      return null;
+    }
+
+    const confidence = Number(parsed.confidence);
+
+    return {
+      intent: parsed.intent,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+      slots: parsed.slots && typeof parsed.slots === 'object' ? parsed.slots : {},
+      needsReasoning: typeof parsed.needsReasoning === 'boolean' ? parsed.needsReasoning : undefined,
+      backend: 'llm'
+    };
+  }
+
+  async classify(text) {
+    if (!this.aiService) {
+      return null;
+    }
+
+    const reply = await this.aiService.completeText(this.buildPrompt(text), {
+      systemPrompt: 'You are an intent classifier. Reply with JSON only.',
+      temperature: 0,
+      maxTokens: 200
+    });
+
+    return this.parse(reply);
+  }
+}
+
+module.exports = LLMIntentClassifier;
@@ -0,0 +1,325 @@
+// Keyword and pattern rules for English and Telugu utterances.
+//
+// Each intent has strong cues (worth 1 point) and weak cues (worth half a
+// point). The highest scoring intent wins; ties go to the intent listed
+// first in INTENT_PRIORITY, so an emergency is never mistaken for a chat.
+// String cues are substring matches (Telugu has no \b word boundaries in
+// JavaScript regexes); RegExp cues run against the lower-cased text.
+
+const INTENT_PRIORITY = ['emergency', 'booking', 'reminder', 'communication', 'information'];
+
+const INTENT_RULES = {
+  emergency: {
+    strong: [
+      /\bemergency\b/, /\burgent(ly)?\b/, /\bsos\b/, /\bambulance\b/, /\baccident\b/,
+      /\bon fire\b/, /\bfire brigade\b/, /\bpolice\b/, /\bsave me\b/, /\bheart attack\b/,
+      'అత్యవసర', 'కాపాడ', 'అంబులెన్స్', 'ప్రమాదం', 'పోలీస్'
+    ],
+    weak: [/\bhelp\b/, /\binjured\b/, /\bbleeding\b/, /\bthief\b/, 'సహాయం', 'సాయం', 'దొంగ']
+  },
+  booking: {
+    strong: [/\bbook(ing|ed)?\b/, /\breserv(e|ation)\b/, 'బుక్', 'రిజర్వ్'],
+    weak: [
+      /\btickets?\b/, /\bflights?\b/, /\btrains?\b/, /\bbus(es)?\b/, /\bseats?\b/,
+      'టికెట్', 'రైలు', 'ట్రైన్', 'బస్సు', 'బస్', 'విమాన', 'సీటు'
+    ]
+  },
+  reminder: {
+    strong: [/\bremind(er)?s?\b/, /\balarm\b/, 'గుర్తు చేయ', 'గుర్తుచేయ', 'రిమైండర్', 'అలారం'],
+    weak: [/\bschedule\b/, /\bcalendar\b/, /\bappointment\b/, 'షెడ్యూల్']
+  },
+  communication: {
+    strong: [
+      /\bcall\b/, /\bphone\b/, /\b(send|text|sms|whatsapp)\b/, /\bmessage\b/,
+      'కాల్ చేయ', 'ఫోన్ చేయ', 'మెసేజ్', 'సందేశం'
+    ],
+    weak: [/\bcontact\b/]
+  },
+  information: {
+    strong: [/\bweather\b/, /\bforecast\b/, /\bnews\b/, /\bheadlines\b/, 'వాతావరణం', 'వార్తలు'],
+    weak: [/\bsearch\b/, /\blook up\b/, /\btemperature\b/, /\brain\b/, 'వెతుకు', 'వర్షం']
+  }
+};
+
+// Cues that a question needs step-by-step reasoning
+const REASONING_CUES = [
+  /\banaly[sz]e\b/, /\bexplain\b/, /\breasoning\b/, /\blogic(al)?\b/, /\bproblem\b/, /\bsolve\b/,
+  /\bcalculate\b/, /\bmath(s)?\b/, /\bcomplex\b/, /\bdetailed\b/, /\bstep by step\b/, /\bcompare\b/,
+  'వివరించ', 'వివరంగా', 'లెక్క', 'విశ్లేషించ'
+];
+
+const TRANSPORT_WORDS = [
+  ['flight', [/\bflights?\b/, /\bplane\b/, /\bfly\b/, 'విమాన']],
+  ['train', [/\btrains?\b/, /\brail\b/, 'రైలు', 'ట్రైన్']],
+  ['bus', [/\bbus(es)?\b/, 'బస్సు', 'బస్']]
+];
+
+const CLASS_WORDS = [
+  ['business', [/\bbusiness( class)?\b/]],
+  ['first', [/\bfirst class\b/]],
+  ['sleeper', [/\bsleeper\b/, 'స్లీపర్']],
+  ['1ac', [/\b(1ac|first ac)\b/]],
+  ['2ac', [/\b(2ac|2 tier|two tier)\b/]],
+  ['3ac', [/\b(3ac|3 tier|three tier)\b/]],
+  ['economy', [/\beconomy\b/]]
+];
+
+const EMERGENCY_TYPES = [
+  ['medical', [/\bambulance\b/, /\bheart attack\b/, /\binjured\b/, /\bbleeding\b/, /\bhospital\b/, /\bdoctor\b/, 'అంబులెన్స్', 'ఆసుపత్రి', 'డాక్టర్']],
+  ['fire', [/\bfire\b/, 'అగ్ని', 'మంటలు']],
+  ['accident', [/\baccident\b/, 'ప్రమాదం']],
+  ['police', [/\bpolice\b/, /\bthief\b/, /\brobbery\b/, /\bstolen\b/, 'పోలీస్', 'దొంగ']]
+];
+
+const RELATIVE_DAYS = [
+  [/\bday after tomorrow\b/, 2], ['ఎల్లుండి', 2],
+  [/\btomorrow\b/, 1], ['రేపు', 1],
+  [/\btoday\b/, 0], ['ఈరోజు', 0], ['ఈ రోజు', 0]
+];
+
+// A place name runs until a date, time or other trailing phrase starts
+const PLACE_END = '(?=\\s+(?:on|tomorrow|today|day|for|in|at|by|with|next|this)\\b|[,.?!]|$)';
+
+// Telugu case suffixes dropped from place names ("విజయవాడకు" -> "విజయవాడ")
+const TELUGU_PLACE_SUFFIX = /(కు|కి|లో|నుండి|నుంచి)$/;
+
+class RuleBasedIntentClassifier {
+  constructor(options = {}) {
+    this.rules = options.rules || INTENT_RULES;
+    this.priority = options.priority || INTENT_PRIORITY;
+  }
+
+  detectLanguage(text) {
+    return /[\u0C00-\u0C7F]/.test(text) ? 'te' : 'en';
+  }
+
+  // Returns the matched text of every cue found in the utterance
+  matchCues(text, cues) {
+    const matches = [];
+
+    for (const cue of cues) {
+      if (typeof cue === 'string') {
+        if (text.includes(cue)) matches.push(cue);
+      } else {
+        const match = cue.exec(text);
+        if (match) matches.push(match[0]);
+      }
+    }
+
+    return matches;
+  }
+
+  findFirst(text, table) {
+    const entry = table.find(([, cues]) => this.matchCues(text, cues).length > 0);
+    return entry ? entry[0] : undefined;
+  }
+
+  scoreIntents(text) {
+    return Object.entries(this.rules).map(([intent, { strong = [], weak = [] }]) => {
+      const strongMatches = this.matchCues(text, strong);
+      const weakMatches = this.matchCues(text, weak);
+
+      return {
+        intent,
+        score: strongMatches.length + weakMatches.length * 0.5,
+        matched: [...strongMatches, ...weakMatches]
+      };
+    });
+  }
+
+  classify(text = '') {
+    const lowerText = text.toLowerCase().trim();
+    const language = this.detectLanguage(lowerText);
+    const reasoningCues = this.matchCues(lowerText, REASONING_CUES);
+
+    const ranked = this.scoreIntents(lowerText)
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || this.priority.indexOf(a.intent) - this.priority.indexOf(b.intent));
+
+    const best = ranked[0];
+    const runnerUp = ranked[1];
+
+    if (!best) {
+      return {
+        intent: 'general',
+        confidence: 0.5,
+        slots: {},
+        needsReasoning: reasoningCues.length > 0,
+        reasoningCues,
+        matched: [],
+        language,
+        backend: 'rules'
+      };
+    }
+
+    // More cues mean more confidence; a close runner-up means less
+    let confidence = Math.min(0.95, 0.45 + best.score * 0.2);
+    if (runnerUp && runnerUp.score >= best.score * 0.75) {
+      confidence -= 0.15;
+    }
+
+    return {
+      intent: best.intent,
+      confidence: Math.round(confidence * 100) / 100,
+      slots: this.extractSlots(best.intent, text, lowerText),
+      needsReasoning: reasoningCues.length > 0,
+      reasoningCues,
+      matched: best.matched,
+      language,
+      backend: 'rules'
+    };
+  }
+
+  extractSlots(intent, text, lowerText) {
+    switch (intent) {
+      case 'booking':
+        return this.extractBookingSlots(text, lowerText);
+      case 'reminder':
+        return this.extractReminderSlots(text, lowerText);
+      case 'emergency':
+        return this.compact({ emergencyType: this.findFirst(lowerText, EMERGENCY_TYPES) });
+      case 'communication':
+        return this.extractCommunicationSlots(text, lowerText);
+      case 'information':
+        return this.extractInformationSlots(text, lowerText);
+      default:
+        return {};
+    }
+  }
+
+  extractBookingSlots(text, lowerText) {
+    const route = this.extractRoute(text);
+    const passengers = lowerText.match(/\b(\d+)\s*(tickets?|passengers?|people|persons|seats?|adults?)\b/) ||
+      lowerText.match(/(\d+)\s*(టికెట్లు|టికెట్|మంది|సీట్లు)/);
+
+    return this.compact({
+      transportType: this.findFirst(lowerText, TRANSPORT_WORDS),
+      from: route.from,
+      to: route.to,
+      date: this.extractDate(lowerText),
+      passengers: passengers ? parseInt(passengers[1]) : undefined,
+      class: this.findFirst(lowerText, CLASS_WORDS)
+    });
+  }
+
+  // "from Delhi to Mumbai" / "train to Mumbai" / "హైదరాబాద్ నుండి విజయవాడకు"
+  extractRoute(text) {
+    const english = text.match(new RegExp(`\\bfrom ([a-z][a-z ]*?) to ([a-z][a-z ]*?)${PLACE_END}`, 'i'));
+    if (english) {
+      return { from: this.titleCase(english[1]), to: this.titleCase(english[2]) };
+    }
+
+    const telugu = text.match(/(\S+)\s+(?:నుండి|నుంచి)\s+(\S+)/);
+    if (telugu) {
+      return {
+        from: telugu[1].replace(TELUGU_PLACE_SUFFIX, ''),
+        to: telugu[2].replace(TELUGU_PLACE_SUFFIX, '')
+      };
+    }
+
+    const destination = text.match(new RegExp(`\\b(?:tickets?|trains?|bus|flights?|trip|go) to ([a-z][a-z ]*?)${PLACE_END}`, 'i'));
+    if (destination) {
+      return { to: this.titleCase(destination[1]) };
+    }
+
+    return {};
+  }
+
+  // ISO dates pass through; relative days resolve against today
+  extractDate(lowerText) {
+    const iso = lowerText.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (iso) {
+      return iso[1];
+    }
+
+    const relative = RELATIVE_DAYS.find(([cue]) => this.matchCues(lowerText, [cue]).length > 0);
+    if (relative) {
+      const date = new Date();
+      date.setDate(date.getDate() + relative[1]);
+      return date.toISOString().split('T')[0];
+    }
+
+    return undefined;
+  }
+
+  // Time as HH:MM (24h): "5 pm", "6:30 am", "at 17:30", "5 గంటలకు"
+  extractTime(lowerText) {
+    const english = lowerText.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/) ||
+      lowerText.match(/\b(?:at|by) (\d{1,2})(?::(\d{2}))?()\b/);
+    const telugu = lowerText.match(/(ఉదయం|మధ్యాహ్నం|సాయంత్రం|రాత్రి)?\s*(\d{1,2})\s*గంటలకు/);
+
+    let hours;
+    let minutes = 0;
+
+    if (english) {
+      hours = parseInt(english[1]);
+      minutes = english[2] ? parseInt(english[2]) : 0;
+      if (english[3] === 'pm' && hours < 12) hours += 12;
+      if (english[3] === 'am' && hours === 12) hours = 0;
+    } else if (telugu) {
+      hours = parseInt(telugu[2]);
+      if (['మధ్యాహ్నం', 'సాయంత్రం', 'రాత్రి'].includes(telugu[1]) && hours < 12) hours += 12;
+    } else {
+      return undefined;
+    }
+
+    if (hours > 23 || minutes > 59) {
+      return undefined;
+    }
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  extractReminderSlots(text, lowerText) {
+    const task = text.match(/\bremind me (?:to|about) (.+?)(?:\s+(?:at \d|tomorrow|today|on \d)|[.!?]?$)/i);
+
+    return this.compact({
+      task: task ? task[1].trim() : undefined,
+      time: this.extractTime(lowerText),
+      date: this.extractDate(lowerText)
+    });
+  }
+
+  extractCommunicationSlots(text, lowerText) {
+    const contact = text.match(/\b(?:call|phone|text|message|whatsapp)\s+(?!me\b)([A-Za-z]+)/i);
+    const channel = /\b(text|sms|message|whatsapp)\b/.test(lowerText) || /మెసేజ్|సందేశం/.test(lowerText)
+      ? 'message'
+      : 'call';
+
+    return this.compact({
+      channel,
+      contact: contact ? contact[1] : undefined
+    });
+  }
+
+  extractInformationSlots(text, lowerText) {
+    let topic = 'search';
+    if (/\b(weather|forecast|temperature|rain)\b/.test(lowerText) || /వాతావరణం|వర్షం/.test(lowerText)) {
+      topic = 'weather';
+    } else if (/\b(news|headlines)\b/.test(lowerText) || lowerText.includes('వార్తలు')) {
+      topic = 'news';
+    }
+
+    const location = text.match(/\bin ([A-Z][A-Za-z]*(?: [A-Z][A-Za-z]*)*)/) ||
+      text.match(/(\S+?)(?:లో)\s/);
+
+    return this.compact({
+      topic,
+      location: location ? location[1] : undefined,
+      date: this.extractDate(lowerText)
+    });
+  }
+
+  titleCase(value) {
+    return value.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+  }
+
+  // Drop slots that were not found
+  compact(slots) {
+    return Object.fromEntries(Object.entries(slots).filter(([, value]) => value !== undefined));
+  }
+}
+
+RuleBasedIntentClassifier.INTENTS = [...INTENT_PRIORITY, 'general'];
+
+module.exports = RuleBasedIntentClassifier;
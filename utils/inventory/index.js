@@ -0,0 +1,13 @@
+const SeatInventory = require('./seatInventory');
+const SeatHolds = require('./seatHolds');
+const OptionsEngine = require('./optionsEngine');
+const { buildLayout, listSeats, BERTHS } = require('./seatLayouts');
+
+module.exports = {
+  SeatInventory,
+  SeatHolds,
+  OptionsEngine,
+  buildLayout,
+  listSeats,
+  BERTHS
+};
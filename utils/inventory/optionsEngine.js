@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const SeatInventory = require('./seatInventory');
+
+const OPERATORS = {
+  bus: ['RedBus Express', 'VRL Travels', 'SRS Travels', 'Orange Travels', 'Neeta Travels'],
+  train: ['Indian Railways', 'Rajdhani Express', 'Shatabdi Express', 'Duronto Express'],
+  flight: ['Air India', 'IndiGo', 'SpiceJet', 'Vistara', 'GoAir']
+};
+
+const FEATURES = {
+  bus: ['AC', 'WiFi', 'Charging Points', 'Entertainment', 'Blanket'],
+  train: ['AC', 'Meals Included', 'Bedding', 'WiFi', 'Pantry Car'],
+  flight: ['In-flight Meals', 'Entertainment', 'WiFi', 'Extra Legroom', 'Priority Boarding']
+};
+
+// Departures a route runs on a day, and when: every quarter hour from
+// 05:00 to 23:45
+const DEPARTURES = { min: 3, max: 5 };
+const FIRST_DEPARTURE = 5 * 60;
+const LAST_DEPARTURE = 23 * 60 + 45;
+const SLOT_MINUTES = 15;
+
+// Fares vary by departure within ±20% of the quoted price
+const FARE_SPREAD = 0.2;
+
+// mulberry32: small and fast, and the same seed always gives the same
+// sequence of numbers in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// count items of list in a seeded order (a partial Fisher-Yates shuffle)
+function sample(list, count, random) {
+  const pool = [...list];
+  for (let i = 0; i < count && i < pool.length; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Booking options for the REST simulation and the booking-simulation
+// socket event. Each route has a timetable for a date and class: which
+// departures run, by which operator, when, at what fare and with which
+// features. It is drawn from a seed made of the route, date and class, so
+// the same search always returns the same options; only their seat
+// availability changes as seats are booked.
+class OptionsEngine {
+  constructor(options = {}) {
+    this.inventory = options.inventory || new SeatInventory({ storage: options.storage });
+  }
+
+  // 32-bit seed of a trip's timetable
+  seedFor(trip) {
+    const key = [trip.type, trip.from, trip.to, trip.date || trip.departureDate, this.inventory.seatClass(trip)]
+      .map(part => String(part || '').trim().toLowerCase())
+      .join('|');
+    return crypto.createHash('sha256').update(key).digest().readUInt32BE(0);
+  }
+
+  // Departures of the trip's route on its date, by departure time:
+  // [{ optionId, operator, time, fareMultiplier, features }]
+  timetable(trip, seed = this.seedFor(trip)) {
+    const random = createRandom(seed);
+    const operators = OPERATORS[trip.type] || ['Generic Operator'];
+    const features = FEATURES[trip.type] || [];
+
+    const count = DEPARTURES.min + Math.floor(random() * (DEPARTURES.max - DEPARTURES.min + 1));
+    const slots = Array.from({ length: (LAST_DEPARTURE - FIRST_DEPARTURE) / SLOT_MINUTES + 1 },
+      (_, index) => FIRST_DEPARTURE + index * SLOT_MINUTES);
+
+    return sample(slots, count, random)
+      .sort((a, b) => a - b)
+      .map((minutes, index) => ({
+        optionId: `OPT${index + 1}`,
+        operator: operators[Math.floor(random() * operators.length)],
+        time: formatTime(minutes),
+        fareMultiplier: Math.round((1 - FARE_SPREAD + random() * FARE_SPREAD * 2) * 100) / 100,
+        features: sample(features, 2 + Math.floor(random() * 3), random)
+      }));
+  }
+
+  // The timetable's departures as options for a validated booking, each
+  // with its fare and the availability of its service's seats, cheapest
+  // first. options.seed replays another timetable.
+  async generate(validatedBooking, options = {}) {
+    const departures = this.timetable(validatedBooking, options.seed);
+    const bookingOptions = [];
+
+    for (const departure of departures) {
+      const option = {
+        optionId: departure.optionId,
+        ...validatedBooking,
+        time: departure.time,
+        operator: departure.operator,
+        estimatedPrice: Math.round(validatedBooking.estimatedPrice * departure.fareMultiplier),
+        features: departure.features
+      };
+      bookingOptions.push({ ...option, ...await this.inventory.checkAvailability(option) });
+    }
+
+    return bookingOptions.sort((a, b) => a.estimatedPrice - b.estimatedPrice || a.time.localeCompare(b.time));
+  }
+}
+
+OptionsEngine.OPERATORS = OPERATORS;
+
+module.exports = OptionsEngine;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const JSONStorage = require('../jsonStorage');
+const SeatInventory = require('./seatInventory');
+const aiConfig = require('../../config/aiConfig');
+
+const holdError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Seats held for a user between picking a booking option and confirming
+// it, so the option can't sell out or change price in between. A hold is
+// { holdId, userId, optionId, serviceId, operator, seats, option, status,
+// expiresAt, warnedAt, bookingId, createdAt, updatedAt }; status is
+// active until the hold is booked, expires or is released for another
+// option. option is the picked option, booked as it was when held.
+//
+// sweep() releases lapsed holds and warns about the ones running out;
+// start() runs it on a timer. options.now replaces the clock.
+class SeatHolds {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.seatHolds || {};
+
+    this.ttlMs = config.ttlMs || 10 * 60 * 1000;
+    this.warningMs = config.warningMs || 0;
+    // At least one sweep has to fall within a hold's lifetime, or it could
+    // lapse without a warning
+    this.sweepIntervalMs = Math.min(config.sweepIntervalMs || 5000, Math.ceil(this.ttlMs / 2));
+    this.now = options.now || (() => new Date());
+
+    // Called with a hold when it is about to lapse, and once it has
+    this.onExpiring = options.onExpiring || null;
+    this.onExpired = options.onExpired || null;
+
+    // Created lazily so importing the holds doesn't open storage
+    this.storage = options.storage || null;
+    this.inventory = options.inventory || null;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  getInventory() {
+    if (!this.inventory) {
+      this.inventory = new SeatInventory({ storage: this.getStorage() });
+    }
+    return this.inventory;
+  }
+
+  describe(hold) {
+    if (!hold) return null;
+    const { _id, __v, ...rest } = hold;
+    return rest;
+  }
+
+  isLive(hold, now = this.now()) {
+    return Boolean(hold) && hold.status === 'active' && new Date(hold.expiresAt) > now;
+  }
+
+  // Holds seats on a simulated option's service for the user: the seatIds
+  // they picked, or seats assigned as for a booking. The user's other
+  // active holds are released, so picking another option moves the hold.
+  async create(userId, option) {
+    const storage = this.getStorage();
+    const inventory = this.getInventory();
+
+    const previous = await storage.getHolds({ userId, status: 'active' }) || [];
+    for (const hold of previous) {
+      await this.release(hold);
+    }
+
+    const holdId = `hold_${crypto.randomBytes(12).toString('hex')}`;
+    const reservation = await inventory.reserve({ ...option, userId }, { status: 'held', holdId });
+
+    // Availability was a snapshot of the search; the seats are ours now
+    const { seatIds, availability, seatsAvailable, ...bookingData } = option;
+    const timestamp = this.now();
+
+    const hold = await storage.saveHold({
+      holdId,
+      userId,
+      optionId: option.optionId || null,
+      serviceId: reservation.serviceId,
+      operator: reservation.operator,
+      seats: reservation.seats,
+      option: { ...bookingData, serviceId: reservation.serviceId, operator: reservation.operator },
+      status: 'active',
+      expiresAt: new Date(timestamp.getTime() + this.ttlMs).toISOString(),
+      warnedAt: null,
+      bookingId: null,
+      createdAt: timestamp.toISOString(),
+      updatedAt: timestamp.toISOString()
+    });
+
+    if (!hold) {
+      await inventory.releaseHold({ holdId, serviceId: reservation.serviceId });
+      throw new Error('Failed to save seat hold');
+    }
+    return hold;
+  }
+
+  // The user's live hold, by holdId or by the optionId it was made for.
+  // 404 when there is none, 409 when it was booked already and 410 when
+  // it lapsed or was released.
+  async getLiveHold(userId, { holdId, optionId } = {}) {
+    const storage = this.getStorage();
+    const hold = holdId
+      ? await storage.getHold(holdId)
+      : (await storage.getHolds({ userId, status: 'active' }) || []).find(h => h.optionId === optionId);
+
+    if (!hold || hold.userId !== userId) {
+      throw holdError('No seat hold for this option; please pick it again', 404, 'HOLD_NOT_FOUND');
+    }
+    if (hold.status === 'booked') {
+      throw holdError(`Seat hold ${hold.holdId} was already booked as ${hold.bookingId}`, 409, 'HOLD_ALREADY_BOOKED');
+    }
+    if (!this.isLive(hold)) {
+      throw holdError(`Seat hold ${hold.holdId} has expired; please pick the option again`, 410, 'HOLD_EXPIRED');
+    }
+    return hold;
+  }
+
+  // Hands a live hold's seats to the booking made from it. Returns the
+  // booking fields { serviceId, operator, seats }; throws 410 when the
+  // hold lapsed first.
+  async book(hold, booking) {
+    const booked = this.isLive(hold) &&
+      await this.getStorage().transitionHold(hold.holdId, 'active', { status: 'booked', bookingId: booking.bookingId });
+
+    if (!booked) {
+      throw holdError(`Seat hold ${hold.holdId} has expired; please pick the option again`, 410, 'HOLD_EXPIRED');
+    }
+
+    await this.getInventory().bookHold(hold, booking);
+    return { serviceId: hold.serviceId, operator: hold.operator, seats: hold.seats };
+  }
+
+  // Ends an active hold with status (released or expired) and frees its
+  // seats; null when the hold had already ended
+  async release(hold, status = 'released') {
+    const released = await this.getStorage().transitionHold(hold.holdId, 'active', { status });
+    if (!released) return null;
+
+    await this.getInventory().releaseHold(hold);
+    return released;
+  }
+
+  // Expires lapsed holds and warns once about holds that will have less
+  // than warningMs left by the next sweep: { expired, expiring }
+  async sweep(now = this.now()) {
+    const storage = this.getStorage();
+    const holds = await storage.getHolds({ status: 'active' }) || [];
+    const expired = [];
+    const expiring = [];
+
+    for (const hold of holds) {
+      const timeLeft = new Date(hold.expiresAt) - now;
+
+      if (timeLeft <= 0) {
+        const lapsed = await this.release(hold, 'expired');
+        if (lapsed) {
+          expired.push(lapsed);
+          if (this.onExpired) await this.onExpired(lapsed);
+        }
+      } else if (!hold.warnedAt && timeLeft <= this.warningMs + this.sweepIntervalMs) {
+        const warned = await storage.transitionHold(hold.holdId, 'active', { warnedAt: now.toISOString() });
+        if (warned) {
+          expiring.push(warned);
+          if (this.onExpiring) await this.onExpiring(warned);
+        }
+      }
+    }
+
+    return { expired, expiring };
+  }
+
+  // Sweeps every sweepIntervalMs until stop(); the timer doesn't keep the
+  // process alive
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.sweeping) return;
+      this.sweeping = true;
+      try {
+        await this.sweep();
+      } catch (error) {
+        console.error('Seat hold sweep error:', error);
+      } finally {
+        this.sweeping = false;
+      }
+    }, this.sweepIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = SeatHolds;
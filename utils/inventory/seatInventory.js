@@ -0,0 +1,279 @@
+const JSONStorage = require('../jsonStorage');
+const { buildLayout, listSeats, BERTHS } = require('./seatLayouts');
+
+// Operator of a trip booked without picking one of the simulated options
+const DEFAULT_OPERATORS = {
+  bus: 'RedBus Express',
+  train: 'Indian Railways',
+  flight: 'IndiGo'
+};
+
+// Services with this share of seats or fewer left are shown as limited
+const LIMITED_SHARE = 0.1;
+
+// Attempts at reserving automatically assigned seats when other bookings
+// take them first
+const RESERVE_ATTEMPTS = 3;
+
+const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const inventoryError = (message, status, code, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Seats of every service: one operator's run between two cities on a
+// date, in one class. A service is stored as { serviceId, type, operator,
+// from, to, date, time, class, seats } where seats only lists the taken
+// seats, by seat id: { status, bookingId, userId, at }. The layout comes
+// from seatLayouts, so services don't store their empty seats.
+class SeatInventory {
+  constructor(options = {}) {
+    // Created lazily so importing the inventory doesn't open storage
+    this.storage = options.storage || null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  // Train and flight seats are laid out by class, bus seats by seat type
+  seatClass(trip) {
+    return trip.type === 'bus' ? trip.seatType || 'standard' : trip.class;
+  }
+
+  // The service a trip or booking runs on. The id is made from the trip
+  // itself, so the same option always lands on the same seats.
+  describeService(trip) {
+    const date = trip.date || trip.departureDate;
+    const operator = trip.operator || DEFAULT_OPERATORS[trip.type] || 'Generic Operator';
+    const seatClass = this.seatClass(trip);
+    const time = trip.time || null;
+
+    return {
+      serviceId: [trip.type, operator, trip.from, trip.to, date, time && time.replace(':', ''), seatClass]
+        .filter(Boolean).map(slug).join('-'),
+      type: trip.type,
+      operator,
+      from: trip.from,
+      to: trip.to,
+      date,
+      time,
+      class: seatClass
+    };
+  }
+
+  async getService(serviceId) {
+    return await this.getStorage().getService(serviceId);
+  }
+
+  // The trip's service, added to the inventory the first time it is seen
+  async ensureService(trip) {
+    const timestamp = new Date().toISOString();
+    const service = await this.getStorage().ensureService({
+      ...this.describeService(trip),
+      seats: {},
+      createdAt: timestamp,
+      updatedAt: timestamp
+    });
+
+    if (!service) {
+      throw new Error('Failed to load seat inventory');
+    }
+    return service;
+  }
+
+  layoutOf(service) {
+    return buildLayout(service.type, service.class);
+  }
+
+  summarize(service) {
+    const total = listSeats(this.layoutOf(service)).length;
+    const taken = Object.values(service.seats || {});
+    const booked = taken.filter(seat => seat.status === 'booked').length;
+    const held = taken.length - booked;
+
+    return { total, available: total - taken.length, held, booked };
+  }
+
+  // { serviceId, seatsAvailable, availability } for a simulated option;
+  // availability is available, limited or sold_out
+  async checkAvailability(trip) {
+    const service = await this.ensureService(trip);
+    const { total, available } = this.summarize(service);
+    const passengers = (trip.passengers || []).length || 1;
+
+    return {
+      serviceId: service.serviceId,
+      seatsAvailable: available,
+      availability: available < passengers ? 'sold_out' : available <= total * LIMITED_SHARE ? 'limited' : 'available'
+    };
+  }
+
+  // The service's layout with each seat's status (available, held or
+  // booked), ready to draw
+  async getSeatMap(serviceId) {
+    const service = await this.getService(serviceId);
+    if (!service) {
+      throw inventoryError(`Service ${serviceId} not found`, 404, 'SERVICE_NOT_FOUND');
+    }
+
+    const layout = this.layoutOf(service);
+    const taken = service.seats || {};
+
+    return {
+      serviceId: service.serviceId,
+      type: service.type,
+      operator: service.operator,
+      from: service.from,
+      to: service.to,
+      date: service.date,
+      time: service.time,
+      class: service.class,
+      layout: layout.key,
+      coaches: layout.coaches.map(coach => ({
+        ...coach,
+        rows: coach.rows.map(row => row.map(seat => seat && {
+          ...seat,
+          status: taken[seat.seatId] ? taken[seat.seatId].status : 'available'
+        }))
+      })),
+      summary: this.summarize(service)
+    };
+  }
+
+  // A berth preference for berths, window/aisle/middle for seats
+  matches(seat, preference) {
+    if (!preference || preference === 'any') return true;
+    return BERTHS.includes(preference) ? seat.berth === preference : seat.position === preference;
+  }
+
+  // A passenger's own berth preference, then the booking's; senior
+  // citizens on trains get a lower berth unless they asked otherwise
+  preferenceFor(passenger, booking) {
+    const preference = passenger.berthPreference || booking.berthPreference ||
+      (booking.seatPreference && booking.seatPreference !== 'any' ? booking.seatPreference : null);
+
+    if (!preference && booking.type === 'train' && passenger.type === 'senior') {
+      return 'lower';
+    }
+    return preference;
+  }
+
+  // Seats for each passenger: the seatIds the user picked, in passenger
+  // order, or free seats matching each passenger's preference, kept in one
+  // coach where possible
+  assignSeats(service, booking) {
+    const seats = listSeats(this.layoutOf(service));
+    const taken = service.seats || {};
+    const passengers = booking.passengers || [];
+
+    if (booking.seatIds) {
+      const byId = new Map(seats.map(seat => [seat.seatId, seat]));
+      const unknown = booking.seatIds.filter(seatId => !byId.has(seatId));
+      if (unknown.length > 0) {
+        throw inventoryError(`Unknown seats on ${service.serviceId}: ${unknown.join(', ')}`, 400, 'UNKNOWN_SEATS', { seats: unknown });
+      }
+
+      const unavailable = booking.seatIds.filter(seatId => taken[seatId]);
+      if (unavailable.length > 0) {
+        throw this.unavailableError(service, unavailable);
+      }
+
+      return booking.seatIds.map((seatId, index) => ({ ...byId.get(seatId), passenger: passengers[index].name }));
+    }
+
+    const free = seats.filter(seat => !taken[seat.seatId]);
+    if (free.length < passengers.length) {
+      throw this.unavailableError(service, [], `Only ${free.length} seats left on ${service.serviceId}`);
+    }
+
+    const assigned = [];
+    for (const passenger of passengers) {
+      const preference = this.preferenceFor(passenger, booking);
+      const candidates = free.filter(seat => !assigned.some(chosen => chosen.seatId === seat.seatId));
+      const sameCoach = assigned.length > 0 ? candidates.filter(seat => seat.coachId === assigned[0].coachId) : candidates;
+      const seat = sameCoach.find(candidate => this.matches(candidate, preference)) ||
+        candidates.find(candidate => this.matches(candidate, preference)) ||
+        sameCoach[0] || candidates[0];
+
+      assigned.push({ ...seat, passenger: passenger.name });
+    }
+    return assigned;
+  }
+
+  unavailableError(service, seats, message) {
+    return inventoryError(message || `Seats no longer available on ${service.serviceId}: ${seats.join(', ')}`,
+      409, 'SEATS_UNAVAILABLE', { serviceId: service.serviceId, seats });
+  }
+
+  // Books seats for a new booking on its service (booking.serviceId, or
+  // the service the trip runs on) in one atomic update. Returns the
+  // booking fields { serviceId, operator, seats }; throws 409 when the
+  // seats are taken. owner marks whose seats they are, the booking's by
+  // default or { status: 'held', holdId } for a seat hold.
+  async reserve(booking, owner = { status: 'booked', bookingId: booking.bookingId }) {
+    const storage = this.getStorage();
+    let service = booking.serviceId ? await this.getService(booking.serviceId) : await this.ensureService(booking);
+
+    if (!service) {
+      throw inventoryError(`Service ${booking.serviceId} not found`, 404, 'SERVICE_NOT_FOUND');
+    }
+    if (service.type !== booking.type || service.date !== (booking.date || booking.departureDate)) {
+      throw inventoryError(`Service ${service.serviceId} doesn't run this ${booking.type} trip`, 400, 'SERVICE_MISMATCH');
+    }
+
+    for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt++) {
+      const seats = this.assignSeats(service, booking);
+      const result = await storage.reserveSeats(service.serviceId, seats.map(seat => seat.seatId), {
+        ...owner,
+        userId: booking.userId,
+        at: new Date().toISOString()
+      });
+
+      if (result && result.reserved) {
+        return { serviceId: service.serviceId, operator: service.operator, seats };
+      }
+      if (booking.seatIds) {
+        throw this.unavailableError(service, (result && result.unavailable) || booking.seatIds);
+      }
+
+      // Someone else got there first; try again with what is left
+      service = await this.getService(service.serviceId);
+    }
+
+    throw this.unavailableError(service, [], `Couldn't reserve seats on ${service.serviceId}, please try again`);
+  }
+
+  // Frees a booking's seats, e.g. when it is cancelled
+  async release(booking) {
+    if (!booking.serviceId) return [];
+    return await this.getStorage().releaseSeats(booking.serviceId, { bookingId: booking.bookingId }) || [];
+  }
+
+  // Frees the seats of a seat hold
+  async releaseHold(hold) {
+    return await this.getStorage().releaseSeats(hold.serviceId, { holdId: hold.holdId }) || [];
+  }
+
+  // Books a hold's seats for the booking made from it; returns the ids of
+  // the seats still held, which is all of them unless the hold lapsed
+  async bookHold(hold, booking) {
+    return await this.getStorage().claimSeats(hold.serviceId, { holdId: hold.holdId }, {
+      status: 'booked',
+      bookingId: booking.bookingId,
+      userId: booking.userId,
+      at: new Date().toISOString()
+    }) || [];
+  }
+}
+
+SeatInventory.DEFAULT_OPERATORS = DEFAULT_OPERATORS;
+
+module.exports = SeatInventory;
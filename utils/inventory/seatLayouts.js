@@ -0,0 +1,128 @@
+// Seat layouts of buses, train coaches and aircraft cabins. A layout is
+// { key, coaches: [{ coachId, label, rows }] } where each row lists its
+// seats left to right and null marks the aisle, so a client can draw the
+// seat map straight from it. A seat is { seatId, coachId, number } with
+// a position (window, middle or aisle) for seats, or a berth (lower,
+// middle, upper, side-lower, side-upper) in sleeper coaches.
+
+// Berths of one bay of a sleeper coach, in numbering order. The last
+// entries are the side berths, drawn across the aisle.
+const BAYS = {
+  eight: ['lower', 'middle', 'upper', 'lower', 'middle', 'upper', 'side-lower', 'side-upper'],
+  six: ['lower', 'upper', 'lower', 'upper', 'side-lower', 'side-upper'],
+  four: ['lower', 'upper', 'lower', 'upper']
+};
+
+// Coaches per train class: berth coaches have bays, chair cars have rows
+// of lettered seats where "_" is the aisle
+const TRAIN_CLASSES = {
+  sleeper: { prefix: 'S', coaches: 2, bays: 9, berths: BAYS.eight },
+  '3ac': { prefix: 'B', coaches: 2, bays: 8, berths: BAYS.eight },
+  '2ac': { prefix: 'A', coaches: 1, bays: 8, berths: BAYS.six },
+  '1ac': { prefix: 'H', coaches: 1, bays: 6, berths: BAYS.four },
+  cc: { prefix: 'C', coaches: 2, rows: 15, pattern: 'AB_CDE' },
+  ec: { prefix: 'E', coaches: 1, rows: 12, pattern: 'AB_CD' }
+};
+
+const BUS_SEATS = {
+  standard: { rows: 10, pattern: 'AB_CD' },
+  premium: { rows: 10, pattern: 'A_BC' }
+};
+
+const FLIGHT_CABINS = {
+  economy: { rows: 25, pattern: 'ABC_DEF' },
+  'premium-economy': { rows: 5, pattern: 'AB_CD' },
+  business: { rows: 4, pattern: 'AB_CD' },
+  first: { rows: 3, pattern: 'A_B' }
+};
+
+// Window at either end, aisle next to a gap, middle otherwise
+function positionOf(pattern, index) {
+  if (index === 0 || index === pattern.length - 1) return 'window';
+  if (pattern[index - 1] === '_' || pattern[index + 1] === '_') return 'aisle';
+  return 'middle';
+}
+
+// Rows of lettered seats ("12C"); coach seats are prefixed with the coach
+function seatedRows(rows, pattern, coachId) {
+  return Array.from({ length: rows }, (_, row) =>
+    [...pattern].map((letter, index) => {
+      if (letter === '_') return null;
+      const number = `${row + 1}${letter}`;
+      return {
+        seatId: coachId ? `${coachId}-${number}` : number,
+        coachId: coachId || null,
+        number,
+        position: positionOf(pattern, index)
+      };
+    }));
+}
+
+// One row per bay: the main berths, the aisle, then the side berths
+function berthRows(bays, berths, coachId) {
+  const mainBerths = berths.filter(berth => !berth.startsWith('side')).length;
+
+  return Array.from({ length: bays }, (_, bay) => {
+    const row = berths.map((berth, index) => {
+      const number = String(bay * berths.length + index + 1);
+      return {
+        seatId: `${coachId}-${number}`,
+        coachId,
+        number,
+        berth
+      };
+    });
+    return row.length > mainBerths ? [...row.slice(0, mainBerths), null, ...row.slice(mainBerths)] : row;
+  });
+}
+
+function trainLayout(trainClass) {
+  const config = TRAIN_CLASSES[trainClass] || TRAIN_CLASSES.sleeper;
+
+  return {
+    key: `train-${TRAIN_CLASSES[trainClass] ? trainClass : 'sleeper'}`,
+    coaches: Array.from({ length: config.coaches }, (_, index) => {
+      const coachId = `${config.prefix}${index + 1}`;
+      return {
+        coachId,
+        label: coachId,
+        rows: config.bays ? berthRows(config.bays, config.berths, coachId) : seatedRows(config.rows, config.pattern, coachId)
+      };
+    })
+  };
+}
+
+function seatedLayout(type, name, config) {
+  return {
+    key: `${type}-${name}`,
+    coaches: [{ coachId: null, label: type === 'flight' ? 'Cabin' : 'Deck', rows: seatedRows(config.rows, config.pattern) }]
+  };
+}
+
+// Layout for a booking type and its class (trains, flights) or seat type
+// (buses). Unknown classes get the type's basic layout.
+function buildLayout(type, seatClass) {
+  switch (type) {
+    case 'train':
+      return trainLayout(seatClass);
+    case 'flight':
+      return FLIGHT_CABINS[seatClass]
+        ? seatedLayout('flight', seatClass, FLIGHT_CABINS[seatClass])
+        : seatedLayout('flight', 'economy', FLIGHT_CABINS.economy);
+    default:
+      return BUS_SEATS[seatClass]
+        ? seatedLayout('bus', seatClass, BUS_SEATS[seatClass])
+        : seatedLayout('bus', 'standard', BUS_SEATS.standard);
+  }
+}
+
+// Every seat of a layout in numbering order
+function listSeats(layout) {
+  return layout.coaches.flatMap(coach => coach.rows.flat().filter(Boolean));
+}
+
+module.exports = {
+  buildLayout,
+  listSeats,
+  BERTHS: ['lower', 'middle', 'upper', 'side-lower', 'side-upper']
+};
@@ -2,11 +2,25 @@ const fs = require('fs').promises;
 const path = require('path');
 const MongoStorage = require('./mongoStorage');
 
+// Pending read-modify-write operations per file, shared by every
+// JSONStorage instance in the process
+const fileLocks = new Map();
+
 class JSONStorage {
   constructor() {
     this.dataDir = path.join(__dirname, '../data');
     this.bookingsFile = path.join(this.dataDir, 'bookings.json');
     this.usersFile = path.join(this.dataDir, 'users.json');
+    this.remindersFile = path.join(this.dataDir, 'reminders.json');
+    this.chatHistoryFile = path.join(this.dataDir, 'chatHistory.json');
+    this.usageFile = path.join(this.dataDir, 'usage.json');
+    this.moderationFile = path.join(this.dataDir, 'moderation.json');
+    this.paymentsFile = path.join(this.dataDir, 'payments.json');
+    this.inventoryFile = path.join(this.dataDir, 'inventory.json');
+    this.holdsFile = path.join(this.dataDir, 'holds.json');
+
+    // Messages kept per conversation, matching the MongoDB $slice
+    this.maxChatMessages = 50;
     
     // Initialize MongoDB storage
     this.mongoStorage = new MongoStorage();
@@ -22,6 +36,13 @@ class JSONStorage {
       // Initialize files if they don't exist
       await this.initFile(this.bookingsFile, []);
       await this.initFile(this.usersFile, {});
+      await this.initFile(this.remindersFile, []);
+      await this.initFile(this.chatHistoryFile, []);
+      await this.initFile(this.usageFile, []);
+      await this.initFile(this.moderationFile, []);
+      await this.initFile(this.paymentsFile, []);
+      await this.initFile(this.inventoryFile, []);
+      await this.initFile(this.holdsFile, []);
       
     } catch (error) {
       console.error('Storage initialization error:', error);
@@ -71,9 +92,28 @@ class JSONStorage {
     }
   }
 
+  // Run fn after every earlier locked operation on the same file, so
+  // concurrent read-modify-write cycles don't drop each other's changes
+  async withFileLock(filePath, fn) {
+    const previous = fileLocks.get(filePath) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    fileLocks.set(filePath, settled);
+
+    try {
+      return await run;
+    } finally {
+      if (fileLocks.get(filePath) === settled) fileLocks.delete(filePath);
+    }
+  }
+
+  // Write to a temp file and rename it into place, so overlapping writes
+  // never leave a half-written JSON file behind
   async writeFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Math.random().toString(36).substring(2, 8)}.tmp`;
     try {
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filePath);
       return true;
     } catch (error) {
       console.error(`Error writing file ${filePath}:`, error);
@@ -102,6 +142,13 @@ class JSONStorage {
     return await this.useStorage('updateBooking', bookingId, updates);
   }
 
+  // Updates a booking only while it is still in status, so two status
+  // changes racing from the same status can't both apply; null when its
+  // status has moved on
+  async transitionBooking(bookingId, status, updates) {
+    return await this.useStorage('transitionBooking', bookingId, status, updates);
+  }
+
   async deleteBooking(bookingId) {
     return await this.useStorage('deleteBooking', bookingId);
   }
@@ -122,18 +169,166 @@ class JSONStorage {
     return await this.useStorage('getUserPreferences', userId);
   }
 
+  async saveReminder(reminder) {
+    return await this.useStorage('saveReminder', reminder);
+  }
+
+  async getUserReminders(userId, options = {}) {
+    return await this.useStorage('getUserReminders', userId, options);
+  }
+
+  // Chat history operations; message may be a single message or an array
+  async saveChatMessage(userId, conversationId, message) {
+    return await this.useStorage('saveChatMessage', userId, conversationId, message);
+  }
+
+  async getChatHistory(userId, conversationId = 'default') {
+    return await this.useStorage('getChatHistory', userId, conversationId);
+  }
+
+  async clearChatHistory(userId, conversationId = 'default') {
+    return await this.useStorage('clearChatHistory', userId, conversationId);
+  }
+
+  // Conversation management operations
+  async createConversation(userId, conversationId, fields = {}) {
+    return await this.useStorage('createConversation', userId, conversationId, fields);
+  }
+
+  async getConversation(userId, conversationId) {
+    return await this.useStorage('getConversation', userId, conversationId);
+  }
+
+  async listConversations(userId, options = {}) {
+    return await this.useStorage('listConversations', userId, options);
+  }
+
+  async updateConversation(userId, conversationId, updates) {
+    return await this.useStorage('updateConversation', userId, conversationId, updates);
+  }
+
+  // Usage ledger operations; entries are added to the user's bucket for
+  // that day, provider and model
+  async recordUsage(entry) {
+    return await this.useStorage('recordUsage', entry);
+  }
+
+  async getUsage(userId, options = {}) {
+    return await this.useStorage('getUsage', userId, options);
+  }
+
+  // Moderation review log
+  async logModeration(event) {
+    return await this.useStorage('logModeration', event);
+  }
+
+  async getModerationEvents(options = {}) {
+    return await this.useStorage('getModerationEvents', options);
+  }
+
+  // Payment operations
+  async savePayment(payment) {
+    return await this.useStorage('savePayment', payment);
+  }
+
+  async getPayment(intentId) {
+    return await this.useStorage('getPayment', intentId);
+  }
+
+  async updatePayment(intentId, updates) {
+    return await this.useStorage('updatePayment', intentId, updates);
+  }
+
+  // Updates a payment only while it is still in status, so two confirms
+  // of the same intent can't both charge; null when its status has moved on
+  async transitionPayment(intentId, status, updates) {
+    return await this.useStorage('transitionPayment', intentId, status, updates);
+  }
+
+  // Sets refund.amount aside on a succeeded payment as a pending refund,
+  // before the gateway is asked for it, so racing refunds can't add up to
+  // more than was paid; null when it isn't refundable or too little is left
+  async reserveRefund(intentId, refund) {
+    return await this.useStorage('reserveRefund', intentId, refund);
+  }
+
+  // Records a refund from the gateway. It settles the pending refund named
+  // by refund.metadata.reservationId, or a failed one gives that amount
+  // back; a refund made elsewhere is added to the amount refunded. A
+  // refund already recorded is left alone.
+  async recordRefund(intentId, refund) {
+    return await this.useStorage('recordRefund', intentId, refund);
+  }
+
+  // Marks a gateway event as applied to the payment; false when it
+  // already was, so redelivered webhooks are ignored
+  async recordPaymentEvent(intentId, eventId) {
+    return await this.useStorage('recordPaymentEvent', intentId, eventId);
+  }
+
+  // Seat inventory operations
+  async getService(serviceId) {
+    return await this.useStorage('getService', serviceId);
+  }
+
+  // The stored service with service.serviceId, saving service first if
+  // there is none
+  async ensureService(service) {
+    return await this.useStorage('ensureService', service);
+  }
+
+  // Claims every seat in seatIds or none: { reserved: true, service } or
+  // { reserved: false, unavailable } listing the seats already taken
+  async reserveSeats(serviceId, seatIds, claim) {
+    return await this.useStorage('reserveSeats', serviceId, seatIds, claim);
+  }
+
+  // Frees the seats whose claim matches owner, e.g. { bookingId }, and
+  // returns their ids
+  async releaseSeats(serviceId, owner) {
+    return await this.useStorage('releaseSeats', serviceId, owner);
+  }
+
+  // Replaces the claim on the seats matching owner, e.g. when held seats
+  // are booked, and returns their ids
+  async claimSeats(serviceId, owner, claim) {
+    return await this.useStorage('claimSeats', serviceId, owner, claim);
+  }
+
+  // Seat hold operations
+  async saveHold(hold) {
+    return await this.useStorage('saveHold', hold);
+  }
+
+  async getHold(holdId) {
+    return await this.useStorage('getHold', holdId);
+  }
+
+  // Filter by userId and status
+  async getHolds(options = {}) {
+    return await this.useStorage('getHolds', options);
+  }
+
+  // Updates a hold only while it is still in status, so a hold is either
+  // booked or expired, never both; null when its status has moved on
+  async transitionHold(holdId, status, updates) {
+    return await this.useStorage('transitionHold', holdId, status, updates);
+  }
+
   // JSON fallback methods (prefixed with _json_)
   async _json_saveBooking(booking) {
-    try {
-      const bookings = await this.readFile(this.bookingsFile) || [];
-      bookings.push(booking);
-      
-      const success = await this.writeFile(this.bookingsFile, bookings);
-      return success ? booking : null;
-    } catch (error) {
-      console.error('Error saving booking:', error);
-      return null;
-    }
+    return this.withFileLock(this.bookingsFile, async () => {
+      try {
+        const bookings = await this.readFile(this.bookingsFile) || [];
+        bookings.push(booking);
+
+        const success = await this.writeFile(this.bookingsFile, bookings);
+        return success ? booking : null;
+      } catch (error) {
+        console.error('Error saving booking:', error);
+        return null;
+      }
+    });
   }
 
   async getBooking(bookingId) {
@@ -184,42 +379,71 @@ class JSONStorage {
   }
 
   async _json_updateBooking(bookingId, updates) {
-    try {
-      const bookings = await this.readFile(this.bookingsFile) || [];
-      const bookingIndex = bookings.findIndex(booking => booking.bookingId === bookingId);
-      
-      if (bookingIndex === -1) {
+    return this.withFileLock(this.bookingsFile, async () => {
+      try {
+        const bookings = await this.readFile(this.bookingsFile) || [];
+        const bookingIndex = bookings.findIndex(booking => booking.bookingId === bookingId);
+
+        if (bookingIndex === -1) {
+          return null;
+        }
+
+        bookings[bookingIndex] = {
+          ...bookings[bookingIndex],
+          ...updates,
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.bookingsFile, bookings);
+        return success ? bookings[bookingIndex] : null;
+      } catch (error) {
+        console.error('Error updating booking:', error);
         return null;
       }
+    });
+  }
 
-      bookings[bookingIndex] = {
-        ...bookings[bookingIndex],
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
+  async _json_transitionBooking(bookingId, status, updates) {
+    return this.withFileLock(this.bookingsFile, async () => {
+      try {
+        const bookings = await this.readFile(this.bookingsFile) || [];
+        const bookingIndex = bookings.findIndex(booking => booking.bookingId === bookingId);
 
-      const success = await this.writeFile(this.bookingsFile, bookings);
-      return success ? bookings[bookingIndex] : null;
-    } catch (error) {
-      console.error('Error updating booking:', error);
-      return null;
-    }
+        if (bookingIndex === -1 || bookings[bookingIndex].status !== status) {
+          return null;
+        }
+
+        bookings[bookingIndex] = {
+          ...bookings[bookingIndex],
+          ...updates,
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.bookingsFile, bookings);
+        return success ? bookings[bookingIndex] : null;
+      } catch (error) {
+        console.error('Error updating booking:', error);
+        return null;
+      }
+    });
   }
 
   async _json_deleteBooking(bookingId) {
-    try {
-      const bookings = await this.readFile(this.bookingsFile) || [];
-      const filteredBookings = bookings.filter(booking => booking.bookingId !== bookingId);
-      
-      if (filteredBookings.length === bookings.length) {
-        return false; // Booking not found
-      }
+    return this.withFileLock(this.bookingsFile, async () => {
+      try {
+        const bookings = await this.readFile(this.bookingsFile) || [];
+        const filteredBookings = bookings.filter(booking => booking.bookingId !== bookingId);
 
-      return await this.writeFile(this.bookingsFile, filteredBookings);
-    } catch (error) {
-      console.error('Error deleting booking:', error);
-      return false;
-    }
+        if (filteredBookings.length === bookings.length) {
+          return false; // Booking not found
+        }
+
+        return await this.writeFile(this.bookingsFile, filteredBookings);
+      } catch (error) {
+        console.error('Error deleting booking:', error);
+        return false;
+      }
+    });
   }
 
   // Search and filter operations
@@ -334,6 +558,620 @@ class JSONStorage {
     }
   }
 
+  // Reminder operations
+  async _json_saveReminder(reminder) {
+    return this.withFileLock(this.remindersFile, async () => {
+      try {
+        const reminders = await this.readFile(this.remindersFile) || [];
+        reminders.push(reminder);
+
+        const success = await this.writeFile(this.remindersFile, reminders);
+        return success ? reminder : null;
+      } catch (error) {
+        console.error('Error saving reminder:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_getUserReminders(userId, options = {}) {
+    try {
+      const reminders = await this.readFile(this.remindersFile) || [];
+      let userReminders = reminders.filter(reminder => reminder.userId === userId);
+
+      if (options.status) {
+        userReminders = userReminders.filter(reminder => reminder.status === options.status);
+      }
+
+      userReminders.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+
+      if (options.limit) {
+        userReminders = userReminders.slice(0, parseInt(options.limit));
+      }
+
+      return userReminders;
+    } catch (error) {
+      console.error('Error getting user reminders:', error);
+      return [];
+    }
+  }
+
+  // Chat history operations
+  async _json_saveChatMessage(userId, conversationId, message) {
+    return this.withFileLock(this.chatHistoryFile, async () => {
+      try {
+        const conversations = await this.readFile(this.chatHistoryFile) || [];
+        const timestamp = new Date().toISOString();
+        const newMessages = Array.isArray(message) ? message : [message];
+
+        let conversation = conversations.find(c => c.userId === userId && c.conversationId === conversationId);
+        if (!conversation) {
+          conversation = { userId, conversationId, messages: [], createdAt: timestamp };
+          conversations.push(conversation);
+        }
+
+        conversation.messages = [
+          ...conversation.messages,
+          ...newMessages.map(m => ({ ...m, timestamp: m.timestamp || timestamp }))
+        ].slice(-this.maxChatMessages);
+        conversation.updatedAt = timestamp;
+
+        return await this.writeFile(this.chatHistoryFile, conversations);
+      } catch (error) {
+        console.error('Error saving chat message:', error);
+        return false;
+      }
+    });
+  }
+
+  async _json_getChatHistory(userId, conversationId = 'default') {
+    try {
+      const conversations = await this.readFile(this.chatHistoryFile) || [];
+      const conversation = conversations.find(c => c.userId === userId && c.conversationId === conversationId);
+      return conversation?.messages || [];
+    } catch (error) {
+      console.error('Error getting chat history:', error);
+      return [];
+    }
+  }
+
+  async _json_clearChatHistory(userId, conversationId = 'default') {
+    return this.withFileLock(this.chatHistoryFile, async () => {
+      try {
+        const conversations = await this.readFile(this.chatHistoryFile) || [];
+        const remaining = conversations.filter(c => !(c.userId === userId && c.conversationId === conversationId));
+        return await this.writeFile(this.chatHistoryFile, remaining);
+      } catch (error) {
+        console.error('Error clearing chat history:', error);
+        return false;
+      }
+    });
+  }
+
+  // Conversation management operations
+  async _json_createConversation(userId, conversationId, fields = {}) {
+    return this.withFileLock(this.chatHistoryFile, async () => {
+      try {
+        const conversations = await this.readFile(this.chatHistoryFile) || [];
+        const timestamp = new Date().toISOString();
+
+        if (conversations.some(c => c.userId === userId && c.conversationId === conversationId)) {
+          return null; // Conversation already exists
+        }
+
+        const conversation = {
+          userId,
+          conversationId,
+          ...fields,
+          messages: [],
+          createdAt: timestamp,
+          updatedAt: timestamp
+        };
+        conversations.push(conversation);
+
+        const success = await this.writeFile(this.chatHistoryFile, conversations);
+        if (!success) return null;
+
+        const { messages, ...meta } = conversation;
+        return meta;
+      } catch (error) {
+        console.error('Error creating conversation:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_getConversation(userId, conversationId) {
+    try {
+      const conversations = await this.readFile(this.chatHistoryFile) || [];
+      const conversation = conversations.find(c => c.userId === userId && c.conversationId === conversationId);
+
+      if (!conversation) {
+        return null;
+      }
+
+      const { messages, ...meta } = conversation;
+      return meta;
+    } catch (error) {
+      console.error('Error getting conversation:', error);
+      return null;
+    }
+  }
+
+  async _json_listConversations(userId, options = {}) {
+    try {
+      const { limit = 20, skip = 0, includeArchived = false } = options;
+      const conversations = await this.readFile(this.chatHistoryFile) || [];
+
+      const userConversations = conversations
+        .filter(c => c.userId === userId && (includeArchived || !c.archived))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+      return {
+        total: userConversations.length,
+        conversations: userConversations
+          .slice(parseInt(skip), parseInt(skip) + parseInt(limit))
+          .map(({ messages, ...meta }) => ({
+            ...meta,
+            messageCount: messages.length,
+            lastMessage: messages[messages.length - 1] || null
+          }))
+      };
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      return { conversations: [], total: 0 };
+    }
+  }
+
+  async _json_updateConversation(userId, conversationId, updates) {
+    return this.withFileLock(this.chatHistoryFile, async () => {
+      try {
+        const conversations = await this.readFile(this.chatHistoryFile) || [];
+        const conversation = conversations.find(c => c.userId === userId && c.conversationId === conversationId);
+
+        if (!conversation) {
+          return null;
+        }
+
+        Object.assign(conversation, updates, { updatedAt: new Date().toISOString() });
+
+        const success = await this.writeFile(this.chatHistoryFile, conversations);
+        if (!success) return null;
+
+        const { messages, ...meta } = conversation;
+        return meta;
+      } catch (error) {
+        console.error('Error updating conversation:', error);
+        return null;
+      }
+    });
+  }
+
+  // Usage ledger operations
+  async _json_recordUsage(entry) {
+    return this.withFileLock(this.usageFile, async () => {
+      try {
+        const buckets = await this.readFile(this.usageFile) || [];
+        const { userId, date, provider, model, ...amounts } = entry;
+        const timestamp = new Date().toISOString();
+
+        let bucket = buckets.find(b =>
+          b.userId === userId && b.date === date && b.provider === provider && b.model === model
+        );
+        if (!bucket) {
+          bucket = { userId, date, provider, model, createdAt: timestamp };
+          buckets.push(bucket);
+        }
+
+        Object.entries(amounts).forEach(([field, amount]) => {
+          bucket[field] = (bucket[field] || 0) + amount;
+        });
+        bucket.updatedAt = timestamp;
+
+        const success = await this.writeFile(this.usageFile, buckets);
+        return success ? bucket : null;
+      } catch (error) {
+        console.error('Error recording usage:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_getUsage(userId, options = {}) {
+    try {
+      const buckets = await this.readFile(this.usageFile) || [];
+
+      return buckets
+        .filter(b => b.userId === userId)
+        .filter(b => !options.from || b.date >= options.from)
+        .filter(b => !options.to || b.date <= options.to)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      return [];
+    }
+  }
+
+  async _json_logModeration(event) {
+    return this.withFileLock(this.moderationFile, async () => {
+      try {
+        const events = await this.readFile(this.moderationFile) || [];
+        events.push(event);
+
+        const success = await this.writeFile(this.moderationFile, events);
+        return success ? event : null;
+      } catch (error) {
+        console.error('Error logging moderation event:', error);
+        return null;
+      }
+    });
+  }
+
+  // Newest first; filter by userId, action, category or stage
+  async _json_getModerationEvents(options = {}) {
+    try {
+      const events = await this.readFile(this.moderationFile) || [];
+
+      return events
+        .filter(e => !options.userId || e.userId === options.userId)
+        .filter(e => !options.action || e.action === options.action)
+        .filter(e => !options.category || e.categories.includes(options.category))
+        .filter(e => !options.stage || e.stage === options.stage)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, options.limit || 50);
+    } catch (error) {
+      console.error('Error getting moderation events:', error);
+      return [];
+    }
+  }
+
+  async _json_savePayment(payment) {
+    return this.withFileLock(this.paymentsFile, async () => {
+      try {
+        const payments = await this.readFile(this.paymentsFile) || [];
+        payments.push(payment);
+
+        const success = await this.writeFile(this.paymentsFile, payments);
+        return success ? payment : null;
+      } catch (error) {
+        console.error('Error saving payment:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_getPayment(intentId) {
+    try {
+      const payments = await this.readFile(this.paymentsFile) || [];
+      return payments.find(payment => payment.intentId === intentId) || null;
+    } catch (error) {
+      console.error('Error getting payment:', error);
+      return null;
+    }
+  }
+
+  async _json_updatePayment(intentId, updates) {
+    return this.withFileLock(this.paymentsFile, async () => {
+      try {
+        const payments = await this.readFile(this.paymentsFile) || [];
+        const index = payments.findIndex(payment => payment.intentId === intentId);
+
+        if (index === -1) {
+          return null;
+        }
+
+        payments[index] = {
+          ...payments[index],
+          ...updates,
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.paymentsFile, payments);
+        return success ? payments[index] : null;
+      } catch (error) {
+        console.error('Error updating payment:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_transitionPayment(intentId, status, updates) {
+    return this.withFileLock(this.paymentsFile, async () => {
+      try {
+        const payments = await this.readFile(this.paymentsFile) || [];
+        const index = payments.findIndex(payment => payment.intentId === intentId);
+
+        if (index === -1 || payments[index].status !== status) {
+          return null;
+        }
+
+        payments[index] = {
+          ...payments[index],
+          ...updates,
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.paymentsFile, payments);
+        return success ? payments[index] : null;
+      } catch (error) {
+        console.error('Error updating payment:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_reserveRefund(intentId, refund) {
+    return this.withFileLock(this.paymentsFile, async () => {
+      try {
+        const payments = await this.readFile(this.paymentsFile) || [];
+        const index = payments.findIndex(payment => payment.intentId === intentId);
+        const payment = payments[index];
+
+        if (!payment || payment.status !== 'succeeded') {
+          return null;
+        }
+
+        const amountRefunded = Math.round(((payment.amountRefunded || 0) + refund.amount) * 100) / 100;
+        if (amountRefunded > payment.amount) {
+          return null;
+        }
+
+        payments[index] = {
+          ...payment,
+          amountRefunded,
+          refunds: [...(payment.refunds || []), refund],
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.paymentsFile, payments);
+        return success ? payments[index] : null;
+      } catch (error) {
+        console.error('Error reserving refund:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_recordRefund(intentId, refund) {
+    return this.withFileLock(this.paymentsFile, async () => {
+      try {
+        const payments = await this.readFile(this.paymentsFile) || [];
+        const index = payments.findIndex(payment => payment.intentId === intentId);
+        const payment = payments[index];
+
+        if (!payment) {
+          return null;
+        }
+
+        const refunds = payment.refunds || [];
+        const reservationId = refund.metadata && refund.metadata.reservationId;
+        const reserved = reservationId && refunds.find(entry => entry.id === reservationId);
+        let amountRefunded = payment.amountRefunded || 0;
+        let updatedRefunds;
+
+        if (refunds.some(entry => entry.id === refund.id)) {
+          return payment;
+        } else if (reserved && refund.status === 'failed') {
+          amountRefunded -= reserved.amount;
+          updatedRefunds = refunds.filter(entry => entry !== reserved);
+        } else if (reserved) {
+          updatedRefunds = refunds.map(entry => (entry === reserved ? refund : entry));
+        } else if (refund.status === 'failed') {
+          return payment;
+        } else {
+          amountRefunded += refund.amount;
+          updatedRefunds = [...refunds, refund];
+        }
+
+        payments[index] = {
+          ...payment,
+          amountRefunded: Math.round(amountRefunded * 100) / 100,
+          refunds: updatedRefunds,
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.paymentsFile, payments);
+        return success ? payments[index] : null;
+      } catch (error) {
+        console.error('Error recording refund:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_recordPaymentEvent(intentId, eventId) {
+    return this.withFileLock(this.paymentsFile, async () => {
+      try {
+        const payments = await this.readFile(this.paymentsFile) || [];
+        const payment = payments.find(p => p.intentId === intentId);
+
+        if (!payment || (payment.events || []).includes(eventId)) {
+          return false;
+        }
+
+        payment.events = [...(payment.events || []), eventId];
+        return await this.writeFile(this.paymentsFile, payments);
+      } catch (error) {
+        console.error('Error recording payment event:', error);
+        return false;
+      }
+    });
+  }
+
+  async _json_getService(serviceId) {
+    try {
+      const services = await this.readFile(this.inventoryFile) || [];
+      return services.find(service => service.serviceId === serviceId) || null;
+    } catch (error) {
+      console.error('Error getting service:', error);
+      return null;
+    }
+  }
+
+  async _json_ensureService(service) {
+    return this.withFileLock(this.inventoryFile, async () => {
+      try {
+        const services = await this.readFile(this.inventoryFile) || [];
+        const existing = services.find(s => s.serviceId === service.serviceId);
+
+        if (existing) {
+          return existing;
+        }
+
+        services.push(service);
+        const success = await this.writeFile(this.inventoryFile, services);
+        return success ? service : null;
+      } catch (error) {
+        console.error('Error saving service:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_reserveSeats(serviceId, seatIds, claim) {
+    return this.withFileLock(this.inventoryFile, async () => {
+      try {
+        const services = await this.readFile(this.inventoryFile) || [];
+        const service = services.find(s => s.serviceId === serviceId);
+
+        if (!service) {
+          return { reserved: false, unavailable: seatIds };
+        }
+
+        const seats = service.seats || {};
+        const unavailable = seatIds.filter(seatId => seats[seatId]);
+        if (unavailable.length > 0) {
+          return { reserved: false, unavailable };
+        }
+
+        seatIds.forEach(seatId => {
+          seats[seatId] = claim;
+        });
+        service.seats = seats;
+        service.updatedAt = new Date().toISOString();
+
+        const success = await this.writeFile(this.inventoryFile, services);
+        return success ? { reserved: true, service } : null;
+      } catch (error) {
+        console.error('Error reserving seats:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_releaseSeats(serviceId, owner) {
+    return this.withFileLock(this.inventoryFile, async () => {
+      try {
+        const services = await this.readFile(this.inventoryFile) || [];
+        const service = services.find(s => s.serviceId === serviceId);
+        const ownsSeat = (claim) => Object.entries(owner).every(([key, value]) => claim[key] === value);
+        const released = Object.keys((service && service.seats) || {}).filter(seatId => ownsSeat(service.seats[seatId]));
+
+        if (released.length === 0) {
+          return [];
+        }
+
+        released.forEach(seatId => delete service.seats[seatId]);
+        service.updatedAt = new Date().toISOString();
+
+        const success = await this.writeFile(this.inventoryFile, services);
+        return success ? released : [];
+      } catch (error) {
+        console.error('Error releasing seats:', error);
+        return [];
+      }
+    });
+  }
+
+  async _json_claimSeats(serviceId, owner, claim) {
+    return this.withFileLock(this.inventoryFile, async () => {
+      try {
+        const services = await this.readFile(this.inventoryFile) || [];
+        const service = services.find(s => s.serviceId === serviceId);
+        const ownsSeat = (seat) => Object.entries(owner).every(([key, value]) => seat[key] === value);
+        const claimed = Object.keys((service && service.seats) || {}).filter(seatId => ownsSeat(service.seats[seatId]));
+
+        if (claimed.length === 0) {
+          return [];
+        }
+
+        claimed.forEach(seatId => {
+          service.seats[seatId] = claim;
+        });
+        service.updatedAt = new Date().toISOString();
+
+        const success = await this.writeFile(this.inventoryFile, services);
+        return success ? claimed : [];
+      } catch (error) {
+        console.error('Error claiming seats:', error);
+        return [];
+      }
+    });
+  }
+
+  async _json_saveHold(hold) {
+    return this.withFileLock(this.holdsFile, async () => {
+      try {
+        const holds = await this.readFile(this.holdsFile) || [];
+        holds.push(hold);
+
+        const success = await this.writeFile(this.holdsFile, holds);
+        return success ? hold : null;
+      } catch (error) {
+        console.error('Error saving hold:', error);
+        return null;
+      }
+    });
+  }
+
+  async _json_getHold(holdId) {
+    try {
+      const holds = await this.readFile(this.holdsFile) || [];
+      return holds.find(hold => hold.holdId === holdId) || null;
+    } catch (error) {
+      console.error('Error getting hold:', error);
+      return null;
+    }
+  }
+
+  async _json_getHolds(options = {}) {
+    try {
+      const holds = await this.readFile(this.holdsFile) || [];
+
+      return holds
+        .filter(h => !options.userId || h.userId === options.userId)
+        .filter(h => !options.status || h.status === options.status);
+    } catch (error) {
+      console.error('Error getting holds:', error);
+      return [];
+    }
+  }
+
+  async _json_transitionHold(holdId, status, updates) {
+    return this.withFileLock(this.holdsFile, async () => {
+      try {
+        const holds = await this.readFile(this.holdsFile) || [];
+        const index = holds.findIndex(hold => hold.holdId === holdId);
+
+        if (index === -1 || holds[index].status !== status) {
+          return null;
+        }
+
+        holds[index] = {
+          ...holds[index],
+          ...updates,
+          updatedAt: new Date().toISOString()
+        };
+
+        const success = await this.writeFile(this.holdsFile, holds);
+        return success ? holds[index] : null;
+      } catch (error) {
+        console.error('Error updating hold:', error);
+        return null;
+      }
+    });
+  }
+
   // Health check method
   async healthCheck() {
     if (this.mongoStorage.isMongoConnected()) {
@@ -0,0 +1,199 @@
+const RuleBasedModerator = require('./ruleBasedModerator');
+const JSONStorage = require('../jsonStorage');
+const PIIRedactor = require('../piiRedactor');
+const { I18n } = require('../i18n');
+const aiConfig = require('../../config/aiConfig');
+
+// Classifier backends by name (config.classifier / MODERATION_CLASSIFIER).
+// A classifier exposes classify(text, { stage }), sync or async, returning
+//   { categories: [{ category, confidence, matched, emergencyType }], backend }
+const CLASSIFIERS = {
+  rules: () => new RuleBasedModerator()
+};
+
+// What the assistant does with each category: 'crisis' answers with a
+// safe template that offers the emergency flow, 'block' refuses, 'allow'
+// lets the message through
+const DEFAULT_ACTIONS = {
+  'self-harm': 'crisis',
+  'medical-emergency': 'crisis',
+  abuse: 'crisis',
+  'violent-threat': 'block',
+  weapons: 'block',
+  'sexual-minors': 'block'
+};
+
+// A message that is both a crisis and blocked gets the crisis response
+const ACTION_PRIORITY = ['crisis', 'block'];
+
+// Helplines offered with crisis responses, by category
+const HELPLINES = {
+  default: [{ name: 'Emergency', number: '112' }],
+  'self-harm': [{ name: 'Tele-MANAS', number: '14416' }],
+  'medical-emergency': [{ name: 'Ambulance', number: '108' }],
+  abuse: [{ name: 'Women helpline', number: '181' }, { name: 'Childline', number: '1098' }]
+};
+
+// Characters of the flagged text kept in the review log, with its PII
+// redacted
+const EXCERPT_LENGTH = 200;
+
+// Moderation in front of the assistant. Messages are checked on the way
+// in and answers on the way out; flagged ones are replaced by a templated
+// response and logged for review.
+//
+// Crisis categories only apply to input: a good answer to someone in
+// crisis uses the same words, so output is only checked for blocked
+// categories.
+class ModerationPipeline {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.moderation || {};
+
+    this.enabled = options.enabled ?? config.enabled !== false;
+    this.actions = { ...DEFAULT_ACTIONS, ...config.actions };
+    this.logActions = config.logActions || ['block'];
+    this.classifier = options.classifier || this.createClassifier(config.classifier);
+    this.i18n = options.i18n || new I18n();
+    this.redactor = options.redactor || new PIIRedactor();
+
+    // Created lazily so services that never flag anything don't open storage
+    this.storage = options.storage || null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  createClassifier(name = 'rules') {
+    if (!CLASSIFIERS[name]) {
+      console.error(`Unknown moderation classifier "${name}", using rules`);
+      return CLASSIFIERS.rules();
+    }
+    return CLASSIFIERS[name]();
+  }
+
+  getAction(category, stage) {
+    const action = this.actions[category] || 'allow';
+    return stage === 'output' && action === 'crisis' ? 'allow' : action;
+  }
+
+  // Verdict for text at a stage ('input' or 'output'):
+  //   { flagged, action, stage, category, categories, matched, emergencyType, classifier }
+  // A classifier failure lets the text through rather than blocking chat.
+  async check(text, stage = 'input') {
+    const allow = { flagged: false, action: 'allow', stage, categories: [] };
+    if (!this.enabled || !text) return allow;
+
+    let result;
+    try {
+      result = await this.classifier.classify(text, { stage });
+    } catch (error) {
+      console.error('Moderation classifier failed:', error);
+      return allow;
+    }
+
+    const flagged = (result && result.categories || [])
+      .filter(entry => this.getAction(entry.category, stage) !== 'allow');
+    const action = ACTION_PRIORITY.find(candidate =>
+      flagged.some(entry => this.getAction(entry.category, stage) === candidate));
+
+    if (!action) return allow;
+
+    const primary = flagged.find(entry => this.getAction(entry.category, stage) === action);
+    return {
+      flagged: true,
+      action,
+      stage,
+      category: primary.category,
+      categories: flagged.map(entry => entry.category),
+      matched: flagged.flatMap(entry => entry.matched || []),
+      emergencyType: action === 'crisis' ? primary.emergencyType || 'medical' : undefined,
+      classifier: result.backend || this.classifier.name || 'custom'
+    };
+  }
+
+  // check() plus a review log entry for the actions in logActions
+  async moderate(text, options = {}) {
+    const verdict = await this.check(text, options.stage);
+
+    if (verdict.flagged && this.logActions.includes(verdict.action)) {
+      await this.log(verdict, { ...options, text });
+    }
+
+    return verdict;
+  }
+
+  async log(verdict, { userId, conversationId, text, language }) {
+    try {
+      return await this.getStorage().logModeration({
+        id: `mod_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        userId: userId || null,
+        conversationId: conversationId || null,
+        stage: verdict.stage,
+        action: verdict.action,
+        category: verdict.category,
+        categories: verdict.categories,
+        matched: verdict.matched,
+        classifier: verdict.classifier,
+        language: language || null,
+        excerpt: this.redactor.createSession().redact(String(text)).slice(0, EXCERPT_LENGTH),
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Failed to log moderation event:', error);
+      return null;
+    }
+  }
+
+  async getEvents(options = {}) {
+    return await this.getStorage().getModerationEvents(options) || [];
+  }
+
+  // What callers see about a verdict; crisis verdicts carry the
+  // emergency type and helplines for the emergency flow
+  describe(verdict) {
+    return {
+      action: verdict.action,
+      stage: verdict.stage,
+      category: verdict.category,
+      categories: verdict.categories,
+      classifier: verdict.classifier,
+      ...(verdict.action === 'crisis' && {
+        emergency: {
+          type: verdict.emergencyType,
+          helplines: [...HELPLINES.default, ...(HELPLINES[verdict.category] || [])]
+        }
+      })
+    };
+  }
+
+  // Templated reply for a flagged verdict in the given language
+  getMessage(verdict, language) {
+    let key = verdict.stage === 'output' ? 'moderation.outputBlocked' : 'moderation.blocked';
+    if (verdict.action === 'crisis') {
+      key = this.i18n.has(`moderation.${verdict.category}`) ? `moderation.${verdict.category}` : 'moderation.crisis';
+    }
+    return this.i18n.t(key, language);
+  }
+
+  // Result in processMessage() shape for a flagged verdict
+  respond(verdict, language) {
+    return {
+      response: this.getMessage(verdict, language),
+      source: 'moderation',
+      moderation: this.describe(verdict),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+ModerationPipeline.CLASSIFIERS = CLASSIFIERS;
+ModerationPipeline.DEFAULT_ACTIONS = DEFAULT_ACTIONS;
+
+module.exports = {
+  ModerationPipeline,
+  RuleBasedModerator
+};
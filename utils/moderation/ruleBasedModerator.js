@@ -0,0 +1,112 @@
+// Keyword and pattern rules for moderation categories in English and
+// Telugu. As in the intent rules, string cues are substring matches and
+// RegExp cues run against the lower-cased text.
+//
+// What happens to a flagged message (crisis response, block) is decided by
+// the pipeline, not here; emergencyType is the type handed to the
+// emergency flow for crisis categories.
+
+// Who a medical emergency is happening to: the user or someone with them,
+// in the present tense. Questions about a condition ("what are the
+// symptoms of a heart attack?", "what if someone is choking?") don't name
+// one.
+const PERSON = "(?<!\\bif )\\b(i|my \\w+|he|she|someone|somebody)";
+const PATIENT = "(?<!\\bif )\\b(i'?m|i am|(my \\w+|he|she|someone|somebody)('s| is))";
+
+const CATEGORY_RULES = {
+  'self-harm': {
+    emergencyType: 'medical',
+    cues: [
+      /\b(kill|hurt|harm|cut) (myself|my ?self)\b/, /\bsuicid(e|al)\b/, /\bend (it all|my (own )?life)\b/,
+      /\b(want|going|plan(ning)?) to die\b/, /\bdon'?t want to (live|be alive)\b/, /\bno reason to live\b/,
+      /\bbetter off dead\b/, /\bself[- ]harm\b/, /\boverdose\b/,
+      'ఆత్మహత్య', 'చనిపోవాలని', 'బ్రతకాలని లేదు', 'నన్ను నేను చంపుకో'
+    ]
+  },
+  'medical-emergency': {
+    emergencyType: 'medical',
+    cues: [
+      new RegExp(`${PATIENT} having an? (heart attack|stroke|seizure)\\b`),
+      new RegExp(`${PATIENT} (not breathing|unconscious|choking|bleeding (heavily|badly|a lot))\\b`),
+      new RegExp(`${PERSON} (can'?t|cannot) breathe\\b`),
+      new RegExp(`${PERSON}( has| just)? (passed|blacked) out\\b`),
+      /\b(i('m| am) having|i have|i'?ve got) (severe |bad |sharp )?chest pains?\b/, /\bmy chest (hurts|is hurting)\b/,
+      new RegExp(`${PERSON}('ve| have| has)? (been |just )?(poisoned|swallowed (poison|bleach|pesticide))\\b`),
+      'గుండెపోటు వచ్చింది', 'గుండెపోటు వస్తోంది', 'స్పృహ లేదు', 'శ్వాస ఆడటం లేదు', 'ఊపిరి ఆడటం లేదు'
+    ]
+  },
+  abuse: {
+    emergencyType: 'police',
+    cues: [
+      /\b(he|she|they|my (husband|wife|partner|father|mother|boss|uncle)) (hits|beats|abuses|hurts|threatens) me\b/,
+      /\b(being|been|getting) (abused|beaten|molested|harassed|stalked)\b/, /\bdomestic (violence|abuse)\b/,
+      /\b(sexual(ly)? assault(ed)?|raped)\b/, /\bafraid to go home\b/,
+      'గృహ హింస', 'కొడుతున్నాడు', 'వేధిస్తున్నా'
+    ]
+  },
+  'violent-threat': {
+    cues: [
+      /\bi('m| am)? (going to|gonna|will) (kill|murder|hurt|stab|shoot) (him|her|them|you|someone|everyone)\b/,
+      /\bhow (do i|to|can i) (kill|murder|poison) (someone|a person|my|him|her)\b/,
+      'చంపేస్తాను'
+    ]
+  },
+  weapons: {
+    cues: [
+      /\bhow (do i|to|can i) (make|build) an? (bomb|explosive|pipe bomb|gun)\b/,
+      /\b(bomb|explosive)[- ]making\b/, /\bmake (a )?molotov\b/
+    ]
+  },
+  'sexual-minors': {
+    cues: [
+      /\b(sexual|nude|naked|explicit)\b.*\b(child|children|kid|kids|minor|minors|underage)\b/,
+      /\b(child|children|kid|kids|minor|minors|underage)\b.*\b(sexual|nude|naked|explicit)\b/
+    ]
+  }
+};
+
+class RuleBasedModerator {
+  constructor(options = {}) {
+    this.rules = options.rules || CATEGORY_RULES;
+    this.name = 'rules';
+  }
+
+  // Returns the matched text of every cue found in the text
+  matchCues(text, cues) {
+    const matches = [];
+
+    for (const cue of cues) {
+      if (typeof cue === 'string') {
+        if (text.includes(cue)) matches.push(cue);
+      } else {
+        const match = cue.exec(text);
+        if (match) matches.push(match[0]);
+      }
+    }
+
+    return matches;
+  }
+
+  // { categories: [{ category, confidence, matched, emergencyType }], backend }
+  classify(text = '') {
+    const lowerText = String(text).toLowerCase().replace(/[’‘]/g, "'");
+
+    const categories = Object.entries(this.rules)
+      .map(([category, { cues, emergencyType }]) => {
+        const matched = this.matchCues(lowerText, cues);
+        return {
+          category,
+          confidence: matched.length > 1 ? 1 : 0.8,
+          matched,
+          ...(emergencyType && { emergencyType })
+        };
+      })
+      .filter(result => result.matched.length > 0);
+
+    return { categories, backend: this.name };
+  }
+}
+
+RuleBasedModerator.CATEGORY_RULES = CATEGORY_RULES;
+
+module.exports = RuleBasedModerator;
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { Booking, User, ChatHistory, VoiceSession, EmergencyAlert } = require('../models/mongoModels');
+const { Booking, User, ChatHistory, VoiceSession, EmergencyAlert, Reminder, UsageLedger, ModerationEvent, Payment, ServiceInventory, SeatHold } = require('../models/mongoModels');
 
 class MongoStorage {
   constructor() {
@@ -140,6 +140,23 @@ class MongoStorage {
     }
   }
 
+  async transitionBooking(bookingId, status, updates) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await Booking.findOneAndUpdate(
+        { bookingId, status },
+        { ...updates, updatedAt: new Date() },
+        { new: true, lean: true }
+      );
+    } catch (error) {
+      console.error('Error updating booking:', error);
+      return null;
+    }
+  }
+
   async deleteBooking(bookingId) {
     try {
       if (!this.isConnected) {
@@ -336,7 +353,7 @@ class MongoStorage {
           conversationId,
           $push: {
             messages: {
-              $each: [message],
+              $each: Array.isArray(message) ? message : [message],
               $slice: -50 // Keep only last 50 messages
             }
           },
@@ -380,6 +397,96 @@ class MongoStorage {
     }
   }
 
+  // Conversation management operations
+  async createConversation(userId, conversationId, fields = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      if (await ChatHistory.exists({ userId, conversationId })) {
+        return null; // Conversation already exists
+      }
+
+      const conversation = await new ChatHistory({ userId, conversationId, ...fields, messages: [] }).save();
+      const { messages, ...meta } = conversation.toObject();
+      return meta;
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      return null;
+    }
+  }
+
+  async getConversation(userId, conversationId) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await ChatHistory.findOne({ userId, conversationId }, { messages: 0 }).lean();
+    } catch (error) {
+      console.error('Error getting conversation:', error);
+      return null;
+    }
+  }
+
+  async listConversations(userId, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const { limit = 20, skip = 0, includeArchived = false } = options;
+
+      let query = { userId };
+      if (!includeArchived) query.archived = { $ne: true };
+
+      const [conversations, total] = await Promise.all([
+        ChatHistory.aggregate([
+          { $match: query },
+          { $sort: { updatedAt: -1 } },
+          { $skip: parseInt(skip) },
+          { $limit: parseInt(limit) },
+          {
+            $project: {
+              _id: 0,
+              conversationId: 1,
+              title: 1,
+              archived: 1,
+              createdAt: 1,
+              updatedAt: 1,
+              messageCount: { $size: '$messages' },
+              lastMessage: { $arrayElemAt: ['$messages', -1] }
+            }
+          }
+        ]),
+        ChatHistory.countDocuments(query)
+      ]);
+
+      return { conversations, total };
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      return { conversations: [], total: 0 };
+    }
+  }
+
+  async updateConversation(userId, conversationId, updates) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await ChatHistory.findOneAndUpdate(
+        { userId, conversationId },
+        { ...updates, updatedAt: new Date() },
+        { new: true, lean: true, projection: { messages: 0 } }
+      );
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      return null;
+    }
+  }
+
   // Voice session operations
   async saveVoiceInteraction(userId, sessionId, interaction) {
     try {
@@ -496,6 +603,423 @@ class MongoStorage {
     }
   }
 
+  // Reminder operations
+  async saveReminder(reminder) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const newReminder = new Reminder(reminder);
+      const savedReminder = await newReminder.save();
+      return savedReminder.toObject();
+    } catch (error) {
+      console.error('Error saving reminder:', error);
+      return null;
+    }
+  }
+
+  async getUserReminders(userId, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const { status, limit = 50 } = options;
+
+      let query = { userId };
+      if (status) query.status = status;
+
+      const reminders = await Reminder.find(query)
+        .sort({ datetime: 1 })
+        .limit(parseInt(limit))
+        .lean();
+
+      return reminders;
+    } catch (error) {
+      console.error('Error getting user reminders:', error);
+      return [];
+    }
+  }
+
+  // Usage ledger operations
+  async recordUsage(entry) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const { userId, date, provider, model, ...amounts } = entry;
+      const bucket = await UsageLedger.findOneAndUpdate(
+        { userId, date, provider, model },
+        { $inc: amounts },
+        { upsert: true, new: true, lean: true }
+      );
+
+      return bucket;
+    } catch (error) {
+      console.error('Error recording usage:', error);
+      return null;
+    }
+  }
+
+  async getUsage(userId, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const query = { userId };
+      if (options.from || options.to) {
+        query.date = {};
+        if (options.from) query.date.$gte = options.from;
+        if (options.to) query.date.$lte = options.to;
+      }
+
+      return await UsageLedger.find(query).sort({ date: 1 }).lean();
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      return [];
+    }
+  }
+
+  // Moderation review log
+  async logModeration(event) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const saved = await new ModerationEvent(event).save();
+      return saved.toObject();
+    } catch (error) {
+      console.error('Error logging moderation event:', error);
+      return null;
+    }
+  }
+
+  async getModerationEvents(options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const query = {};
+      if (options.userId) query.userId = options.userId;
+      if (options.action) query.action = options.action;
+      if (options.category) query.categories = options.category;
+      if (options.stage) query.stage = options.stage;
+
+      return await ModerationEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(options.limit || 50)
+        .lean();
+    } catch (error) {
+      console.error('Error getting moderation events:', error);
+      return [];
+    }
+  }
+
+  // Payment operations
+  async savePayment(payment) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const saved = await new Payment(payment).save();
+      return saved.toObject();
+    } catch (error) {
+      console.error('Error saving payment:', error);
+      return null;
+    }
+  }
+
+  async getPayment(intentId) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await Payment.findOne({ intentId }).lean();
+    } catch (error) {
+      console.error('Error getting payment:', error);
+      return null;
+    }
+  }
+
+  async updatePayment(intentId, updates) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await Payment.findOneAndUpdate(
+        { intentId },
+        { ...updates, updatedAt: new Date() },
+        { new: true, lean: true }
+      );
+    } catch (error) {
+      console.error('Error updating payment:', error);
+      return null;
+    }
+  }
+
+  async transitionPayment(intentId, status, updates) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await Payment.findOneAndUpdate(
+        { intentId, status },
+        { ...updates, updatedAt: new Date() },
+        { new: true, lean: true }
+      );
+    } catch (error) {
+      console.error('Error updating payment:', error);
+      return null;
+    }
+  }
+
+  async reserveRefund(intentId, refund) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await Payment.findOneAndUpdate(
+        {
+          intentId,
+          status: 'succeeded',
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$amountRefunded', 0] }, refund.amount] }, '$amount'] }
+        },
+        { $inc: { amountRefunded: refund.amount }, $push: { refunds: refund }, $set: { updatedAt: new Date() } },
+        { new: true, lean: true }
+      );
+    } catch (error) {
+      console.error('Error reserving refund:', error);
+      return null;
+    }
+  }
+
+  async recordRefund(intentId, refund) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const options = { new: true, lean: true };
+      const reservationId = refund.metadata && refund.metadata.reservationId;
+
+      if (reservationId) {
+        const settled = await Payment.findOneAndUpdate(
+          { intentId, 'refunds.id': reservationId },
+          refund.status === 'failed'
+            ? { $pull: { refunds: { id: reservationId } }, $inc: { amountRefunded: -refund.amount }, $set: { updatedAt: new Date() } }
+            : { $set: { 'refunds.$': refund, updatedAt: new Date() } },
+          options
+        );
+        if (settled) return settled;
+      }
+
+      const recorded = refund.status !== 'failed' && await Payment.findOneAndUpdate(
+        { intentId, 'refunds.id': { $ne: refund.id } },
+        { $inc: { amountRefunded: refund.amount }, $push: { refunds: refund }, $set: { updatedAt: new Date() } },
+        options
+      );
+      return recorded || await Payment.findOne({ intentId }).lean();
+    } catch (error) {
+      console.error('Error recording refund:', error);
+      return null;
+    }
+  }
+
+  async recordPaymentEvent(intentId, eventId) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const result = await Payment.updateOne(
+        { intentId, events: { $ne: eventId } },
+        { $push: { events: eventId } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('Error recording payment event:', error);
+      return false;
+    }
+  }
+
+  // Seat inventory operations
+  async getService(serviceId) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await ServiceInventory.findOne({ serviceId }).lean();
+    } catch (error) {
+      console.error('Error getting service:', error);
+      return null;
+    }
+  }
+
+  async ensureService(service) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const { serviceId, createdAt, updatedAt, ...fields } = service;
+      return await ServiceInventory.findOneAndUpdate(
+        { serviceId },
+        { $setOnInsert: fields },
+        { upsert: true, new: true, lean: true }
+      );
+    } catch (error) {
+      console.error('Error saving service:', error);
+      return null;
+    }
+  }
+
+  // One conditional update, so two bookings can't both claim a seat
+  async reserveSeats(serviceId, seatIds, claim) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const service = await ServiceInventory.findOneAndUpdate(
+        { serviceId, $and: seatIds.map(seatId => ({ [`seats.${seatId}`]: { $exists: false } })) },
+        { $set: Object.fromEntries(seatIds.map(seatId => [`seats.${seatId}`, claim])) },
+        { new: true, lean: true }
+      );
+
+      if (service) {
+        return { reserved: true, service };
+      }
+
+      const current = await ServiceInventory.findOne({ serviceId }).lean();
+      const seats = (current && current.seats) || {};
+      return { reserved: false, unavailable: current ? seatIds.filter(seatId => seats[seatId]) : seatIds };
+    } catch (error) {
+      console.error('Error reserving seats:', error);
+      return null;
+    }
+  }
+
+  async releaseSeats(serviceId, owner) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const service = await ServiceInventory.findOne({ serviceId }).lean();
+      const ownsSeat = (claim) => Object.entries(owner).every(([key, value]) => claim[key] === value);
+      const released = Object.keys((service && service.seats) || {}).filter(seatId => ownsSeat(service.seats[seatId]));
+
+      if (released.length === 0) {
+        return [];
+      }
+
+      // Only seats still held by the same owner are cleared
+      await Promise.all(released.map(seatId => ServiceInventory.updateOne(
+        { serviceId, ...Object.fromEntries(Object.entries(owner).map(([key, value]) => [`seats.${seatId}.${key}`, value])) },
+        { $unset: { [`seats.${seatId}`]: '' } }
+      )));
+      return released;
+    } catch (error) {
+      console.error('Error releasing seats:', error);
+      return [];
+    }
+  }
+
+  async claimSeats(serviceId, owner, claim) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const service = await ServiceInventory.findOne({ serviceId }).lean();
+      const ownsSeat = (seat) => Object.entries(owner).every(([key, value]) => seat[key] === value);
+      const owned = Object.keys((service && service.seats) || {}).filter(seatId => ownsSeat(service.seats[seatId]));
+
+      // Only seats still held by the same owner change hands
+      const results = await Promise.all(owned.map(seatId => ServiceInventory.updateOne(
+        { serviceId, ...Object.fromEntries(Object.entries(owner).map(([key, value]) => [`seats.${seatId}.${key}`, value])) },
+        { $set: { [`seats.${seatId}`]: claim } }
+      )));
+      return owned.filter((seatId, index) => results[index].modifiedCount > 0);
+    } catch (error) {
+      console.error('Error claiming seats:', error);
+      return [];
+    }
+  }
+
+  // Seat hold operations
+  async saveHold(hold) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const saved = await new SeatHold(hold).save();
+      return saved.toObject();
+    } catch (error) {
+      console.error('Error saving hold:', error);
+      return null;
+    }
+  }
+
+  async getHold(holdId) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await SeatHold.findOne({ holdId }).lean();
+    } catch (error) {
+      console.error('Error getting hold:', error);
+      return null;
+    }
+  }
+
+  async getHolds(options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      const query = {};
+      if (options.userId) query.userId = options.userId;
+      if (options.status) query.status = options.status;
+
+      return await SeatHold.find(query).lean();
+    } catch (error) {
+      console.error('Error getting holds:', error);
+      return [];
+    }
+  }
+
+  async transitionHold(holdId, status, updates) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('MongoDB not connected');
+      }
+
+      return await SeatHold.findOneAndUpdate(
+        { holdId, status },
+        { ...updates, updatedAt: new Date() },
+        { new: true, lean: true }
+      );
+    } catch (error) {
+      console.error('Error updating hold:', error);
+      return null;
+    }
+  }
+
   // Backup and restore (for compatibility)
   async createBackup() {
     try {
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Card numbers that force an outcome, as on real test gateways. Other
+// numbers succeed when they pass the Luhn check.
+const TEST_CARDS = {
+  '4242424242424242': { outcome: 'succeeded', description: 'Succeeds' },
+  '4000000000000002': { outcome: 'failed', code: 'card_declined', message: 'Your card was declined.', description: 'Declined' },
+  '4000000000009995': { outcome: 'failed', code: 'insufficient_funds', message: 'Your card has insufficient funds.', description: 'Declined for insufficient funds' },
+  '4000000000000069': { outcome: 'failed', code: 'expired_card', message: 'Your card has expired.', description: 'Declined as expired' },
+  '4000000000000077': { outcome: 'processing', then: 'succeeded', description: 'Processing, then succeeds by webhook' },
+  '4000000000000119': { outcome: 'processing', then: 'failed', code: 'processing_error', message: 'The payment could not be processed.', description: 'Processing, then fails by webhook' }
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const luhnValid = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((digit, index) => {
+    let value = parseInt(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+};
+
+// Stand-in for a card payment provider. It keeps no state: intents are
+// handed back to it on every call, and each outcome is described by an
+// event { id, type, createdAt, data }. Outcomes known at once are
+// returned to the caller; processing payments settle later and their
+// event is delivered as a signed webhook, to webhookURL when set or
+// in-process to onWebhook(payload, signature).
+class FakePaymentGateway {
+  constructor(options = {}) {
+    this.name = 'fake';
+    // Without a configured secret, in-process events are signed with one
+    // nobody outside this process knows
+    this.webhookSecret = options.webhookSecret || crypto.randomBytes(32).toString('hex');
+    this.webhookURL = options.webhookURL;
+    this.webhookDelayMs = options.webhookDelayMs ?? 2000;
+    this.onWebhook = options.onWebhook || null;
+  }
+
+  createIntent({ amount, currency, metadata = {} }) {
+    const id = randomId('pi');
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      status: 'requires_payment_method',
+      metadata,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // What a card does when charged: { outcome, then?, code?, message? }
+  cardBehaviour(number) {
+    if (TEST_CARDS[number]) {
+      return TEST_CARDS[number];
+    }
+    if (!/^\d{12,19}$/.test(number) || !luhnValid(number)) {
+      return { outcome: 'failed', code: 'invalid_number', message: 'The card number is not valid.' };
+    }
+    return { outcome: 'succeeded' };
+  }
+
+  // Charges a card against an intent. Returns { status, card, failure?,
+  // event? }; status is succeeded, failed or processing, and a
+  // processing payment's event follows by webhook.
+  confirmIntent(intent, card = {}) {
+    const number = String(card.number || '').replace(/[\s-]/g, '');
+    const behaviour = this.cardBehaviour(number);
+    const details = { brand: number.startsWith('4') ? 'visa' : 'card', last4: number.slice(-4) };
+
+    if (behaviour.outcome === 'processing') {
+      this.settleLater(intent, details, behaviour);
+      return { status: 'processing', card: details };
+    }
+
+    const failure = behaviour.outcome === 'failed' && { code: behaviour.code, message: behaviour.message };
+    return {
+      status: behaviour.outcome,
+      card: details,
+      ...(failure && { failure }),
+      event: this.outcomeEvent(intent, details, behaviour.outcome, failure)
+    };
+  }
+
+  outcomeEvent(intent, card, outcome, failure) {
+    return this.createEvent(outcome === 'succeeded' ? 'payment_intent.succeeded' : 'payment_intent.payment_failed', {
+      intentId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency,
+      card,
+      ...(failure && { failure })
+    });
+  }
+
+  settleLater(intent, card, behaviour) {
+    const failure = behaviour.then === 'failed' && { code: behaviour.code, message: behaviour.message };
+    const timer = setTimeout(() => {
+      this.deliver(this.outcomeEvent(intent, card, behaviour.then, failure));
+    }, this.webhookDelayMs);
+    // A settling payment shouldn't keep the process alive
+    if (timer.unref) timer.unref();
+  }
+
+  // metadata is returned on the refund, as gateways do, so the caller can
+  // match it to its own records
+  refund(intent, amount, reason, metadata) {
+    const refund = {
+      id: randomId('re'),
+      amount,
+      reason: reason || null,
+      status: 'succeeded',
+      ...(metadata && { metadata }),
+      createdAt: new Date().toISOString()
+    };
+
+    return {
+      refund,
+      event: this.createEvent('charge.refunded', { intentId: intent.id, currency: intent.currency, refund })
+    };
+  }
+
+  createEvent(type, data) {
+    return { id: randomId('evt'), type, createdAt: new Date().toISOString(), data };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex');
+  }
+
+  verify(payload, signature) {
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(String(signature || ''));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  async deliver(event) {
+    const payload = JSON.stringify(event);
+    const signature = this.sign(payload);
+
+    try {
+      if (this.webhookURL) {
+        await axios.post(this.webhookURL, payload, {
+          headers: { 'Content-Type': 'application/json', 'X-Payment-Signature': signature },
+          timeout: 10000
+        });
+      } else if (this.onWebhook) {
+        await this.onWebhook(payload, signature);
+      }
+    } catch (error) {
+      console.error('Payment webhook delivery error:', error.message);
+    }
+  }
+}
+
+FakePaymentGateway.TEST_CARDS = TEST_CARDS;
+
+module.exports = FakePaymentGateway;
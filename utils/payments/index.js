@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const FakePaymentGateway = require('./fakeGateway');
+const BookingModel = require('../../models/BookingModel');
+const JSONStorage = require('../jsonStorage');
+const SeatInventory = require('../inventory/seatInventory');
+const aiConfig = require('../../config/aiConfig');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// 'update' events from every payment service in the process, so a webhook
+// applied by the REST routes reaches the user's sockets too
+const paymentUpdates = new EventEmitter();
+
+const paymentError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Payments for bookings. A booking is created pending with a payment
+// intent; it is confirmed once a payment_intent.succeeded event for that
+// intent is applied, whether the event came straight back from the
+// gateway or later by webhook. Every event is applied once, by id.
+//
+// A payment record is { intentId, bookingId, userId, amount, currency,
+// status, clientSecret, card, lastError, amountRefunded, refunds, events,
+// createdAt, updatedAt }; status is requires_payment_method, processing,
+// succeeded or cancelled. A failed attempt returns the intent to
+// requires_payment_method so the user can try another card. A refund is
+// counted in amountRefunded as pending from before the gateway is asked
+// for it until the gateway's refund replaces it.
+class PaymentService {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.payments || {};
+
+    this.currency = config.currency || 'INR';
+    this.refundPolicy = [...(config.refundPolicy || [])]
+      .sort((a, b) => b.hoursBeforeDeparture - a.hoursBeforeDeparture);
+
+    // The HTTP webhook endpoint only accepts events signed with a
+    // configured secret; without one, events are delivered in-process
+    this.webhookEndpointEnabled = Boolean(config.webhookSecret);
+    if (config.webhookURL && !config.webhookSecret) {
+      console.warn('PAYMENT_WEBHOOK_URL is ignored without PAYMENT_WEBHOOK_SECRET; webhooks are delivered in-process');
+    }
+    this.gateway = options.gateway || new FakePaymentGateway({
+      ...config,
+      webhookURL: config.webhookSecret ? config.webhookURL : undefined,
+      onWebhook: (payload, signature) => this.handleWebhook(payload, signature)
+    });
+    this.bookingModel = options.bookingModel || new BookingModel();
+
+    // Emits 'update' with { type, payment, booking } after a webhook event
+    // changes a payment, e.g. to tell the user's sockets
+    this.updates = options.updates || paymentUpdates;
+
+    // Created lazily so importing the service doesn't open storage
+    this.storage = options.storage || null;
+    this.inventory = options.inventory || null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  getInventory() {
+    if (!this.inventory) {
+      this.inventory = new SeatInventory({ storage: this.getStorage() });
+    }
+    return this.inventory;
+  }
+
+  // Payment as returned to clients; processed event ids stay internal
+  describe(payment) {
+    if (!payment) return null;
+    const { events, _id, __v, ...rest } = payment;
+    return rest;
+  }
+
+  testCards() {
+    return Object.entries(FakePaymentGateway.TEST_CARDS)
+      .map(([number, card]) => ({ number, outcome: card.outcome, description: card.description }));
+  }
+
+  async getPayment(intentId) {
+    return await this.getStorage().getPayment(intentId);
+  }
+
+  // Payment record for a user's intent; 404 for anyone else's
+  async getUserPayment(intentId, userId) {
+    const payment = await this.getPayment(intentId);
+    if (!payment || payment.userId !== userId) {
+      throw paymentError(`Payment ${intentId} not found`, 404, 'PAYMENT_NOT_FOUND');
+    }
+    return payment;
+  }
+
+  // Intent for a pending booking's price: { payment, booking }. An open
+  // intent for the booking is reused, so retrying doesn't charge twice.
+  async createIntent(booking) {
+    const storage = this.getStorage();
+
+    if (booking.status !== this.bookingModel.bookingStatus.PENDING) {
+      throw paymentError(`Booking ${booking.bookingId} is ${booking.status} and can't be paid`, 409, 'BOOKING_NOT_PAYABLE');
+    }
+
+    const existing = booking.paymentIntentId && await storage.getPayment(booking.paymentIntentId);
+    if (existing && existing.status !== 'cancelled') {
+      return { payment: existing, booking };
+    }
+
+    const intent = this.gateway.createIntent({
+      amount: round(booking.estimatedPrice),
+      currency: this.currency,
+      metadata: { bookingId: booking.bookingId, userId: booking.userId }
+    });
+    const timestamp = new Date().toISOString();
+
+    const payment = await storage.savePayment({
+      intentId: intent.id,
+      bookingId: booking.bookingId,
+      userId: booking.userId,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+      clientSecret: intent.clientSecret,
+      gateway: this.gateway.name,
+      amountRefunded: 0,
+      refunds: [],
+      events: [],
+      createdAt: timestamp,
+      updatedAt: timestamp
+    });
+
+    if (!payment) {
+      throw new Error('Failed to save payment');
+    }
+
+    const updatedBooking = await storage.updateBooking(booking.bookingId, { paymentIntentId: intent.id, paymentStatus: 'pending' });
+    return { payment, booking: updatedBooking || booking };
+  }
+
+  // Charges card { number } against one of the user's intents. Returns
+  // { status, payment, booking, failure? }; status processing means the
+  // outcome follows by webhook.
+  async confirmPayment(intentId, userId, card) {
+    const storage = this.getStorage();
+    const payment = await this.getUserPayment(intentId, userId);
+
+    if (payment.status !== 'requires_payment_method') {
+      throw paymentError(`Payment ${intentId} is ${payment.status} and can't be confirmed`, 409, 'PAYMENT_NOT_CONFIRMABLE');
+    }
+
+    const booking = await storage.getBooking(payment.bookingId);
+    if (!booking || booking.status !== this.bookingModel.bookingStatus.PENDING) {
+      throw paymentError(`Booking ${payment.bookingId} is no longer awaiting payment`, 409, 'BOOKING_NOT_PAYABLE');
+    }
+
+    // Claim the intent before charging so a second confirm racing this
+    // one is turned away instead of charging the card again
+    const claimed = await storage.transitionPayment(intentId, 'requires_payment_method', { status: 'processing' });
+    if (!claimed) {
+      throw paymentError(`Payment ${intentId} is already being confirmed`, 409, 'PAYMENT_NOT_CONFIRMABLE');
+    }
+
+    let result;
+    try {
+      result = this.gateway.confirmIntent({ id: payment.intentId, amount: payment.amount, currency: payment.currency }, card);
+    } catch (error) {
+      await storage.transitionPayment(intentId, 'processing', { status: 'requires_payment_method' });
+      throw error;
+    }
+
+    if (result.status === 'processing') {
+      const processing = await storage.updatePayment(intentId, { status: 'processing', card: result.card, lastError: null });
+      return { status: 'processing', payment: processing, booking };
+    }
+
+    const applied = await this.applyEvent(result.event);
+    return { status: result.status, ...applied, ...(result.failure && { failure: result.failure }) };
+  }
+
+  // Signed event from the gateway, as delivered to the webhook endpoint
+  async handleWebhook(payload, signature) {
+    if (!this.gateway.verify(payload, signature)) {
+      throw paymentError('Invalid webhook signature', 400, 'INVALID_SIGNATURE');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw paymentError('Invalid webhook payload', 400, 'INVALID_PAYLOAD');
+    }
+
+    const applied = await this.applyEvent(event);
+    if (!applied.duplicate) {
+      this.updates.emit('update', { type: event.type, ...applied });
+    }
+    return applied;
+  }
+
+  // Applies a gateway event to its payment and booking. An event already
+  // applied is skipped and { duplicate: true } returned.
+  async applyEvent(event) {
+    const storage = this.getStorage();
+    const intentId = event && event.data && event.data.intentId;
+    const payment = intentId && await storage.getPayment(intentId);
+
+    if (!payment) {
+      throw paymentError(`No payment for event ${event && event.id}`, 404, 'PAYMENT_NOT_FOUND');
+    }
+    if (!await storage.recordPaymentEvent(intentId, event.id)) {
+      return { duplicate: true, payment, booking: await storage.getBooking(payment.bookingId) };
+    }
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return await this.applySucceeded(payment, event);
+      case 'payment_intent.payment_failed':
+        return await this.applyFailed(payment, event);
+      case 'charge.refunded':
+        return await this.applyRefunded(payment, event);
+      default:
+        return { payment, booking: await storage.getBooking(payment.bookingId) };
+    }
+  }
+
+  async applySucceeded(payment, event) {
+    const storage = this.getStorage();
+    const updatedPayment = await storage.updatePayment(payment.intentId, {
+      status: 'succeeded',
+      card: event.data.card,
+      lastError: null,
+      paidAt: event.createdAt
+    });
+    const booking = await storage.getBooking(payment.bookingId);
+
+    if (booking && booking.status === this.bookingModel.bookingStatus.PENDING) {
+      const paid = { ...booking, paymentStatus: 'completed' };
+      try {
+        const confirmedBooking = await storage.transitionBooking(booking.bookingId, booking.status, {
+          paymentStatus: 'completed',
+          ...this.bookingModel.transition(paid, this.bookingModel.bookingStatus.CONFIRMED, { reason: 'Payment received' })
+        });
+        if (confirmedBooking) {
+          return { payment: updatedPayment, booking: confirmedBooking };
+        }
+      } catch (error) {
+        if (error.status !== 409) throw error;
+      }
+    }
+
+    // The booking was cancelled, or departed, before the money arrived or
+    // while it was being confirmed
+    return await this.refund(updatedPayment, { reason: 'Booking no longer awaiting payment' });
+  }
+
+  async applyFailed(payment, event) {
+    const storage = this.getStorage();
+    const failedPayment = await storage.updatePayment(payment.intentId, {
+      status: payment.status === 'cancelled' ? 'cancelled' : 'requires_payment_method',
+      card: event.data.card,
+      lastError: event.data.failure
+    });
+    const booking = await storage.getBooking(payment.bookingId);
+
+    if (booking && booking.status === this.bookingModel.bookingStatus.PENDING) {
+      return { payment: failedPayment, booking: await storage.updateBooking(booking.bookingId, { paymentStatus: 'failed' }) };
+    }
+    return { payment: failedPayment, booking };
+  }
+
+  // A booking refunded in full can't stay open: it is cancelled through
+  // the lifecycle and its seats are released
+  async applyRefunded(payment, event) {
+    const storage = this.getStorage();
+    const { refund } = event.data;
+    const refundedPayment = await storage.recordRefund(payment.intentId, refund);
+    const { amountRefunded } = refundedPayment || payment;
+    const fullyRefunded = amountRefunded >= payment.amount;
+
+    const current = await storage.getBooking(payment.bookingId);
+    const cancellation = fullyRefunded && current ? this.cancellationFor(current, refund.reason || 'Payment refunded') : null;
+    const paymentUpdates = {
+      paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+      refundedAmount: amountRefunded
+    };
+
+    // A booking cancelled in the meantime only has its payment updated
+    const cancelledBooking = cancellation &&
+      await storage.transitionBooking(payment.bookingId, current.status, { ...paymentUpdates, ...cancellation });
+    if (cancelledBooking) {
+      await this.getInventory().release(cancelledBooking);
+      return { payment: refundedPayment, booking: cancelledBooking, refund };
+    }
+
+    const booking = await storage.updateBooking(payment.bookingId, paymentUpdates);
+    return { payment: refundedPayment, booking, refund };
+  }
+
+  // Lifecycle update cancelling a booking that is still open, or null when
+  // it is final or can no longer be cancelled
+  cancellationFor(booking, reason) {
+    if (this.bookingModel.isFinal(booking)) return null;
+
+    try {
+      return this.bookingModel.transition(booking, this.bookingModel.bookingStatus.CANCELLED, { reason });
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      return null;
+    }
+  }
+
+  // Refunds options.amount (default: all that is left) of a succeeded
+  // payment. Accepts a payment record or an intent id.
+  async refund(paymentOrId, options = {}) {
+    const payment = typeof paymentOrId === 'string' ? await this.getPayment(paymentOrId) : paymentOrId;
+
+    if (!payment) {
+      throw paymentError(`Payment ${paymentOrId} not found`, 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    const remaining = round(payment.amount - (payment.amountRefunded || 0));
+    const amount = options.amount === undefined || options.amount === null ? remaining : round(Number(options.amount));
+    const invalid = this.refundError(payment, amount);
+    if (invalid) throw invalid;
+
+    // Refunding the rest cancels a confirmed booking, so it must still be
+    // cancellable; this throws the lifecycle's 409 when it isn't
+    const storage = this.getStorage();
+    const booking = await storage.getBooking(payment.bookingId);
+    if (amount === remaining && booking && booking.status === this.bookingModel.bookingStatus.CONFIRMED) {
+      this.bookingModel.transition(booking, this.bookingModel.bookingStatus.CANCELLED);
+    }
+
+    // payment may be stale: the amount is set aside against the stored
+    // record, which turns away a refund racing this one past the total
+    const reservationId = `rsv_${crypto.randomBytes(12).toString('hex')}`;
+    const reserved = await storage.reserveRefund(payment.intentId, {
+      id: reservationId,
+      amount,
+      reason: options.reason || null,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    });
+    if (!reserved) {
+      const current = await this.getPayment(payment.intentId);
+      throw (current && this.refundError(current, amount)) ||
+        paymentError(`Refund of ${amount} on payment ${payment.intentId} could not be reserved`, 409, 'REFUND_CONFLICT');
+    }
+
+    let event;
+    try {
+      ({ event } = this.gateway.refund({ id: payment.intentId, currency: payment.currency }, amount, options.reason, { reservationId }));
+    } catch (error) {
+      await storage.recordRefund(payment.intentId, { amount, status: 'failed', metadata: { reservationId } });
+      throw error;
+    }
+    return await this.applyEvent(event);
+  }
+
+  // Why amount can't be refunded from payment, or null when it can
+  refundError(payment, amount) {
+    if (payment.status !== 'succeeded') {
+      return paymentError(`Payment ${payment.intentId} is ${payment.status} and can't be refunded`, 409, 'PAYMENT_NOT_REFUNDABLE');
+    }
+
+    const remaining = round(payment.amount - (payment.amountRefunded || 0));
+    if (!(amount > 0) || amount > remaining) {
+      return paymentError(`Refund amount must be between 0 and ${remaining}`, 400, 'INVALID_REFUND_AMOUNT');
+    }
+    return null;
+  }
+
+  // Percent of the price refunded when a booking is cancelled now
+  refundPercent(booking, now = new Date()) {
+    const departure = this.bookingModel.getDepartureTime(booking);
+    if (!departure) return 0;
+
+    const hoursLeft = (departure - now) / (60 * 60 * 1000);
+    const rule = this.refundPolicy.find(policy => hoursLeft >= policy.hoursBeforeDeparture);
+    return rule ? rule.percent : 0;
+  }
+
+  // Settles the payment of a booking that has just been cancelled: a paid
+  // booking is refunded by the refund policy and an unpaid intent is
+  // cancelled. Returns { payment, booking, refund, refundPercent }, or
+  // null when the booking has no payment.
+  async handleCancellation(booking, options = {}) {
+    const storage = this.getStorage();
+    const payment = booking.paymentIntentId && await storage.getPayment(booking.paymentIntentId);
+    if (!payment) return null;
+
+    if (payment.status === 'succeeded') {
+      const percent = this.refundPercent(booking, options.now);
+      const amount = Math.min(round(payment.amount * percent / 100), round(payment.amount - (payment.amountRefunded || 0)));
+      if (amount <= 0) {
+        return { payment, booking, refund: null, refundPercent: percent };
+      }
+
+      const refunded = await this.refund(payment, { amount, reason: options.reason || 'Booking cancelled' });
+      return { ...refunded, refundPercent: percent };
+    }
+
+    if (payment.status === 'cancelled') {
+      return { payment, booking, refund: null, refundPercent: 0 };
+    }
+
+    // A processing payment that succeeds later is refunded in full
+    const cancelledPayment = await storage.updatePayment(payment.intentId, { status: 'cancelled' });
+    const cancelledBooking = await storage.updateBooking(booking.bookingId, { paymentStatus: 'cancelled' });
+    return { payment: cancelledPayment, booking: cancelledBooking || booking, refund: null, refundPercent: 0 };
+  }
+}
+
+module.exports = {
+  PaymentService,
+  FakePaymentGateway,
+  paymentUpdates
+};
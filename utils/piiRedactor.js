@@ -0,0 +1,191 @@
+const aiConfig = require('../config/aiConfig');
+
+// Built-in rules, applied in this order so that a 12-digit Aadhaar number
+// is not taken for a phone number. group picks the part of the match that
+// is redacted (the name after "passenger", not the word itself).
+const RULES = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  aadhaar: {
+    pattern: /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g
+  },
+  pan: {
+    pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g
+  },
+  phone: {
+    pattern: /(?:\+91[\s-]?|\b0|\b)[6-9]\d{4}[\s-]?\d{5}\b/g
+  },
+  // Names only where the text says it is one: "passenger Ravi Kumar",
+  // "my name is Sita", "Mr. Rao", "Name: Anil"
+  name: {
+    pattern: /(?:\b[Pp]assengers?(?:\s+[Nn]ames?)?:?|\b[Nn]ame\s+is|\b[Nn]ame:|\b(?:Mr|Mrs|Ms|Dr|Shri|Smt)\.?)\s+((?:[A-Z][a-z]+)(?:\s+[A-Z][a-z]+){0,2})/g,
+    group: 1
+  }
+};
+
+const PLACEHOLDER = /\[([A-Z][A-Z0-9_]*)_(\d+)\]/g;
+
+// The start of a placeholder split across stream chunks, e.g. "[PHO"
+const PARTIAL_PLACEHOLDER = /\[[A-Z0-9_]{0,24}$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Placeholders and counts for one request. The same value always gets
+// the same placeholder, so the model can still tell two numbers apart
+// and refer back to them.
+class RedactionSession {
+  constructor(rules = [], options = {}) {
+    this.rules = rules;
+    this.knownValues = (options.knownValues || [])
+      .filter(entry => entry && typeof entry.value === 'string' && entry.value.trim().length > 1);
+    this.placeholders = new Map();
+    this.values = new Map();
+    this.counts = {};
+  }
+
+  placeholderFor(type, value) {
+    const key = `${type}:${value}`;
+    if (!this.placeholders.has(key)) {
+      const index = [...this.placeholders.keys()].filter(existing => existing.startsWith(`${type}:`)).length + 1;
+      const placeholder = `[${type.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${index}]`;
+      this.placeholders.set(key, placeholder);
+      this.values.set(placeholder, value);
+    }
+
+    this.counts[type] = (this.counts[type] || 0) + 1;
+    return this.placeholders.get(key);
+  }
+
+  redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let redacted = text;
+
+    for (const { name, pattern, group } of this.rules) {
+      redacted = redacted.replace(new RegExp(pattern.source, pattern.flags), (match, ...groups) => {
+        const value = group ? groups[group - 1] : match;
+        if (!value) return match;
+        return match.replace(value, this.placeholderFor(name, value));
+      });
+    }
+
+    // Values we already know are personal, such as the profile name,
+    // wherever the rules above didn't catch them
+    for (const { type, value } of this.knownValues) {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value.trim())}(?![\\p{L}\\p{N}])`, 'gu');
+      redacted = redacted.replace(pattern, match => this.placeholderFor(type, match));
+    }
+
+    return redacted;
+  }
+
+  // Copies of chat messages with their text redacted
+  redactMessages(messages) {
+    return messages.map(message => ({ ...message, content: this.redact(message.content) }));
+  }
+
+  restore(text) {
+    if (typeof text !== 'string' || this.values.size === 0) return text;
+    return text.replace(PLACEHOLDER, placeholder => this.values.get(placeholder) ?? placeholder);
+  }
+
+  // Tool arguments are JSON; values are put back into the parsed object so
+  // quotes in a value can't break the JSON
+  restoreJSON(json) {
+    if (this.values.size === 0) return json;
+
+    try {
+      const restoreValue = (value) => {
+        if (typeof value === 'string') return this.restore(value);
+        if (Array.isArray(value)) return value.map(restoreValue);
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreValue(item)]));
+        }
+        return value;
+      };
+      return JSON.stringify(restoreValue(JSON.parse(json)));
+    } catch (error) {
+      return this.restore(json);
+    }
+  }
+
+  // Restores streamed chunks, holding back a placeholder that is split
+  // across chunks until the rest of it arrives
+  createStreamRestorer() {
+    let pending = '';
+
+    return {
+      push: (chunk) => {
+        const text = pending + chunk;
+        const partial = this.values.size > 0 ? text.match(PARTIAL_PLACEHOLDER) : null;
+
+        pending = partial ? partial[0] : '';
+        return this.restore(partial ? text.slice(0, partial.index) : text);
+      },
+      flush: () => {
+        const rest = this.restore(pending);
+        pending = '';
+        return rest;
+      }
+    };
+  }
+
+  // Audit of one request: how many values of each type were redacted
+  getAudit() {
+    const total = Object.values(this.counts).reduce((sum, count) => sum + count, 0);
+    return { total, counts: { ...this.counts } };
+  }
+}
+
+// Swaps PII in prompts for reversible placeholders ([PHONE_1], [EMAIL_1],
+// ...) before they go to an LLM provider; the session that redacted a
+// request puts the real values back into the answer.
+class PIIRedactor {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.redaction || {};
+
+    this.enabled = options.enabled ?? config.enabled !== false;
+    this.skipProviders = config.skipProviders || [];
+    this.rules = this.buildRules(config.rules || Object.keys(RULES), config.customRules || []);
+  }
+
+  // Built-in rules by name plus custom { name, pattern, flags, group } rules
+  buildRules(names, customRules) {
+    const rules = names
+      .filter(name => {
+        if (!RULES[name]) console.error(`Unknown PII redaction rule "${name}"`);
+        return !!RULES[name];
+      })
+      .map(name => ({ name, ...RULES[name] }));
+
+    for (const rule of customRules) {
+      try {
+        const flags = (rule.flags || '').includes('g') ? rule.flags : `${rule.flags || ''}g`;
+        rules.push({ name: rule.name, pattern: new RegExp(rule.pattern, flags), group: rule.group });
+      } catch (error) {
+        console.error(`Invalid PII redaction rule "${rule.name}":`, error.message);
+      }
+    }
+
+    return rules;
+  }
+
+  appliesTo(providerName) {
+    return this.enabled && !this.skipProviders.includes(providerName);
+  }
+
+  // options.provider skips redaction for providers in skipProviders;
+  // options.knownValues ([{ type, value }]) are redacted wherever they appear
+  createSession(options = {}) {
+    if (options.provider && !this.appliesTo(options.provider)) {
+      return new RedactionSession();
+    }
+    return new RedactionSession(this.enabled ? this.rules : [], this.enabled ? options : {});
+  }
+}
+
+PIIRedactor.RULES = RULES;
+PIIRedactor.RedactionSession = RedactionSession;
+
+module.exports = PIIRedactor;
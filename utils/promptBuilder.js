@@ -0,0 +1,202 @@
+const JSONStorage = require('./jsonStorage');
+const aiConfig = require('../config/aiConfig');
+
+// Personas set who the assistant is. Templates may use {{variable}} or
+// {{variable|fallback}}; see getVariables() for what is available.
+const PERSONAS = {
+  guardian: {
+    name: 'Guardian Angel',
+    template: 'You are {{assistantName}}, a helpful AI assistant. You provide accurate, helpful and safe responses to {{userName|the user}}, and you look out for their wellbeing.'
+  },
+  'travel-agent': {
+    name: 'Travel Agent',
+    template: 'You are {{assistantName}}, a travel booking assistant for buses, trains and flights in India. Help {{userName|the user}} plan trips, compare options and manage bookings.'
+  },
+  companion: {
+    name: 'Companion',
+    template: 'You are {{assistantName}}, a caring companion for {{userName|the user}}. Listen well, remember what they tell you and help with everyday tasks.'
+  }
+};
+
+// Moods set the tone. professional and emotional are the names used by
+// the settings panel.
+const MOODS = {
+  friendly: {
+    name: 'Friendly',
+    instruction: 'Be warm and conversational, and keep a positive tone.'
+  },
+  formal: {
+    name: 'Formal',
+    instruction: 'Be polite and formal. Avoid slang, jokes and emoji.'
+  },
+  concise: {
+    name: 'Concise',
+    instruction: 'Be brief. Answer in as few sentences as possible and skip pleasantries.'
+  },
+  professional: {
+    name: 'Professional',
+    instruction: 'Be professional and precise, like an experienced assistant at work.'
+  },
+  emotional: {
+    name: 'Emotional',
+    instruction: 'Be empathetic. Acknowledge how the user feels before helping.'
+  }
+};
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    instruction: 'Reply in English.'
+  },
+  te: {
+    name: 'Telugu',
+    instruction: 'Reply in Telugu using Telugu script. Keep names of places, trains and flight numbers as they are.'
+  },
+  hi: {
+    name: 'Hindi',
+    instruction: 'Reply in Hindi using Devanagari script. Keep names of places, trains and flight numbers as they are.'
+  }
+};
+
+// Profile fields included in the prompt, with their labels
+const PROFILE_FACTS = {
+  name: 'Name',
+  homeCity: 'Home city',
+  preferredTransport: 'Preferred transport',
+  preferredClass: 'Preferred class',
+  seatPreference: 'Seat preference',
+  dietaryPreference: 'Dietary preference',
+  emergencyContact: 'Emergency contact'
+};
+
+// Builds the system prompt from a persona, a mood, a reply language and
+// facts from the user's stored preferences:
+//
+//   { persona, aiMood, language, assistantName, profile: { name, homeCity, ... } }
+//
+// Unknown persona, mood or language names fall back to the defaults.
+class PromptBuilder {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.prompt || {};
+
+    this.defaults = {
+      persona: config.defaultPersona || 'guardian',
+      mood: config.defaultMood || 'friendly',
+      language: config.defaultLanguage || 'en',
+      assistantName: config.assistantName || 'Neura-X Guardian Angel'
+    };
+
+    // Created lazily so services that never load preferences don't open storage
+    this.storage = options.storage || null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  getOptions() {
+    const list = (entries) => Object.entries(entries).map(([id, { name }]) => ({ id, name }));
+
+    return {
+      personas: list(PERSONAS),
+      moods: list(MOODS),
+      languages: list(LANGUAGES)
+    };
+  }
+
+  async loadPreferences(userId) {
+    if (!userId) return {};
+
+    try {
+      return await this.getStorage().getUserPreferences(userId) || {};
+    } catch (error) {
+      console.error('Failed to load user preferences:', error);
+      return {};
+    }
+  }
+
+  // Settings for one request; overrides (e.g. from a preview) win over
+  // stored preferences
+  resolveSettings(preferences = {}, overrides = {}) {
+    const pick = (table, ...candidates) =>
+      candidates.find(candidate => candidate && Object.prototype.hasOwnProperty.call(table, candidate));
+
+    const profile = { ...(preferences.profile || {}), ...(overrides.profile || {}) };
+
+    return {
+      persona: pick(PERSONAS, overrides.persona, preferences.persona) || this.defaults.persona,
+      mood: pick(MOODS, overrides.mood, overrides.aiMood, preferences.aiMood, preferences.mood) || this.defaults.mood,
+      language: pick(LANGUAGES, overrides.language, preferences.language,
+        preferences.settings && preferences.settings.language) || this.defaults.language,
+      assistantName: overrides.assistantName || preferences.assistantName || this.defaults.assistantName,
+      profile
+    };
+  }
+
+  getVariables(settings, now = new Date()) {
+    return {
+      assistantName: settings.assistantName,
+      userName: settings.profile.name,
+      homeCity: settings.profile.homeCity,
+      language: LANGUAGES[settings.language].name,
+      date: now.toISOString().slice(0, 10),
+      time: now.toISOString()
+    };
+  }
+
+  // Replaces {{name}} and {{name|fallback}}; unknown variables without a
+  // fallback become empty
+  renderTemplate(template, variables) {
+    return template.replace(/\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g, (match, name, fallback) => {
+      const value = variables[name];
+      return value !== undefined && value !== null && value !== '' ? String(value) : (fallback || '').trim();
+    });
+  }
+
+  getProfileFacts(profile = {}) {
+    return Object.entries(PROFILE_FACTS)
+      .filter(([field]) => profile[field])
+      .map(([field, label]) => `- ${label}: ${profile[field]}`);
+  }
+
+  render(settings, now = new Date()) {
+    const variables = this.getVariables(settings, now);
+    const facts = this.getProfileFacts(settings.profile);
+
+    const sections = [
+      this.renderTemplate(PERSONAS[settings.persona].template, variables),
+      MOODS[settings.mood].instruction,
+      LANGUAGES[settings.language].instruction
+    ];
+
+    if (facts.length > 0) {
+      sections.push(`What you know about the user:\n${facts.join('\n')}`);
+    }
+
+    sections.push(`Current time: ${variables.time}`);
+
+    return sections.join('\n\n');
+  }
+
+  // Rendered prompt for a user. variant names the persona, mood and
+  // language so cached answers are only reused for the same style.
+  async build(userId, overrides = {}) {
+    const preferences = await this.loadPreferences(userId);
+    const settings = this.resolveSettings(preferences, overrides);
+
+    return {
+      text: this.render(settings),
+      variant: `${settings.persona}/${settings.mood}/${settings.language}`,
+      settings
+    };
+  }
+}
+
+PromptBuilder.PERSONAS = PERSONAS;
+PromptBuilder.MOODS = MOODS;
+PromptBuilder.LANGUAGES = LANGUAGES;
+
+module.exports = PromptBuilder;
@@ -0,0 +1,98 @@
+// Per-provider circuit breaker.
+//
+//   closed     calls go through; consecutive failures are counted
+//   open       calls are skipped until the cool-down has passed
+//   half_open  one trial call is let through; success closes the
+//              breaker, failure opens it for another cool-down
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.stats = { calls: 0, failures: 0, retries: 0, rejected: 0 };
+  }
+
+  // Moves an open breaker to half-open once the cool-down is over
+  refreshState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    return this.state;
+  }
+
+  canRequest() {
+    const state = this.refreshState();
+    if (state === 'closed') return true;
+    if (state === 'half_open') return !this.trialInFlight;
+    return false;
+  }
+
+  // Call before each request; false means the provider should be skipped
+  tryAcquire() {
+    if (!this.canRequest()) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+    this.stats.calls++;
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.stats.failures++;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = new Date().toISOString();
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // A request that ended without a verdict (e.g. cancelled by the user)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordRetry() {
+    this.stats.retries++;
+  }
+
+  getState() {
+    const state = this.refreshState();
+
+    return {
+      name: this.name,
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
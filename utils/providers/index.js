@@ -0,0 +1,71 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockProvider = require('./mockProvider');
+const ResilientCaller = require('./resilientCaller');
+const CircuitBreaker = require('./circuitBreaker');
+const aiConfig = require('../../config/aiConfig');
+
+// Registry of LLM providers. AIService routes requests through the
+// providers in configured order without knowing how each one works.
+//
+// A provider must expose:
+//   name, models, supportsStreaming
+//   isAvailable()                  -> boolean
+//   resolveModel({ useReasoner })  -> model name
+//   supportsToolsFor(model)        -> boolean
+//   buildRequest(options)          -> provider specific request
+//   complete(request, { signal })  -> { content, reasoning, toolCalls, usage }
+//   stream(request, { signal })    -> async iterator of { content } / { reasoning } / { usage }
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Provider must have a name');
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  // Available providers in the given order; unknown names are ignored
+  getAvailable(order = []) {
+    return order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isAvailable());
+  }
+}
+
+function createDefaultRegistry(config = aiConfig) {
+  const registry = new ProviderRegistry();
+
+  Object.entries(config.providers).forEach(([name, options]) => {
+    registry.register(new OpenAICompatibleProvider(name, options));
+  });
+
+  // Offline scripted provider; only used when listed in the provider order
+  registry.register(new MockProvider(config.mock));
+
+  return registry;
+}
+
+module.exports = {
+  ProviderRegistry,
+  OpenAICompatibleProvider,
+  MockProvider,
+  ResilientCaller,
+  CircuitBreaker,
+  createDefaultRegistry
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../../data/fixtures/mockResponses.json');
+
+// Scripted provider that replays canned responses from a fixture file.
+// It never touches the network, so chat can be exercised end-to-end in
+// offline CI and demos. Enable it with AI_PROVIDER_ORDER=mock.
+class MockProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.fixturesPath = options.fixturesPath || DEFAULT_FIXTURES;
+    this.fixtures = options.fixtures || this.loadFixtures(this.fixturesPath);
+    this.models = {
+      chat: this.fixtures.model || 'mock-scripted',
+      reasoner: this.fixtures.reasonerModel || 'mock-reasoner'
+    };
+    this.supportsStreaming = true;
+    this.supportsTools = true;
+    this.chunkSize = options.chunkSize || this.fixtures.chunkSize || 3;
+    this.chunkDelayMs = options.chunkDelayMs ?? this.fixtures.chunkDelayMs ?? 0;
+    this.responses = (this.fixtures.responses || []).map(entry => ({
+      ...entry,
+      pattern: entry.match ? new RegExp(entry.match, 'i') : null
+    }));
+
+    // Calls seen per fixture entry, for entries that simulate failures
+    this.callCounts = new Map();
+  }
+
+  loadFixtures(fixturesPath) {
+    try {
+      return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to load mock fixtures from ${fixturesPath}:`, error.message);
+      return { responses: [] };
+    }
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  resolveModel({ useReasoner = false } = {}) {
+    return useReasoner ? this.models.reasoner : this.models.chat;
+  }
+
+  // Mirrors DeepSeek: the reasoning model does not call tools
+  supportsToolsFor(model) {
+    return this.supportsTools && model !== this.models.reasoner;
+  }
+
+  buildRequest({ messages, model, tools }) {
+    return { model, messages, tools };
+  }
+
+  detectIntent(message) {
+    const lowerMessage = message.toLowerCase();
+    const intents = this.fixtures.intents || {};
+
+    const match = Object.entries(intents).find(([, keywords]) =>
+      keywords.some(keyword => lowerMessage.includes(keyword))
+    );
+
+    return match ? match[0] : null;
+  }
+
+  // Regex matches win over intent matches; first matching entry is used
+  findResponse(message) {
+    const byPattern = this.responses.find(entry => entry.pattern && entry.pattern.test(message));
+    if (byPattern) {
+      return byPattern;
+    }
+
+    const intent = this.detectIntent(message);
+    const byIntent = intent && this.responses.find(entry => !entry.pattern && entry.intent === intent);
+    if (byIntent) {
+      return byIntent;
+    }
+
+    return { id: 'fallback', response: this.fixtures.fallback || 'OK' };
+  }
+
+  getLastUserMessage(messages = []) {
+    const userMessages = messages.filter(m => m.role === 'user');
+    return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+  }
+
+  // Rough token estimate (~4 characters per token) so usage looks realistic
+  countTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  // Expand {{date:+N}} to the date N days from today (YYYY-MM-DD) so
+  // scripted tool arguments never fall into the past
+  expandPlaceholders(value) {
+    return JSON.parse(JSON.stringify(value).replace(/\{\{date:([+-]?\d+)\}\}/g, (match, days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + parseInt(days));
+      return date.toISOString().split('T')[0];
+    }));
+  }
+
+  // {{message}} in a scripted response echoes the user's message as the
+  // provider received it
+  fillResponse(text, message) {
+    return typeof text === 'string' ? text.replace(/\{\{message\}\}/g, () => message) : text;
+  }
+
+  // Scripted tool calls are issued once per user turn; after the tool
+  // results come back the entry's afterTools text is returned
+  buildToolCalls(entry, request) {
+    const lastMessage = request.messages[request.messages.length - 1];
+    if (!request.tools || !entry.toolCalls || lastMessage?.role === 'tool') {
+      return [];
+    }
+
+    return entry.toolCalls.map((call, index) => ({
+      id: `call_mock_${index + 1}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: JSON.stringify(this.expandPlaceholders(call.arguments || {}))
+      }
+    }));
+  }
+
+  buildUsage(messages, content) {
+    const promptTokens = messages.reduce((sum, m) => sum + this.countTokens(m.content), 0);
+    const completionTokens = this.countTokens(content);
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  // Entries with failTimes fail that many calls in a row with errorStatus,
+  // then answer once, so retry handling can be exercised offline
+  simulateFailure(entry) {
+    if (!entry.failTimes) {
+      return;
+    }
+
+    const calls = this.callCounts.get(entry.id) || 0;
+    this.callCounts.set(entry.id, (calls + 1) % (entry.failTimes + 1));
+
+    if (calls < entry.failTimes) {
+      const error = new Error(`Mock provider error ${entry.errorStatus || 503}`);
+      error.status = entry.errorStatus || 503;
+      throw error;
+    }
+  }
+
+  async complete(request) {
+    const message = this.getLastUserMessage(request.messages);
+    const entry = this.findResponse(message);
+    this.simulateFailure(entry);
+    const toolCalls = this.buildToolCalls(entry, request);
+    const afterTools = request.messages[request.messages.length - 1]?.role === 'tool';
+    const content = toolCalls.length > 0 ? null : this.fillResponse((afterTools && entry.afterTools) || entry.response, message);
+
+    return {
+      content,
+      // Scripted thinking is only returned by the reasoning model
+      reasoning: request.model === this.models.reasoner ? entry.reasoning || null : null,
+      toolCalls,
+      usage: this.buildUsage(request.messages, content),
+      fixtureId: entry.id
+    };
+  }
+
+  // Resolves after ms, or rejects as soon as the signal aborts
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        reject(error);
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  async *stream(request, options = {}) {
+    const { content, reasoning, usage, fixtureId } = await this.complete({ ...request, tools: undefined });
+    const entry = this.responses.find(r => r.id === fixtureId);
+    const chunkDelayMs = entry?.chunkDelayMs ?? this.chunkDelayMs;
+
+    // Thinking streams first, like DeepSeek's reasoner
+    for (const chunk of this.chunkWords(reasoning)) {
+      if (chunkDelayMs > 0) {
+        await this.delay(chunkDelayMs, options.signal);
+      }
+      yield { reasoning: chunk };
+    }
+
+    for (const chunk of this.chunkWords(content)) {
+      if (chunkDelayMs > 0) {
+        await this.delay(chunkDelayMs, options.signal);
+      }
+      yield { content: chunk };
+    }
+
+    yield { usage };
+  }
+
+  // Every word token keeps its trailing whitespace so chunks rejoin exactly
+  chunkWords(text) {
+    const words = (text || '').split(/(\s+)/).filter(Boolean);
+    const chunks = [];
+
+    for (let i = 0; i < words.length; i += this.chunkSize * 2) {
+      chunks.push(words.slice(i, i + this.chunkSize * 2).join(''));
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,108 @@
+const OpenAI = require('openai');
+
+// Provider for any API that speaks the OpenAI chat completions protocol
+// (DeepSeek, OpenAI, llama.cpp server, Ollama, vLLM, ...)
+class OpenAICompatibleProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.baseURL = options.baseURL;
+    this.apiKey = options.apiKey;
+    this.models = options.models || {};
+    this.supportsStreaming = options.supportsStreaming !== false;
+    this.supportsTools = !!options.supportsTools;
+    this.requiresApiKey = options.requiresApiKey !== false;
+    this.client = null;
+  }
+
+  isAvailable() {
+    if (this.requiresApiKey) {
+      return !!this.apiKey;
+    }
+    return !!this.baseURL;
+  }
+
+  getClient() {
+    if (!this.client) {
+      // Retries and timeouts are handled by AIService's ResilientCaller
+      this.client = new OpenAI({
+        baseURL: this.baseURL,
+        apiKey: this.apiKey || 'dummy-key',
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  // Pick a model for the request; falls back to the chat model when the
+  // provider has no dedicated reasoning model
+  resolveModel({ useReasoner = false } = {}) {
+    if (useReasoner && this.models.reasoner) {
+      return this.models.reasoner;
+    }
+    return this.models.chat;
+  }
+
+  // Reasoning models do not accept function calling
+  supportsToolsFor(model) {
+    return this.supportsTools && model !== this.models.reasoner;
+  }
+
+  buildRequest({ messages, model, temperature, maxTokens, stream = false, tools }) {
+    const request = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream
+    };
+
+    if (tools && tools.length > 0) {
+      request.tools = tools;
+      request.tool_choice = 'auto';
+    }
+
+    return request;
+  }
+
+  async complete(request, options = {}) {
+    const completion = await this.getClient().chat.completions.create({
+      ...request,
+      stream: false
+    }, { signal: options.signal });
+
+    const message = completion.choices[0].message;
+
+    return {
+      content: message.content,
+      // DeepSeek reasoning models return their chain of thought separately
+      reasoning: message.reasoning_content || null,
+      toolCalls: message.tool_calls || [],
+      usage: completion.usage
+    };
+  }
+
+  // options.signal aborts the HTTP request to the provider
+  async *stream(request, options = {}) {
+    const stream = await this.getClient().chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: options.signal });
+
+    for await (const chunk of stream) {
+      const reasoning = chunk.choices[0]?.delta?.reasoning_content || '';
+      if (reasoning) {
+        yield { reasoning };
+      }
+      const content = chunk.choices[0]?.delta?.content || '';
+      if (content) {
+        yield { content };
+      }
+      if (chunk.usage) {
+        yield { usage: chunk.usage };
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,168 @@
+const CircuitBreaker = require('./circuitBreaker');
+
+// Breakers are shared by every AIService in the process, so a provider
+// that is down is skipped by the chat routes, voice routes and sockets alike
+const sharedBreakers = new Map();
+
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const CONNECTION_ERRORS = ['TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError'];
+
+// Wraps provider calls with a timeout, retries with jittered exponential
+// backoff for 429/5xx/network errors, and the provider's circuit breaker.
+class ResilientCaller {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 500;
+    this.retryMaxDelayMs = options.retryMaxDelayMs ?? 8000;
+    this.breakerOptions = {
+      failureThreshold: options.breakerFailureThreshold,
+      cooldownMs: options.breakerCooldownMs
+    };
+    this.breakers = options.breakers || sharedBreakers;
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.breakerOptions));
+    }
+    return this.breakers.get(name);
+  }
+
+  canRequest(name) {
+    return this.getBreaker(name).canRequest();
+  }
+
+  getBreakerStates() {
+    return [...this.breakers.values()].map(breaker => breaker.getState());
+  }
+
+  isRetryable(error) {
+    if (error.status === 429 || error.status >= 500) return true;
+    if (RETRYABLE_CODES.includes(error.code)) return true;
+    return CONNECTION_ERRORS.includes(error.name);
+  }
+
+  // Bad requests say nothing about the provider's health
+  countsAsFailure(error) {
+    return !error.status || error.status >= 500 || [401, 403, 429].includes(error.status);
+  }
+
+  // Full jitter: a random delay up to the exponential backoff cap.
+  // A Retry-After header wins when the provider sends one.
+  getRetryDelay(attempt, error) {
+    const retryAfter = parseFloat(error.headers && error.headers['retry-after']);
+    if (Number.isFinite(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.retryMaxDelayMs);
+    }
+
+    const cap = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * cap);
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.abortError(signal));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  abortError(signal) {
+    const error = new Error(`Request was aborted${signal && signal.reason ? `: ${signal.reason}` : ''}`);
+    error.name = 'AbortError';
+    return error;
+  }
+
+  // Runs fn({ signal, keepAlive }) for one attempt. The attempt is aborted
+  // when the caller's signal aborts or timeoutMs passes without a
+  // keepAlive() call (streams call it for every chunk).
+  async attempt(name, fn, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+
+    const keepAlive = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort('timeout');
+      }, this.timeoutMs);
+    };
+    const onAbort = () => controller.abort(signal.reason);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    keepAlive();
+
+    try {
+      return await fn({ signal: controller.signal, keepAlive });
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`${name} did not respond within ${this.timeoutMs}ms`);
+        timeoutError.name = 'TimeoutError';
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // options.signal cancels the call (no retry, no breaker failure).
+  // options.shouldRetry(error) can veto a retry, e.g. once a stream has
+  // already delivered output.
+  async call(name, fn, options = {}) {
+    const { signal, shouldRetry = () => true } = options;
+    const breaker = this.getBreaker(name);
+
+    if (!breaker.tryAcquire()) {
+      const error = new Error(`Circuit breaker for ${name} is open`);
+      error.name = 'CircuitOpenError';
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.attempt(name, fn, signal);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal && signal.aborted) {
+          breaker.release();
+          throw error;
+        }
+
+        const retry = attempt < this.maxRetries && this.isRetryable(error) && shouldRetry(error);
+        if (!retry) {
+          if (this.countsAsFailure(error)) {
+            breaker.recordFailure(error);
+          } else {
+            breaker.release();
+          }
+          throw error;
+        }
+
+        breaker.recordRetry();
+        const delay = this.getRetryDelay(attempt, error);
+        console.error(`AI provider ${name} failed (${error.status || error.code || error.name}), retrying in ${delay}ms`);
+        try {
+          await this.sleep(delay, signal);
+        } catch (abortError) {
+          breaker.release();
+          throw abortError;
+        }
+      }
+    }
+  }
+}
+
+module.exports = ResilientCaller;
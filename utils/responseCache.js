@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+
+// Entries are shared by every AIService in the process, like the provider
+// circuit breakers; each instance only holds the settings
+const sharedEntries = new Map();
+const loadedFiles = new Set();
+
+// Cache for LLM answers and web-search lookups.
+//
+// Keys are the normalized query plus the model that answered it, so
+// "What is the capital of France?" and "what is the capital of france"
+// share an entry per model. An optional variant (the prompt style) keeps
+// answers written for different personas or languages apart. Entries
+// expire after a per-source TTL and the least recently used entry is
+// evicted once maxEntries is reached. With filePath set, entries are also
+// persisted to disk and survive restarts.
+class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxEntries = options.maxEntries || 500;
+    this.ttlMs = { default: 60 * 60 * 1000, ...options.ttlMs };
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.entries = options.entries || sharedEntries;
+    this.stats = { hits: 0, misses: 0, stores: 0 };
+    this.saveTimer = null;
+
+    if (this.filePath && !loadedFiles.has(this.filePath)) {
+      loadedFiles.add(this.filePath);
+      this.load();
+    }
+  }
+
+  normalizeQuery(query) {
+    return String(query || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  buildKey(query, model, variant) {
+    const scope = variant ? `${model || 'any'}::${variant}` : (model || 'any');
+    return `${scope}::${this.normalizeQuery(query)}`;
+  }
+
+  getTtl(source) {
+    return this.ttlMs[source] ?? this.ttlMs.default;
+  }
+
+  get(query, model, options = {}) {
+    if (!this.enabled) return null;
+
+    const key = this.buildKey(query, model, options.variant);
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry;
+  }
+
+  // value is the result object to replay; its source picks the TTL
+  set(query, model, value, options = {}) {
+    if (!this.enabled) return null;
+
+    const key = this.buildKey(query, model, options.variant);
+    const now = Date.now();
+    const entry = {
+      value,
+      source: value.source,
+      model,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: now + this.getTtl(value.source)
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.stats.stores++;
+    this.scheduleSave();
+    return entry;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.scheduleSave();
+  }
+
+  getStats() {
+    return { ...this.stats, size: this.entries.size, maxEntries: this.maxEntries, persistent: !!this.filePath };
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+
+      (data.entries || [])
+        .filter(([, entry]) => entry.expiresAt > now)
+        .slice(-this.maxEntries)
+        .forEach(([key, entry]) => this.entries.set(key, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load response cache from ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  // Writes are batched; the timer doesn't keep the process alive
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: [...this.entries.entries()] }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to save response cache to ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,12 @@
+const LexicalIndex = require('./lexicalIndex');
+const PageExtractor = require('./pageExtractor');
+const WebRetriever = require('./webRetriever');
+const PersonalKnowledgeBase = require('./personalKnowledgeBase');
+
+module.exports = {
+  LexicalIndex,
+  PageExtractor,
+  WebRetriever,
+  PersonalKnowledgeBase,
+  tokenize: LexicalIndex.tokenize
+};
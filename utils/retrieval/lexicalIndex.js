@@ -0,0 +1,79 @@
+// Words too common to say anything about what a passage is about
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+  'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Lower-cased words without stopwords or stray letters (the "s" of
+// "what's"). Letters include combining marks so Telugu words stay whole;
+// a plural "s" is dropped so "trains" matches "train".
+function tokenize(text) {
+  return (String(text || '').toLowerCase().normalize('NFKC').match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)))
+    .map(token => (token.length > 3 && /[^s]s$/.test(token) ? token.slice(0, -1) : token));
+}
+
+// In-memory BM25 index over short documents. Documents are added with an
+// id and any data to hand back with their score.
+class LexicalIndex {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  add(id, text, data = {}) {
+    const tokens = tokenize(text);
+    const termFrequency = new Map();
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+    termFrequency.forEach((count, token) =>
+      this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1));
+
+    this.documents.push({ id, data, termFrequency, length: tokens.length });
+    this.totalLength += tokens.length;
+    return this;
+  }
+
+  // Documents matching any query word, best first: [{ id, score, data }]
+  search(query, options = {}) {
+    const limit = options.limit || 5;
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.length === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / this.documents.length || 1;
+    const idf = new Map(terms.map(term => {
+      const frequency = this.documentFrequency.get(term) || 0;
+      return [term, Math.log(1 + (this.documents.length - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    return this.documents
+      .map(document => {
+        let score = 0;
+        for (const term of terms) {
+          const count = document.termFrequency.get(term);
+          if (!count) continue;
+          const norm = this.k1 * (1 - this.b + this.b * document.length / averageLength);
+          score += idf.get(term) * (count * (this.k1 + 1)) / (count + norm);
+        }
+        return { id: document.id, score, data: document.data };
+      })
+      .filter(result => result.score > (options.minScore || 0))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+LexicalIndex.tokenize = tokenize;
+
+module.exports = LexicalIndex;
@@ -0,0 +1,104 @@
+const cheerio = require('cheerio');
+
+// Page furniture that is never part of the readable text
+const NOISE = 'script, style, noscript, template, svg, iframe, form, button, nav, header, footer, aside, ' +
+  '[role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+
+// Elements that hold the text of an article
+const BLOCKS = 'h1, h2, h3, h4, p, li, blockquote, pre, td, dd';
+
+// Blocks shorter than this are menus and captions unless they end a sentence
+const MIN_BLOCK_LENGTH = 40;
+
+// Readable text from HTML pages, and that text split into passages small
+// enough to rank and quote.
+class PageExtractor {
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || 800;
+  }
+
+  // { title, text } with one paragraph per block, taken from <article>
+  // or <main> when the page has one
+  extract(html) {
+    const $ = cheerio.load(String(html || ''));
+    const title = $('title').first().text().trim() || $('h1').first().text().trim();
+
+    $(NOISE).remove();
+
+    const root = ['article', 'main', '[role="main"]', 'body']
+      .map(selector => $(selector).first())
+      .find(element => element.length > 0);
+    if (!root) {
+      return { title, text: '' };
+    }
+
+    const seen = new Set();
+    const blocks = root.find(BLOCKS)
+      .map((index, element) => $(element).text().replace(/\s+/g, ' ').trim())
+      .get()
+      .filter(block => block.length >= MIN_BLOCK_LENGTH || (block.length > 15 && /[.!?।]$/.test(block)))
+      .filter(block => !seen.has(block) && seen.add(block));
+
+    const text = blocks.length > 0 ? blocks.join('\n\n') : root.text().replace(/\s+/g, ' ').trim();
+    return { title, text };
+  }
+
+  // Passages of whole sentences up to size characters. Each passage
+  // starts with the last sentence of the one before, so a fact split
+  // across the boundary is still found in one of them.
+  chunk(text, size = this.chunkSize) {
+    const sentences = String(text || '')
+      .split(/\n{2,}/)
+      .flatMap(paragraph => paragraph.split(/(?<=[.!?।])\s+/))
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap(sentence => (sentence.length > size ? this.splitLong(sentence, size) : [sentence]));
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    let fresh = 0;
+
+    for (const sentence of sentences) {
+      if (current.length > 0 && length + sentence.length + 1 > size) {
+        chunks.push(current.join(' '));
+        current = current.slice(-1);
+        length = current[0].length;
+        fresh = 0;
+        if (length + sentence.length + 1 > size) {
+          current = [];
+          length = 0;
+        }
+      }
+      current.push(sentence);
+      length += sentence.length + 1;
+      fresh++;
+    }
+
+    if (fresh > 0) {
+      chunks.push(current.join(' '));
+    }
+    return chunks;
+  }
+
+  // A sentence longer than a passage, cut between words
+  splitLong(sentence, size) {
+    const parts = [];
+    let part = '';
+
+    for (const word of sentence.split(' ')) {
+      if (part && part.length + word.length + 1 > size) {
+        parts.push(part);
+        part = '';
+      }
+      part = part ? `${part} ${word}` : word.slice(0, size);
+    }
+
+    if (part) parts.push(part);
+    return parts;
+  }
+}
+
+PageExtractor.NOISE = NOISE;
+
+module.exports = PageExtractor;
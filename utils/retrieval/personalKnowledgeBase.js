@@ -0,0 +1,195 @@
+const LexicalIndex = require('./lexicalIndex');
+const JSONStorage = require('../jsonStorage');
+const aiConfig = require('../../config/aiConfig');
+
+// Characters of a conversation turn kept in its record
+const TURN_LENGTH = 300;
+
+// Records scoring below this share of the best match are left out, so a
+// question about one trip doesn't pull in every booking
+const RELATIVE_SCORE = 0.35;
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return value || '';
+  return date.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+const formatTime = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : ` at ${date.toISOString().slice(11, 16)} UTC`;
+};
+
+// "preferredClass" -> "preferred class"
+const humanize = (key) => key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+
+// Answers questions about the user's own data ("when is my Mumbai trip?",
+// "what's my PNR?") from their bookings, reminders, saved preferences and
+// past conversations. Records are loaded from storage and ranked with a
+// lexical index on every lookup, so they are never stale.
+//
+// A record is { id, type, ref, title, text }; ref is how the assistant
+// names the record in its answer, e.g. "booking NX123456ABCD".
+class PersonalKnowledgeBase {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.knowledgeBase || {};
+
+    this.enabled = options.enabled ?? config.enabled !== false;
+    this.maxRecords = config.maxRecords || 4;
+    this.maxConversations = config.maxConversations || 5;
+
+    // Created lazily so services that never look anything up don't open storage
+    this.storage = options.storage || null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  bookingRecord(booking) {
+    const passengers = (booking.passengers || [])
+      .map(passenger => (passenger.age ? `${passenger.name} (${passenger.age})` : passenger.name))
+      .join(', ');
+    const seats = (booking.seats || [])
+      .map(seat => (seat.berth ? `${seat.seatId} (${seat.berth} berth)` : seat.seatId))
+      .join(', ');
+    const details = [
+      `${booking.type ? `${booking.type[0].toUpperCase()}${booking.type.slice(1)}` : 'Travel'} trip from ${booking.from} to ${booking.to} on ${formatDate(booking.date)}${booking.time ? ` at ${booking.time}` : ''}.`,
+      `Booking ID ${booking.bookingId}.`,
+      booking.confirmationCode && `PNR (confirmation code) ${booking.confirmationCode}.`,
+      booking.class && `Class ${booking.class}.`,
+      booking.returnDate && `Returning on ${formatDate(booking.returnDate)}.`,
+      passengers && `Passengers: ${passengers}.`,
+      seats && `Seats ${seats}${booking.operator ? ` with ${booking.operator}` : ''}.`,
+      `Status ${booking.status}${booking.paymentStatus ? `, payment ${booking.paymentStatus}` : ''}.`,
+      booking.estimatedPrice && `Price ₹${booking.estimatedPrice}.`
+    ];
+
+    return {
+      id: `booking:${booking.bookingId}`,
+      type: 'booking',
+      ref: `booking ${booking.bookingId}`,
+      title: `${booking.from} to ${booking.to}, ${booking.date}`,
+      text: details.filter(Boolean).join(' ')
+    };
+  }
+
+  reminderRecord(reminder) {
+    return {
+      id: `reminder:${reminder.reminderId}`,
+      type: 'reminder',
+      ref: `reminder ${reminder.reminderId}`,
+      title: reminder.title,
+      text: `Reminder "${reminder.title}" on ${formatDate(reminder.datetime)}${formatTime(reminder.datetime)}. ` +
+        `Type ${reminder.type || 'general'}, status ${reminder.status || 'scheduled'}.`
+    };
+  }
+
+  // One record for all saved preferences, nested profile fields included
+  preferencesRecord(preferences) {
+    const facts = [];
+    const collect = (value, path) => {
+      if (value === null || value === undefined || value === '') return;
+      if (Array.isArray(value)) {
+        facts.push(`${path}: ${value.join(', ')}`);
+      } else if (typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => collect(item, humanize(key)));
+      } else {
+        facts.push(`${path}: ${value}`);
+      }
+    };
+    collect(preferences, 'preferences');
+
+    if (facts.length === 0) return null;
+    return {
+      id: 'preferences',
+      type: 'preferences',
+      ref: 'saved preferences',
+      title: 'Saved preferences',
+      text: `Saved preferences. ${facts.join('. ')}.`
+    };
+  }
+
+  // A record per user message and the reply to it
+  conversationRecords(conversation, messages) {
+    const records = [];
+    const label = conversation.title || conversation.conversationId;
+    const turn = (message) => {
+      const content = String(message.content || '');
+      return content.length > TURN_LENGTH ? `${content.slice(0, TURN_LENGTH)}...` : content;
+    };
+
+    messages.forEach((message, index) => {
+      if (message.role !== 'user') return;
+      const reply = messages[index + 1] && messages[index + 1].role === 'assistant' ? messages[index + 1] : null;
+
+      records.push({
+        id: `conversation:${conversation.conversationId}:${index}`,
+        type: 'conversation',
+        ref: `conversation "${label}"`,
+        title: label,
+        text: `On ${formatDate(message.timestamp)} the user said: ${turn(message)}` +
+          (reply ? ` The assistant replied: ${turn(reply)}` : '')
+      });
+    });
+
+    if (conversation.summary && conversation.summary.text) {
+      records.push({
+        id: `conversation:${conversation.conversationId}:summary`,
+        type: 'conversation',
+        ref: `conversation "${label}"`,
+        title: label,
+        text: `Summary of the conversation: ${conversation.summary.text}`
+      });
+    }
+
+    return records;
+  }
+
+  // Every record for a user. options.excludeConversationId leaves out the
+  // conversation being answered, whose turns are already in the prompt.
+  async loadRecords(userId, options = {}) {
+    const storage = this.getStorage();
+    const [bookings, reminders, preferences, listing] = await Promise.all([
+      storage.getUserBookings(userId),
+      storage.getUserReminders(userId),
+      storage.getUserPreferences(userId),
+      storage.listConversations(userId, { limit: this.maxConversations + 1 })
+    ]);
+
+    const conversations = ((listing && listing.conversations) || [])
+      .filter(conversation => conversation.conversationId !== options.excludeConversationId)
+      .slice(0, this.maxConversations);
+    const histories = await Promise.all(conversations.map(conversation =>
+      storage.getChatHistory(userId, conversation.conversationId)));
+
+    return [
+      ...(bookings || []).map(booking => this.bookingRecord(booking)),
+      ...(reminders || []).map(reminder => this.reminderRecord(reminder)),
+      this.preferencesRecord(preferences || {}),
+      ...conversations.flatMap((conversation, index) => this.conversationRecords(conversation, histories[index] || []))
+    ].filter(Boolean);
+  }
+
+  // The user's records that best match the query, best first
+  async search(userId, query, options = {}) {
+    if (!this.enabled || !userId) {
+      return [];
+    }
+
+    const records = await this.loadRecords(userId, options);
+    const index = new LexicalIndex();
+    records.forEach(record => index.add(record.id, `${record.title} ${record.text}`, record));
+
+    const ranked = index.search(query, { limit: options.limit || this.maxRecords });
+    const best = ranked.length > 0 ? ranked[0].score : 0;
+    return ranked
+      .filter(result => result.score >= best * RELATIVE_SCORE)
+      .map(result => result.data);
+  }
+}
+
+module.exports = PersonalKnowledgeBase;
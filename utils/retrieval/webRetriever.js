@@ -0,0 +1,98 @@
+const axios = require('axios');
+const LexicalIndex = require('./lexicalIndex');
+const PageExtractor = require('./pageExtractor');
+const aiConfig = require('../../config/aiConfig');
+
+// Finds passages that answer a question on the web: the top search
+// results are fetched, split into passages and ranked against the
+// question. Sources are numbered in the order their passages rank, so
+// the model can cite them as [1], [2], ...
+class WebRetriever {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.rag || {};
+
+    this.search = options.search;
+    this.extractor = options.extractor || new PageExtractor({ chunkSize: config.chunkSize });
+    this.maxPages = config.maxPages || 3;
+    this.maxPassages = config.maxPassages || 5;
+    this.fetchTimeoutMs = config.fetchTimeoutMs || 8000;
+    this.maxPageBytes = config.maxPageBytes || 2 * 1024 * 1024;
+  }
+
+  async fetchPage(url, signal) {
+    const response = await axios.get(url, {
+      timeout: this.fetchTimeoutMs,
+      maxContentLength: this.maxPageBytes,
+      responseType: 'text',
+      signal,
+      headers: {
+        'User-Agent': 'Neura-X Guardian Angel Bot 1.0',
+        Accept: 'text/html,application/xhtml+xml,text/plain'
+      }
+    });
+
+    const type = String(response.headers['content-type'] || '');
+    if (type.includes('text/plain')) {
+      return String(response.data);
+    }
+    if (!type.includes('html')) {
+      throw new Error(`Unsupported content type "${type}"`);
+    }
+    return this.extractor.extract(response.data).text;
+  }
+
+  // Text of a search result: the page text when the provider has it
+  // (the fixture provider), else the fetched page, else the snippet
+  async readResult(result, signal) {
+    if (result.content) {
+      return result.content;
+    }
+
+    try {
+      const text = await this.fetchPage(result.url, signal);
+      if (text) return text;
+    } catch (error) {
+      console.error(`Failed to fetch ${result.url}:`, error.message);
+    }
+    return result.snippet;
+  }
+
+  // { provider, sources: [{ id, title, url, snippet }], passages: [{ sourceId, text, score }] }
+  // Only sources with a passage are kept.
+  async retrieve(query, options = {}) {
+    const { provider, results } = await this.search.search(query, { limit: this.maxPages, signal: options.signal });
+    const pages = results.slice(0, this.maxPages);
+    const texts = await Promise.all(pages.map(result => this.readResult(result, options.signal)));
+
+    const index = new LexicalIndex();
+    texts.forEach((text, page) => {
+      this.extractor.chunk(text).forEach((passage, n) => index.add(`${page}:${n}`, passage, { page, text: passage }));
+    });
+
+    let ranked = index.search(query, { limit: this.maxPassages });
+
+    // Nothing shares a word with the query (another language, say): the
+    // start of each page is the best guess
+    if (ranked.length === 0) {
+      ranked = texts
+        .map((text, page) => ({ score: 0, data: { page, text: this.extractor.chunk(text)[0] } }))
+        .filter(entry => entry.data.text)
+        .slice(0, this.maxPassages);
+    }
+
+    const sourceIds = new Map();
+    const sources = [];
+    const passages = ranked.map(({ score, data }) => {
+      if (!sourceIds.has(data.page)) {
+        const { title, url, snippet } = pages[data.page];
+        sourceIds.set(data.page, sources.length + 1);
+        sources.push({ id: sources.length + 1, title, url, snippet });
+      }
+      return { sourceId: sourceIds.get(data.page), text: data.text, score: Math.round(score * 1000) / 1000 };
+    });
+
+    return { provider, sources, passages };
+  }
+}
+
+module.exports = WebRetriever;
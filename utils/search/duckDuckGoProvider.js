@@ -0,0 +1,107 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// DuckDuckGo needs no API key. The instant-answer API covers facts and
+// definitions; the HTML results page covers everything else. Both are
+// public endpoints with stable markup, unlike scraping Google.
+class DuckDuckGoSearchProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'duckduckgo';
+    this.apiURL = options.apiURL || 'https://api.duckduckgo.com/';
+    this.htmlURL = options.htmlURL || 'https://html.duckduckgo.com/html/';
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async search(query, { limit = 5, signal } = {}) {
+    const [instant, web] = await Promise.allSettled([
+      this.instantAnswer(query, signal),
+      this.htmlResults(query, signal)
+    ]);
+
+    if (instant.status === 'rejected' && web.status === 'rejected') {
+      throw web.reason;
+    }
+
+    const results = [
+      ...(instant.status === 'fulfilled' ? instant.value : []),
+      ...(web.status === 'fulfilled' ? web.value : [])
+    ];
+    return results.slice(0, limit);
+  }
+
+  async instantAnswer(query, signal) {
+    const response = await axios.get(this.apiURL, {
+      params: { q: query, format: 'json', no_html: 1, skip_disambig: 1 },
+      timeout: this.timeoutMs,
+      signal,
+      headers: { 'User-Agent': 'Neura-X Guardian Angel Bot 1.0' }
+    });
+    const data = response.data || {};
+    const fallbackURL = `https://duckduckgo.com/?q=${encodeURIComponent(query)}`;
+    const results = [];
+
+    if (data.AbstractText) {
+      results.push({ title: data.Heading || query, url: data.AbstractURL || fallbackURL, snippet: data.AbstractText });
+    }
+    if (typeof data.Answer === 'string' && data.Answer) {
+      results.push({ title: data.Heading || query, url: data.AbstractURL || fallbackURL, snippet: data.Answer });
+    }
+    if (data.Definition) {
+      results.push({ title: data.Heading || query, url: data.DefinitionURL || fallbackURL, snippet: data.Definition });
+    }
+
+    // Related topics may be grouped under a heading
+    const topics = [...(data.Results || []), ...(data.RelatedTopics || [])]
+      .flatMap(topic => topic.Topics || [topic])
+      .filter(topic => topic.Text && topic.FirstURL);
+
+    for (const topic of topics) {
+      results.push({ title: topic.Text.split(' - ')[0], url: topic.FirstURL, snippet: topic.Text });
+    }
+
+    return results;
+  }
+
+  async htmlResults(query, signal) {
+    const response = await axios.get(this.htmlURL, {
+      params: { q: query },
+      timeout: this.timeoutMs,
+      signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+      }
+    });
+
+    const $ = cheerio.load(response.data);
+    const results = [];
+
+    $('.result').not('.result--ad').each((i, elem) => {
+      const link = $(elem).find('a.result__a').first();
+      const title = link.text().trim();
+      const url = this.resolveURL(link.attr('href'));
+      if (title && url) {
+        results.push({ title, url, snippet: $(elem).find('.result__snippet').text().trim() });
+      }
+    });
+
+    return results;
+  }
+
+  // Result links go through a DuckDuckGo redirect; the target is in uddg
+  resolveURL(href) {
+    if (!href) return null;
+
+    try {
+      const url = new URL(href, 'https://duckduckgo.com');
+      return url.searchParams.get('uddg') || url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = DuckDuckGoSearchProvider;
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../../data/fixtures/searchResults.json');
+
+// Canned search results from a fixture file, so web search can be tested
+// offline. The first entry whose match regex fits the query wins;
+// queries nothing matches get the fallback results. A result's content
+// stands in for the page text when answers are retrieval-augmented.
+class FixtureSearchProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'fixture';
+    this.fixturesPath = options.fixturesPath || DEFAULT_FIXTURES;
+    this.fixtures = options.fixtures || this.loadFixtures(this.fixturesPath);
+    this.entries = (this.fixtures.queries || []).map(entry => ({
+      ...entry,
+      pattern: new RegExp(entry.match, 'i')
+    }));
+  }
+
+  loadFixtures(fixturesPath) {
+    try {
+      return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to load search fixtures from ${fixturesPath}:`, error.message);
+      return { queries: [] };
+    }
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async search(query, { limit = 5 } = {}) {
+    const entry = this.entries.find(candidate => candidate.pattern.test(query));
+    const results = entry ? entry.results : this.fixtures.fallback || [];
+    return results.slice(0, limit);
+  }
+}
+
+module.exports = FixtureSearchProvider;
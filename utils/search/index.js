@@ -0,0 +1,100 @@
+const DuckDuckGoSearchProvider = require('./duckDuckGoProvider');
+const SearxngSearchProvider = require('./searxngProvider');
+const FixtureSearchProvider = require('./fixtureProvider');
+const aiConfig = require('../../config/aiConfig');
+
+// Web search behind the same kind of provider interface as the LLMs.
+// A search provider must expose:
+//   name
+//   isAvailable()                     -> boolean
+//   search(query, { limit, signal })  -> [{ title, url, snippet, content? }]
+// content is the page text, for providers that already have it.
+function createDefaultProviders(config = aiConfig.search || {}) {
+  return [
+    new DuckDuckGoSearchProvider({ timeoutMs: config.timeoutMs }),
+    new SearxngSearchProvider({ ...config.searxng, timeoutMs: config.timeoutMs }),
+    new FixtureSearchProvider(config.fixture)
+  ];
+}
+
+// Tries the configured providers in order and returns the first
+// non-empty result list.
+class SearchService {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.search || {};
+
+    this.providers = new Map();
+    this.providerOrder = options.providerOrder || config.providerOrder || ['duckduckgo'];
+    this.maxResults = config.maxResults || 5;
+
+    (options.providers || createDefaultProviders(config)).forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Search provider must have a name');
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  // Available providers in the configured order; unknown names are ignored
+  getAvailable() {
+    return this.providerOrder
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isAvailable());
+  }
+
+  // Results with a title and URL, trimmed and without duplicate URLs
+  normalize(results, limit) {
+    const seen = new Set();
+
+    return (results || [])
+      .filter(result => result && result.title && result.url)
+      .map(result => ({
+        title: String(result.title).trim(),
+        url: String(result.url).trim(),
+        snippet: String(result.snippet || '').replace(/\s+/g, ' ').trim(),
+        ...(result.content && { content: String(result.content) })
+      }))
+      .filter(result => !seen.has(result.url) && seen.add(result.url))
+      .slice(0, limit);
+  }
+
+  // { provider, results } from the first provider that finds anything.
+  // Throws when every provider failed; an empty list means none found
+  // anything.
+  async search(query, options = {}) {
+    const limit = options.limit || this.maxResults;
+    let lastError = null;
+
+    for (const provider of this.getAvailable()) {
+      try {
+        const results = this.normalize(await provider.search(query, { limit, signal: options.signal }), limit);
+        if (results.length > 0) {
+          return { provider: provider.name, results };
+        }
+      } catch (error) {
+        console.error(`Search provider ${provider.name} failed:`, error.message);
+        lastError = error;
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    return { provider: null, results: [] };
+  }
+}
+
+module.exports = {
+  SearchService,
+  DuckDuckGoSearchProvider,
+  SearxngSearchProvider,
+  FixtureSearchProvider,
+  createDefaultProviders
+};
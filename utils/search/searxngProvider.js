@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+// Self-hosted SearxNG metasearch. The instance must allow the json format
+// (search.formats in its settings.yml).
+class SearxngSearchProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'searxng';
+    this.baseURL = options.baseURL ? options.baseURL.replace(/\/+$/, '') : null;
+    this.categories = options.categories;
+    this.language = options.language;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  // Only usable once an instance address is configured
+  isAvailable() {
+    return !!this.baseURL;
+  }
+
+  async search(query, { limit = 5, signal } = {}) {
+    const response = await axios.get(`${this.baseURL}/search`, {
+      params: {
+        q: query,
+        format: 'json',
+        ...(this.categories && { categories: this.categories }),
+        ...(this.language && { language: this.language })
+      },
+      timeout: this.timeoutMs,
+      signal
+    });
+
+    return ((response.data && response.data.results) || [])
+      .map(result => ({ title: result.title, url: result.url, snippet: result.content || '' }))
+      .slice(0, limit);
+  }
+}
+
+module.exports = SearxngSearchProvider;
@@ -1,6 +1,12 @@
 const AIService = require('../utils/aiService');
 const BookingModel = require('../models/BookingModel');
 const JSONStorage = require('../utils/jsonStorage');
+const ConversationStore = require('../utils/conversationStore');
+const StreamRegistry = require('../utils/streamRegistry');
+const BookingService = require('../utils/bookingService');
+const { SeatHolds, OptionsEngine } = require('../utils/inventory');
+const { PaymentService } = require('../utils/payments');
+const { I18n } = require('../utils/i18n');
 
 class SocketHandler {
   constructor(io) {
@@ -8,10 +14,38 @@ class SocketHandler {
     this.aiService = new AIService();
     this.bookingModel = new BookingModel();
     this.storage = new JSONStorage();
+    this.conversationStore = new ConversationStore({ storage: this.storage, aiService: this.aiService });
+    // Payments settled later by webhook, through any payment service, are
+    // pushed to the user's sockets
+    this.payments = new PaymentService({
+      bookingModel: this.bookingModel,
+      storage: this.storage
+    });
+    this.payments.updates.on('update', (update) => this.handlePaymentUpdate(update));
+    // Seats picked from the booking options are held until the booking
+    // is confirmed; the user's sockets hear when a hold is running out
+    this.holds = new SeatHolds({
+      storage: this.storage,
+      onExpiring: (hold) => this.handleHoldExpiring(hold),
+      onExpired: (hold) => this.handleHoldExpired(hold)
+    });
+    this.bookings = new BookingService({
+      bookingModel: this.bookingModel,
+      storage: this.storage,
+      payments: this.payments,
+      holds: this.holds
+    });
+    // Same options engine as the REST simulation; options from each
+    // socket's last booking-simulation are kept by optionId
+    this.optionsEngine = new OptionsEngine({ inventory: this.bookings.inventory });
+    this.bookingOptions = new Map();
     this.activeUsers = new Map();
     this.voiceSessions = new Map();
+    this.activeStreams = new StreamRegistry();
+    this.i18n = new I18n();
     
     this.setupSocketHandlers();
+    this.holds.start();
   }
 
   setupSocketHandlers() {
@@ -32,6 +66,10 @@ class SocketHandler {
         this.handleChatStreamRequest(socket, data);
       });
 
+      socket.on('chat-stream-cancel', (data) => {
+        this.handleChatStreamCancel(socket, data);
+      });
+
       // Voice command handlers
       socket.on('voice-command', (data) => {
         this.handleVoiceCommand(socket, data);
@@ -54,10 +92,22 @@ class SocketHandler {
         this.handleBookingSimulation(socket, data);
       });
 
+      socket.on('booking-hold', (data) => {
+        this.handleBookingHold(socket, data);
+      });
+
       socket.on('booking-confirmation', (data) => {
         this.handleBookingConfirmation(socket, data);
       });
 
+      socket.on('booking-status-change', (data) => {
+        this.handleBookingStatusChange(socket, data);
+      });
+
+      socket.on('booking-payment', (data) => {
+        this.handleBookingPayment(socket, data);
+      });
+
       // Emergency handlers
       socket.on('emergency-alert', (data) => {
         this.handleEmergencyAlert(socket, data);
@@ -85,19 +135,22 @@ class SocketHandler {
   }
 
   handleUserConnect(socket, userData) {
+    const language = this.i18n.resolveLanguage(userData && (userData.language || (userData.preferences || {}).language));
+
     try {
       const { userId, sessionId, preferences = {} } = userData;
       
       if (!userId) {
-        socket.emit('connection-error', { error: 'userId is required' });
+        socket.emit('connection-error', { error: this.i18n.t('errors.userIdRequired', language) });
         return;
       }
 
-      // Store user information
+      // Store user information; language picks the language of replies
       this.activeUsers.set(socket.id, {
         userId,
         sessionId: sessionId || 'default',
         preferences,
+        language,
         connectedAt: new Date().toISOString(),
         lastActivity: new Date().toISOString()
       });
@@ -121,17 +174,19 @@ class SocketHandler {
 
     } catch (error) {
       console.error('User connect error:', error);
-      socket.emit('connection-error', { error: 'Failed to establish connection' });
+      socket.emit('connection-error', { error: this.i18n.t('errors.connection', language) });
     }
   }
 
   async handleChatMessage(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
     try {
-      const { message, userId, conversationId, useReasoner = false } = data;
+      const { message, userId, conversationId, useReasoner = false, useTools = true, useCache = true, useRag } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('chat-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('chat-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
@@ -140,18 +195,29 @@ class SocketHandler {
 
       // Emit processing status
       socket.emit('chat-processing', {
-        message: 'Processing your message...',
+        message: this.i18n.t('chat.processing', language),
         timestamp: new Date().toISOString()
       });
 
-      // Get conversation context (you might want to implement this)
-      const context = []; // Implement context retrieval
+      // Get conversation context shared with the REST chat API
+      const context = await this.conversationStore.getContext(userId, conversationId);
 
       // Determine if we should use reasoner model
-      const shouldUseReasoner = useReasoner || this.aiService.shouldUseReasoner(message);
+      const routing = await this.aiService.routeMessage(message, { useReasoner, userId });
 
-      // Process the message
-      const result = await this.aiService.processMessage(message, context, shouldUseReasoner);
+      // Process the message, letting the assistant run booking/reminder tools
+      const result = await this.aiService.processMessage(message, context, routing.useReasoner, {
+        userId,
+        conversationId,
+        useTools,
+        useCache,
+        useRag,
+        language: data.language || userInfo.language,
+        routing
+      });
+
+      // Persist the exchange
+      await this.conversationStore.saveExchange(userId, conversationId, message, result);
 
       // Emit response to user
       socket.emit('chat-response', {
@@ -160,6 +226,14 @@ class SocketHandler {
         model: result.model,
         timestamp: result.timestamp,
         usage: result.usage,
+        actions: result.actions || [],
+        reasoning: result.reasoning || null,
+        routing: result.routing,
+        cache: result.cache || null,
+        moderation: result.moderation || null,
+        redaction: result.redaction || null,
+        citations: result.citations || [],
+        records: result.records || [],
         conversationId: conversationId || 'default'
       });
 
@@ -167,69 +241,148 @@ class SocketHandler {
       socket.to(userId).emit('chat-sync', {
         message,
         response: result.response,
+        conversationId: conversationId || 'default',
         timestamp: result.timestamp
       });
 
     } catch (error) {
       console.error('Chat message error:', error);
       socket.emit('chat-error', {
-        error: 'Failed to process message',
+        error: this.i18n.t('errors.chat', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   async handleChatStreamRequest(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
+    let requestId;
+
     try {
-      const { message, userId, conversationId } = data;
+      const { message, userId, conversationId, useReasoner = false, useCache = true, useRag } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('chat-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('chat-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
       // Update last activity
       userInfo.lastActivity = new Date().toISOString();
 
-      // Get conversation context
-      const context = []; // Implement context retrieval
+      // Register the stream so chat-stream-cancel and disconnects can stop it
+      const stream = this.activeStreams.start(data.requestId, { userId, socketId: socket.id });
+      requestId = stream.requestId;
+
+      // Determine if we should use reasoner model
+      const routing = await this.aiService.routeMessage(message, { useReasoner, userId });
+
+      socket.emit('chat-stream-start', {
+        requestId,
+        routing,
+        conversationId: conversationId || 'default',
+        timestamp: new Date().toISOString()
+      });
+
+      // Get conversation context shared with the REST chat API
+      const context = await this.conversationStore.getContext(userId, conversationId);
 
       let fullResponse = '';
 
-      // Stream the response
-      await this.aiService.streamResponse(message, context, (chunk, isComplete) => {
-        if (!isComplete) {
+      // Stream the response; reasoner thinking goes out as its own event
+      await this.aiService.streamResponse(message, context, async (chunk, isComplete, meta = {}) => {
+        if (!isComplete && meta.channel === 'reasoning') {
+          socket.emit('chat-stream-reasoning', {
+            chunk,
+            requestId,
+            timestamp: new Date().toISOString()
+          });
+        } else if (!isComplete) {
           fullResponse += chunk;
           socket.emit('chat-stream-chunk', {
             chunk,
+            requestId,
             timestamp: new Date().toISOString()
           });
         } else {
+          // A flagged answer is replaced by the moderation response
+          if (meta.response !== undefined) {
+            fullResponse = meta.response;
+          }
+
+          // Persist the exchange, including a partial answer from a cancelled
+          // stream; the answer was streamed already, so it completes either way
+          try {
+            await this.conversationStore.saveExchange(userId, conversationId, message, {
+              ...meta,
+              response: fullResponse
+            });
+          } catch (error) {
+            console.error('Failed to save streamed exchange:', error);
+          }
+
           socket.emit('chat-stream-complete', {
             fullResponse,
+            requestId,
+            reasoning: meta.reasoning || null,
+            routing: meta.routing,
+            source: meta.source,
+            cache: meta.cache || null,
+            moderation: meta.moderation || null,
+            redaction: meta.redaction || null,
+            citations: meta.citations || [],
+            records: meta.records || [],
+            truncated: !!meta.truncated,
+            cancelReason: meta.truncated ? this.activeStreams.getCancelReason(requestId) : undefined,
             timestamp: new Date().toISOString(),
             conversationId: conversationId || 'default'
           });
         }
-      });
+      }, { signal: stream.signal, routing, useCache, useRag, userId, conversationId, language: data.language || userInfo.language });
 
     } catch (error) {
       console.error('Chat stream error:', error);
       socket.emit('chat-stream-error', {
-        error: 'Failed to stream response',
+        error: this.i18n.t('errors.stream', language),
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      if (requestId) {
+        this.activeStreams.finish(requestId);
+      }
+    }
+  }
+
+  handleChatStreamCancel(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
+    const { requestId } = data;
+    const stream = requestId && this.activeStreams.get(requestId);
+
+    // Only the socket that started a stream may cancel it
+    if (!stream || stream.owner.socketId !== socket.id) {
+      socket.emit('chat-stream-error', {
+        error: this.i18n.t('errors.streamNotFound', language),
+        requestId,
         timestamp: new Date().toISOString()
       });
+      return;
     }
+
+    this.activeStreams.cancel(requestId, 'cancelled_by_user');
   }
 
   async handleVoiceCommand(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data, data.transcript);
     try {
-      const { transcript, userId, sessionId, confidence, language = 'en' } = data;
+      const { transcript, userId, sessionId, confidence } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('voice-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('voice-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
@@ -239,7 +392,7 @@ class SocketHandler {
       // Check confidence level
       if (confidence && confidence < 0.7) {
         socket.emit('voice-response', {
-          response: "I didn't quite catch that. Could you please repeat?",
+          response: this.i18n.t('voice.didNotCatch', language),
           confidence: confidence,
           timestamp: new Date().toISOString(),
           requiresRepeat: true,
@@ -253,7 +406,7 @@ class SocketHandler {
       let context = this.voiceSessions.get(contextKey) || [];
 
       // Process voice command
-      const result = await this.aiService.processMessage(transcript, context);
+      const result = await this.aiService.processMessage(transcript, context, false, { userId, language });
 
       // Update voice session context
       context.push(
@@ -267,7 +420,8 @@ class SocketHandler {
       this.voiceSessions.set(contextKey, context);
 
       // Detect command type
-      const commandType = this.detectCommandType(transcript);
+      const intent = await this.aiService.intentClassifier.classify(transcript);
+      const commandType = intent.intent;
 
       // Emit response
       socket.emit('voice-response', {
@@ -276,6 +430,8 @@ class SocketHandler {
         model: result.model,
         timestamp: result.timestamp,
         commandType: commandType,
+        intentConfidence: intent.confidence,
+        slots: intent.slots,
         confidence: confidence || 1.0,
         shouldSpeak: true,
         language: language
@@ -283,27 +439,29 @@ class SocketHandler {
 
       // Handle special commands
       if (commandType === 'booking') {
-        this.handleVoiceBookingCommand(socket, transcript, userId);
+        this.handleVoiceBookingCommand(socket, transcript, userId, intent.slots, language);
       } else if (commandType === 'emergency') {
-        this.handleVoiceEmergencyCommand(socket, transcript, userId);
+        this.handleVoiceEmergencyCommand(socket, transcript, userId, intent.slots, language);
       }
 
     } catch (error) {
       console.error('Voice command error:', error);
       socket.emit('voice-error', {
-        error: 'Failed to process voice command',
+        error: this.i18n.t('errors.voiceCommand', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   async handleVoiceStream(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
     try {
       const { audioData, userId, sessionId, isComplete } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('voice-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('voice-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
@@ -318,7 +476,7 @@ class SocketHandler {
       if (isComplete) {
         // Process the complete audio stream
         socket.emit('voice-stream-processed', {
-          message: 'Audio processing complete',
+          message: this.i18n.t('voice.audioProcessed', language),
           timestamp: new Date().toISOString()
         });
       }
@@ -326,26 +484,28 @@ class SocketHandler {
     } catch (error) {
       console.error('Voice stream error:', error);
       socket.emit('voice-stream-error', {
-        error: 'Failed to process voice stream',
+        error: this.i18n.t('errors.voiceStream', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   async handleWakeWordDetection(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
     try {
       const { wakeWord, userId, confidence } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('wake-word-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('wake-word-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
       console.log(`🗣️ Wake word "${wakeWord}" detected for user ${userId} with confidence ${confidence}`);
 
       // Handle wake word
-      const response = await this.handleWakeWord(wakeWord, userId);
+      const response = await this.handleWakeWord(wakeWord, userId, language);
 
       socket.emit('wake-word-response', {
         ...response,
@@ -356,19 +516,21 @@ class SocketHandler {
     } catch (error) {
       console.error('Wake word error:', error);
       socket.emit('wake-word-error', {
-        error: 'Failed to process wake word',
+        error: this.i18n.t('errors.wakeWord', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   async handleBookingRequest(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
     try {
       const { bookingData, userId } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('booking-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('booking-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
@@ -377,64 +539,68 @@ class SocketHandler {
 
       // Emit processing status
       socket.emit('booking-processing', {
-        message: 'Processing your booking request...',
+        message: this.i18n.t('booking.processing', language),
         timestamp: new Date().toISOString()
       });
 
       // Validate booking data
       const validatedBooking = this.bookingModel.validateBooking(bookingData);
       
-      // Generate booking confirmation
-      const booking = this.bookingModel.generateBookingConfirmation(validatedBooking, userId);
-      
-      // Save to storage
-      const savedBooking = await this.storage.saveBooking(booking);
-
-      if (!savedBooking) {
-        throw new Error('Failed to save booking');
-      }
-
-      // Emit success response
-      socket.emit('booking-confirmed', {
-        booking: savedBooking,
-        message: `${bookingData.type} booking confirmed successfully`,
+      // The booking is confirmed once the user pays with booking-payment
+      const { booking, payment } = await this.bookings.create(validatedBooking, userId);
+
+      socket.emit('booking-payment-required', {
+        booking,
+        payment: this.payments.describe(payment),
+        message: this.i18n.t('booking.paymentRequired', language, {
+          type: this.i18n.label('transport', bookingData.type, language),
+          amount: payment.amount,
+          currency: payment.currency
+        }),
         timestamp: new Date().toISOString()
       });
 
-      // Send confirmation to all user sessions
+      // Send the new booking to all user sessions
       socket.to(userId).emit('booking-notification', {
-        type: 'booking_confirmed',
-        booking: savedBooking,
+        type: 'booking_created',
+        booking,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
       console.error('Booking request error:', error);
       socket.emit('booking-error', {
-        error: error.message || 'Failed to process booking request',
+        error: error.message || this.i18n.t('errors.booking', language),
+        ...this.seatErrorDetails(error),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   async handleBookingSimulation(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
     try {
       const { bookingData, userId } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('booking-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('booking-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
       // Validate the booking data
       const validatedBooking = this.bookingModel.validateBooking(bookingData);
 
-      // Generate multiple options
-      const options = this.generateBookingOptions(validatedBooking);
+      // The route's departures for the date and class; booking-hold picks
+      // one of them by optionId
+      const seed = this.optionsEngine.seedFor(validatedBooking);
+      const options = await this.optionsEngine.generate(validatedBooking, { seed });
+      this.bookingOptions.set(socket.id, new Map(options.map(option => [option.optionId, option])));
 
       socket.emit('booking-options', {
         options,
+        seed,
         searchCriteria: bookingData,
         timestamp: new Date().toISOString()
       });
@@ -442,52 +608,295 @@ class SocketHandler {
     } catch (error) {
       console.error('Booking simulation error:', error);
       socket.emit('booking-error', {
-        error: error.message || 'Failed to simulate booking options',
+        error: error.message || this.i18n.t('errors.bookingOptions', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
-  async handleBookingConfirmation(socket, data) {
+  // Holds seats on one of the options from the last booking-simulation,
+  // data.optionId, with the seatIds the user picked from its seat map or
+  // assigned ones. The hold lasts until booking-confirmation or its TTL.
+  async handleBookingHold(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
+    const { optionId, seatIds, userId } = data;
     try {
-      const { optionId, bookingData, userId } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('booking-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('booking-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
-      // Process the booking confirmation
-      const booking = this.bookingModel.generateBookingConfirmation(bookingData, userId);
-      const savedBooking = await this.storage.saveBooking(booking);
+      const option = (this.bookingOptions.get(socket.id) || new Map()).get(optionId);
+      if (!option) {
+        socket.emit('booking-error', {
+          error: this.i18n.t('errors.optionNotFound', language),
+          status: 404,
+          code: 'OPTION_NOT_FOUND',
+          optionId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      const selection = this.bookingModel.validateSeatSelection(option.type, { ...option, seatIds });
+      const hold = await this.holds.create(userId, { ...option, ...selection });
 
-      if (!savedBooking) {
-        throw new Error('Failed to confirm booking');
+      socket.emit('booking-held', {
+        hold: this.holds.describe(hold),
+        message: this.i18n.t('booking.held', language, {
+          minutes: Math.round(this.holds.ttlMs / 60000)
+        }),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Booking hold error:', error);
+      socket.emit('booking-error', {
+        error: error.message || this.i18n.t('errors.hold', language),
+        ...this.seatErrorDetails(error),
+        optionId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Books the option held by data.holdId (or the hold on data.optionId)
+  // at the price it was held at. Only a live hold can be booked; one that
+  // lapsed gets a booking-error with status 410.
+  async handleBookingConfirmation(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
+    try {
+      const { holdId, optionId, userId } = data;
+      const userInfo = this.activeUsers.get(socket.id);
+
+      if (!userInfo || userInfo.userId !== userId) {
+        socket.emit('booking-error', { error: this.i18n.t('errors.unauthorized', language) });
+        return;
       }
 
-      socket.emit('booking-confirmed', {
-        booking: savedBooking,
-        message: 'Booking confirmed successfully',
+      // The held option is booked on its seats pending its payment
+      const hold = await this.holds.getLiveHold(userId, { holdId, optionId });
+      const { booking, payment } = await this.bookings.create(hold.option, userId, { hold });
+
+      socket.emit('booking-payment-required', {
+        booking,
+        payment: this.payments.describe(payment),
+        message: this.i18n.t('booking.paymentRequired', language, {
+          type: this.i18n.label('transport', booking.type, language),
+          amount: payment.amount,
+          currency: payment.currency
+        }),
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
       console.error('Booking confirmation error:', error);
       socket.emit('booking-error', {
-        error: error.message || 'Failed to confirm booking',
+        error: error.message || this.i18n.t('errors.bookingConfirmation', language),
+        ...this.seatErrorDetails(error),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Moves one of the user's bookings to data.status (e.g. cancelled)
+  // through the booking lifecycle. Illegal transitions get a
+  // booking-error with status 409, as over REST.
+  async handleBookingStatusChange(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
+    try {
+      const { bookingId, status, reason, userId } = data;
+      const userInfo = this.activeUsers.get(socket.id);
+
+      if (!userInfo || userInfo.userId !== userId) {
+        socket.emit('booking-error', { error: this.i18n.t('errors.unauthorized', language) });
+        return;
+      }
+
+      const existingBooking = await this.storage.getBooking(bookingId);
+      if (!existingBooking || existingBooking.userId !== userId) {
+        socket.emit('booking-error', {
+          error: this.i18n.t('errors.bookingNotFound', language),
+          status: 404,
+          bookingId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      // Cancelled bookings give their seats back and paid ones are
+      // refunded by the refund policy
+      const { booking, refund } = await this.bookings.changeStatus(existingBooking, status, { reason });
+
+      socket.emit('booking-status-changed', {
+        booking,
+        refund,
+        message: this.i18n.t('booking.statusChanged', language, {
+          bookingId,
+          status: this.i18n.label('bookingStatus', booking.status, language)
+        }),
+        timestamp: new Date().toISOString()
+      });
+
+      socket.to(userId).emit('booking-notification', {
+        type: 'booking_status_changed',
+        booking,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Booking status change error:', error);
+      socket.emit('booking-error', {
+        error: error.status === 409 ? error.message : this.i18n.t('errors.bookingUpdate', language),
+        ...(error.status === 409 && {
+          status: 409,
+          code: error.code,
+          bookingId: data.bookingId,
+          currentStatus: error.from,
+          allowedStatuses: error.allowed
+        }),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Status and code of a seat or seat hold error, and which seats were
+  // taken, for a booking-error
+  seatErrorDetails(error) {
+    if (!error.status || !error.code) return {};
+
+    return {
+      status: error.status,
+      code: error.code,
+      ...(error.seats && { serviceId: error.serviceId, seats: error.seats })
+    };
+  }
+
+  // Reply language for a user's broadcasts, from any of their sessions
+  getUserLanguage(userId) {
+    const session = [...this.activeUsers.values()].find(user => user.userId === userId);
+    return this.i18n.resolveLanguage(session && session.language);
+  }
+
+  // Tells the user's sockets their seat hold is about to lapse
+  handleHoldExpiring(hold) {
+    const secondsLeft = Math.max(0, Math.round((new Date(hold.expiresAt) - Date.now()) / 1000));
+
+    this.io.to(hold.userId).emit('hold-expiring', {
+      holdId: hold.holdId,
+      optionId: hold.optionId,
+      expiresAt: hold.expiresAt,
+      secondsLeft,
+      message: this.i18n.t('booking.holdExpiring', this.getUserLanguage(hold.userId), { seconds: secondsLeft }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Tells the user's sockets their seat hold lapsed and its seats are
+  // back on sale
+  handleHoldExpired(hold) {
+    this.io.to(hold.userId).emit('hold-expired', {
+      holdId: hold.holdId,
+      optionId: hold.optionId,
+      seats: hold.seats.map(seat => seat.seatId),
+      message: this.i18n.t('booking.holdExpired', this.getUserLanguage(hold.userId)),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Pays for a pending booking with card { number }. The booking is
+  // confirmed at once, the card is declined, or the payment is processing
+  // and its outcome arrives later through handlePaymentUpdate.
+  async handleBookingPayment(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
+    const { intentId, card, userId } = data;
+    try {
+      const userInfo = this.activeUsers.get(socket.id);
+
+      if (!userInfo || userInfo.userId !== userId) {
+        socket.emit('booking-error', { error: this.i18n.t('errors.unauthorized', language) });
+        return;
+      }
+
+      userInfo.lastActivity = new Date().toISOString();
+
+      const result = await this.payments.confirmPayment(intentId, userId, card || {});
+      const update = {
+        booking: result.booking,
+        payment: this.payments.describe(result.payment),
+        timestamp: new Date().toISOString()
+      };
+
+      if (result.status === 'succeeded') {
+        socket.emit('booking-confirmed', {
+          ...update,
+          message: this.i18n.t('booking.typeConfirmed', language, {
+            type: this.i18n.label('transport', result.booking.type, language)
+          })
+        });
+        socket.to(userId).emit('booking-notification', { ...update, type: 'booking_confirmed' });
+      } else if (result.status === 'processing') {
+        socket.emit('booking-payment-processing', { ...update, message: this.i18n.t('booking.paymentProcessing', language) });
+      } else {
+        socket.emit('booking-payment-failed', {
+          ...update,
+          code: result.failure.code,
+          error: result.failure.message,
+          message: this.i18n.t('booking.paymentFailed', language)
+        });
+      }
+
+    } catch (error) {
+      console.error('Booking payment error:', error);
+      socket.emit('booking-error', {
+        error: error.status ? error.message : this.i18n.t('errors.payment', language),
+        ...(error.status && { status: error.status, code: error.code }),
+        intentId,
         timestamp: new Date().toISOString()
       });
     }
   }
 
+  // A payment settled by webhook: tell every session of the booking's user
+  handlePaymentUpdate({ type, payment, booking, refund }) {
+    if (!payment || !booking) return;
+
+    const language = this.getUserLanguage(payment.userId);
+    const update = {
+      booking,
+      payment: this.payments.describe(payment),
+      timestamp: new Date().toISOString()
+    };
+
+    if (type === 'payment_intent.succeeded' && booking.status === this.bookingModel.bookingStatus.CONFIRMED) {
+      this.io.to(payment.userId).emit('booking-confirmed', { ...update, message: this.i18n.t('booking.confirmed', language) });
+    } else if (type === 'payment_intent.payment_failed') {
+      this.io.to(payment.userId).emit('booking-payment-failed', {
+        ...update,
+        code: payment.lastError && payment.lastError.code,
+        error: payment.lastError && payment.lastError.message,
+        message: this.i18n.t('booking.paymentFailed', language)
+      });
+    } else if (refund || type === 'payment_intent.succeeded') {
+      this.io.to(payment.userId).emit('booking-notification', { ...update, type: 'booking_refunded', refund });
+    }
+  }
+
   async handleEmergencyAlert(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data, data.additionalInfo);
     try {
       const { emergencyType, location, additionalInfo, userId } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('emergency-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('emergency-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
@@ -505,7 +914,9 @@ class SocketHandler {
 
       // Emit emergency response
       socket.emit('emergency-response', {
-        message: `Emergency alert activated for ${emergencyType}. Help is on the way. Stay calm and safe.`,
+        message: this.i18n.t('emergency.activated', language, {
+          type: this.i18n.label('emergencyTypes', emergencyType, language)
+        }),
         emergency,
         timestamp: new Date().toISOString(),
         priority: 'critical'
@@ -520,19 +931,21 @@ class SocketHandler {
     } catch (error) {
       console.error('Emergency alert error:', error);
       socket.emit('emergency-error', {
-        error: 'Failed to process emergency alert',
+        error: this.i18n.t('errors.emergency', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   handleStatusUpdate(socket, data) {
+    data = data || {};
+    const language = this.getLanguage(socket, data);
     try {
       const { userId } = data;
       const userInfo = this.activeUsers.get(socket.id);
 
       if (!userInfo || userInfo.userId !== userId) {
-        socket.emit('status-error', { error: 'Unauthorized or invalid session' });
+        socket.emit('status-error', { error: this.i18n.t('errors.unauthorized', language) });
         return;
       }
 
@@ -549,13 +962,14 @@ class SocketHandler {
     } catch (error) {
       console.error('Status update error:', error);
       socket.emit('status-error', {
-        error: 'Failed to get status update',
+        error: this.i18n.t('errors.status', language),
         timestamp: new Date().toISOString()
       });
     }
   }
 
   handleTypingStart(socket, data) {
+    data = data || {};
     const { userId, conversationId } = data;
     socket.to(`${userId}_${conversationId || 'default'}`).emit('user-typing', {
       userId,
@@ -565,6 +979,7 @@ class SocketHandler {
   }
 
   handleTypingStop(socket, data) {
+    data = data || {};
     const { userId, conversationId } = data;
     socket.to(`${userId}_${conversationId || 'default'}`).emit('user-typing', {
       userId,
@@ -574,6 +989,10 @@ class SocketHandler {
   }
 
   handleDisconnect(socket) {
+    // Nobody is left to read these answers
+    this.activeStreams.cancelWhere(owner => owner.socketId === socket.id, 'client_disconnected');
+    this.bookingOptions.delete(socket.id);
+
     const userInfo = this.activeUsers.get(socket.id);
     if (userInfo) {
       console.log(`👋 User ${userInfo.userId} disconnected`);
@@ -584,113 +1003,46 @@ class SocketHandler {
 
   // Helper methods
 
-  detectCommandType(transcript) {
-    const lowerTranscript = transcript.toLowerCase();
-    
-    if (lowerTranscript.includes('book') && (lowerTranscript.includes('ticket') || lowerTranscript.includes('flight') || lowerTranscript.includes('train') || lowerTranscript.includes('bus'))) {
-      return 'booking';
-    }
-    
-    if (lowerTranscript.includes('emergency') || lowerTranscript.includes('help') || lowerTranscript.includes('urgent')) {
-      return 'emergency';
-    }
-    
-    if (lowerTranscript.includes('weather') || lowerTranscript.includes('news') || lowerTranscript.includes('search')) {
-      return 'information';
-    }
-    
-    return 'general';
+  // Reply language for an event: data.language, then the language given
+  // at user-connect, then the language text is written in
+  getLanguage(socket, data = {}, text) {
+    const userInfo = this.activeUsers.get(socket.id);
+    return this.i18n.resolveLanguage((data && data.language) || (userInfo && userInfo.language), text);
   }
 
-  async handleWakeWord(wakeWord, userId) {
-    const responses = {
-      'neura': "Yes, I'm here. How can I help you?",
-      'guardian': "Guardian Angel at your service. What do you need?",
-      'angel': "I'm listening. What can I do for you?",
-      'hey neura': "Hello! I'm ready to assist you.",
-      'ok guardian': "Yes, I'm here. How may I help?"
-    };
-
-    const response = responses[wakeWord.toLowerCase()] || "I'm here. How can I assist you?";
+  async handleWakeWord(wakeWord, userId, language) {
+    const key = `wakeWord.${wakeWord.toLowerCase()}`;
+    const response = this.i18n.t(this.i18n.has(key) ? key : 'wakeWord.default', language);
 
     return {
       response: response,
       commandType: 'wake_word',
-      wakeWord: wakeWord
+      wakeWord: wakeWord,
+      language: language
     };
   }
 
-  async handleVoiceBookingCommand(socket, transcript, userId) {
-    // Extract booking information from voice command
-    // This is a simplified implementation
+  async handleVoiceBookingCommand(socket, transcript, userId, slots = {}, language) {
+    // Slots extracted by the intent classifier prefill the booking form
     socket.emit('voice-booking-detected', {
-      message: 'I detected a booking request. Let me help you with that.',
+      message: this.i18n.t('voice.bookingDetected', language),
       transcript,
+      slots,
       timestamp: new Date().toISOString(),
       nextAction: 'show_booking_form'
     });
   }
 
-  async handleVoiceEmergencyCommand(socket, transcript, userId) {
+  async handleVoiceEmergencyCommand(socket, transcript, userId, slots = {}, language) {
     socket.emit('voice-emergency-detected', {
-      message: 'Emergency command detected. Activating emergency protocols.',
+      message: this.i18n.t('voice.emergencyDetected', language),
       transcript,
+      emergencyType: slots.emergencyType || 'general',
       timestamp: new Date().toISOString(),
       priority: 'critical'
     });
   }
 
-  generateBookingOptions(validatedBooking) {
-    const options = [];
-    const basePrice = validatedBooking.estimatedPrice;
-
-    for (let i = 0; i < 5; i++) {
-      const priceVariation = 0.8 + (Math.random() * 0.4);
-      options.push({
-        optionId: `OPT${i + 1}`,
-        ...validatedBooking,
-        estimatedPrice: Math.round(basePrice * priceVariation),
-        availability: Math.random() > 0.1 ? 'available' : 'limited',
-        operator: this.generateRandomOperator(validatedBooking.type),
-        features: this.generateRandomFeatures(validatedBooking.type)
-      });
-    }
-
-    return options.sort((a, b) => a.estimatedPrice - b.estimatedPrice);
-  }
-
-  generateRandomOperator(type) {
-    const operators = {
-      bus: ['RedBus Express', 'VRL Travels', 'SRS Travels', 'Orange Travels'],
-      train: ['Indian Railways', 'Rajdhani Express', 'Shatabdi Express'],
-      flight: ['Air India', 'IndiGo', 'SpiceJet', 'Vistara']
-    };
-    
-    const typeOperators = operators[type] || ['Generic Operator'];
-    return typeOperators[Math.floor(Math.random() * typeOperators.length)];
-  }
-
-  generateRandomFeatures(type) {
-    const features = {
-      bus: ['AC', 'WiFi', 'Charging Points', 'Entertainment'],
-      train: ['AC', 'Meals Included', 'Bedding', 'WiFi'],
-      flight: ['In-flight Meals', 'Entertainment', 'WiFi', 'Extra Legroom']
-    };
-    
-    const typeFeatures = features[type] || [];
-    const selectedFeatures = [];
-    const featureCount = Math.floor(Math.random() * 3) + 2;
-    
-    for (let i = 0; i < featureCount && i < typeFeatures.length; i++) {
-      const randomFeature = typeFeatures[Math.floor(Math.random() * typeFeatures.length)];
-      if (!selectedFeatures.includes(randomFeature)) {
-        selectedFeatures.push(randomFeature);
-      }
-    }
-    
-    return selectedFeatures;
-  }
-
   async sendPendingNotifications(socket, userId) {
     // Implementation for sending pending notifications
     // This could include unread messages, booking updates, etc.
@@ -0,0 +1,61 @@
+// In-flight chat streams keyed by request ID. Each stream owns an
+// AbortController whose signal is passed down to the provider, so
+// cancelling a request stops the upstream completion as well.
+class StreamRegistry {
+  constructor() {
+    this.streams = new Map();
+  }
+
+  generateId() {
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `REQ${Date.now()}${random}`;
+  }
+
+  // owner is free-form ({ userId, socketId, ... }) and used for lookups
+  start(requestId, owner = {}) {
+    const id = requestId && !this.streams.has(requestId) ? String(requestId) : this.generateId();
+    const controller = new AbortController();
+
+    this.streams.set(id, {
+      requestId: id,
+      controller,
+      owner,
+      startedAt: new Date().toISOString()
+    });
+
+    return { requestId: id, signal: controller.signal };
+  }
+
+  get(requestId) {
+    return this.streams.get(requestId) || null;
+  }
+
+  cancel(requestId, reason = 'cancelled') {
+    const stream = this.streams.get(requestId);
+    if (!stream) {
+      return false;
+    }
+
+    stream.cancelReason = reason;
+    stream.controller.abort(reason);
+    return true;
+  }
+
+  // Cancel every stream whose owner matches, e.g. all streams of a socket
+  cancelWhere(predicate, reason = 'cancelled') {
+    const matching = [...this.streams.values()].filter(stream => predicate(stream.owner));
+    matching.forEach(stream => this.cancel(stream.requestId, reason));
+    return matching.length;
+  }
+
+  getCancelReason(requestId) {
+    const stream = this.streams.get(requestId);
+    return stream ? stream.cancelReason || null : null;
+  }
+
+  finish(requestId) {
+    this.streams.delete(requestId);
+  }
+}
+
+module.exports = StreamRegistry;
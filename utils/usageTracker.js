@@ -0,0 +1,168 @@
+const JSONStorage = require('./jsonStorage');
+const aiConfig = require('../config/aiConfig');
+
+// Quotas and the period total each one is checked against
+const QUOTAS = {
+  dailyTokens: { period: 'daily', metric: 'totalTokens' },
+  monthlyCost: { period: 'monthly', metric: 'cost' }
+};
+
+// Per-user token ledger. Every completion is added to the user's bucket
+// for that (UTC) day, provider and model together with its estimated
+// cost; daily and monthly totals and quota status are computed from the
+// buckets.
+class UsageTracker {
+  constructor(options = {}) {
+    const config = options.config || aiConfig.usage || {};
+
+    this.currency = config.currency || 'USD';
+    this.prices = config.prices || {};
+    this.quotas = config.quotas || {};
+
+    // Created lazily so services that never record usage don't open storage
+    this.storage = options.storage || null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = new JSONStorage();
+    }
+    return this.storage;
+  }
+
+  getPrice(model) {
+    return this.prices[model] || null;
+  }
+
+  // Estimated cost of a completion from the per-million-token price table
+  estimateCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price || !usage) return 0;
+
+    const cost = ((usage.prompt_tokens || 0) * (price.input || 0) +
+      (usage.completion_tokens || 0) * (price.output || 0)) / 1e6;
+    return this.roundCost(cost);
+  }
+
+  roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  getPeriods(date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+  }
+
+  async record(userId, { provider, model, usage }) {
+    if (!userId || !usage) return null;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    return await this.getStorage().recordUsage({
+      userId,
+      date: this.getPeriods().day,
+      provider,
+      model: model || 'unknown',
+      requests: 1,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      cost: this.estimateCost(model, usage)
+    });
+  }
+
+  totals(buckets) {
+    const total = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    const byModel = new Map();
+    const add = (target, bucket) => {
+      Object.keys(total).forEach(field => {
+        target[field] += bucket[field] || 0;
+      });
+    };
+
+    for (const bucket of buckets) {
+      const key = `${bucket.provider}/${bucket.model}`;
+      if (!byModel.has(key)) {
+        byModel.set(key, {
+          provider: bucket.provider,
+          model: bucket.model,
+          requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0
+        });
+      }
+      add(total, bucket);
+      add(byModel.get(key), bucket);
+    }
+
+    total.cost = this.roundCost(total.cost);
+    byModel.forEach(entry => { entry.cost = this.roundCost(entry.cost); });
+
+    return { ...total, byModel: [...byModel.values()] };
+  }
+
+  // Totals for the day and month containing date, the month's daily
+  // history and the quota status
+  async getSummary(userId, date = new Date()) {
+    const { day, month } = this.getPeriods(date);
+    const buckets = await this.getStorage().getUsage(userId, { from: `${month}-01`, to: day }) || [];
+
+    const daily = this.totals(buckets.filter(bucket => bucket.date === day));
+    const monthly = this.totals(buckets);
+    const days = [...new Set(buckets.map(bucket => bucket.date))];
+
+    return {
+      userId,
+      currency: this.currency,
+      daily: { period: day, ...daily },
+      monthly: { period: month, ...monthly },
+      history: days.map(date => {
+        const { byModel, ...totals } = this.totals(buckets.filter(bucket => bucket.date === date));
+        return { date, ...totals };
+      }),
+      quota: this.evaluateQuota({ daily, monthly })
+    };
+  }
+
+  hasQuotas() {
+    return Object.keys(QUOTAS).some(name => {
+      const limit = this.quotas[name];
+      return limit && (limit.soft != null || limit.hard != null);
+    });
+  }
+
+  // status is 'ok', 'soft' or 'hard', the most severe limit reached
+  evaluateQuota(periods) {
+    let status = 'ok';
+
+    const limits = Object.entries(QUOTAS).map(([name, { period, metric }]) => {
+      const { soft = null, hard = null } = this.quotas[name] || {};
+      const used = periods[period][metric];
+
+      let exceeded = null;
+      if (hard != null && used >= hard) {
+        exceeded = 'hard';
+      } else if (soft != null && used >= soft) {
+        exceeded = 'soft';
+      }
+
+      if (exceeded === 'hard' || (exceeded === 'soft' && status === 'ok')) {
+        status = exceeded;
+      }
+
+      return { name, period, metric, used, soft, hard, exceeded };
+    });
+
+    return { status, limits };
+  }
+
+  async checkQuota(userId) {
+    if (!userId || !this.hasQuotas()) {
+      return { status: 'ok', limits: [] };
+    }
+
+    const summary = await this.getSummary(userId);
+    return summary.quota;
+  }
+}
+
+module.exports = UsageTracker;